@@ -0,0 +1,547 @@
+/**
+ * Fashion Forward Landing Page - Analytics Event Bus
+ *
+ * Single entry point for analytics across all page modules. Events share
+ * one schema, are batched, held back until consent is granted, and fanned
+ * out to pluggable sinks (dataLayer, gtag, Segment-style analytics.track
+ * and navigator.sendBeacon) so vendors can change without touching the
+ * modules that emit events.
+ *
+ * @generated-from: task-id:user-008
+ * @modifies: none
+ * @dependencies: ["js/consent.js"]
+ */
+
+(function() {
+  'use strict';
+
+  // State management
+  const state = {
+    isInitialized: false,
+    consent: 'granted',
+    queue: [],
+    sinks: {},
+    sessionId: null,
+    eventCounter: 0,
+    flushTimer: null
+  };
+
+  // Configuration
+  const config = {
+    batchSize: 10,
+    flushInterval: 5000,
+    maxQueueSize: 100,
+    beaconEndpoint: null,
+    sessionStorageKey: 'ff-analytics-session',
+    defaultSinks: ['dataLayer', 'gtag', 'segment', 'beacon']
+  };
+
+  // Consent states understood by setConsent()
+  const CONSENT_STATES = ['granted', 'denied', 'pending'];
+
+  /**
+   * Built-in sink factories. A sink is an object with a send(events)
+   * method that receives a batch of events in the shared schema, and an
+   * optional consent category (default 'analytics') it needs to receive them.
+   */
+  const SINK_FACTORIES = {
+    dataLayer: function() {
+      return {
+        send: function(events) {
+          if (!Array.isArray(window.dataLayer)) {
+            return;
+          }
+
+          events.forEach(function(event) {
+            window.dataLayer.push(Object.assign({}, event.properties, {
+              event: event.name,
+              eventId: event.id,
+              eventSource: event.source
+            }));
+          });
+        }
+      };
+    },
+
+    gtag: function() {
+      return {
+        send: function(events) {
+          if (typeof window.gtag !== 'function') {
+            return;
+          }
+
+          events.forEach(function(event) {
+            window.gtag('event', event.name, Object.assign({}, event.properties, {
+              event_source: event.source
+            }));
+          });
+        }
+      };
+    },
+
+    segment: function() {
+      return {
+        send: function(events) {
+          if (!window.analytics || typeof window.analytics.track !== 'function') {
+            return;
+          }
+
+          events.forEach(function(event) {
+            window.analytics.track(event.name, event.properties, {
+              messageId: event.id,
+              timestamp: event.timestamp,
+              context: { source: event.source, page: event.page }
+            });
+          });
+        }
+      };
+    },
+
+    beacon: function() {
+      return {
+        send: function(events) {
+          if (!config.beaconEndpoint) {
+            return;
+          }
+
+          sendBeacon(config.beaconEndpoint, {
+            sessionId: state.sessionId,
+            sentAt: new Date().toISOString(),
+            events: events
+          });
+        }
+      };
+    }
+  };
+
+  /**
+   * Initialize the analytics bus
+   */
+  function init() {
+    if (state.isInitialized) {
+      console.warn('[Analytics] Already initialized');
+      return;
+    }
+
+    try {
+      state.consent = resolveConsent();
+      state.sessionId = state.sessionId || getSessionId();
+
+      config.defaultSinks.forEach(function(name) {
+        if (!state.sinks[name] && SINK_FACTORIES[name]) {
+          state.sinks[name] = SINK_FACTORIES[name]();
+        }
+      });
+
+      setupUnloadFlush();
+
+      // Follow the visitor's choices in the consent manager
+      document.addEventListener('consentChange', function() {
+        setConsent(resolveConsent());
+      });
+
+      state.isInitialized = true;
+      console.info('[Analytics] Event bus initialized with sinks:', Object.keys(state.sinks).join(', '));
+
+      // Deliver anything tracked before initialization
+      scheduleFlush();
+    } catch (error) {
+      console.error('[Analytics] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Record an analytics event
+   * @param {string} name - Event name in snake_case (e.g. 'product_card_click')
+   * @param {Object} [properties] - Event properties
+   * @param {Object} [options] - Tracking options
+   * @param {string} [options.source] - Emitting module (e.g. 'products')
+   * @param {boolean} [options.immediate] - Flush without waiting for the batch
+   * @returns {Object|null} The queued event, or null when dropped
+   */
+  function track(name, properties, options) {
+    const settings = options || {};
+
+    if (typeof name !== 'string' || !name) {
+      console.warn('[Analytics] Event name is required');
+      return null;
+    }
+
+    if (state.consent === 'denied') {
+      console.debug('[Analytics] Consent denied, event dropped:', name);
+      return null;
+    }
+
+    const event = createEvent(name, properties, settings.source);
+
+    state.queue.push(event);
+
+    // Keep a bounded buffer while consent is pending
+    if (state.queue.length > config.maxQueueSize) {
+      state.queue.splice(0, state.queue.length - config.maxQueueSize);
+    }
+
+    console.debug('[Analytics] Event tracked:', name, event.properties);
+
+    if (settings.immediate || state.queue.length >= config.batchSize) {
+      flush();
+    } else {
+      scheduleFlush();
+    }
+
+    return event;
+  }
+
+  /**
+   * Create a track function for one module, so its events carry its
+   * source without repeating it at every call
+   * @param {string} source - Emitting module (e.g. 'bag')
+   * @returns {Function} track(name, properties, options)
+   */
+  function createTracker(source) {
+    return function(name, properties, options) {
+      return track(name, properties, Object.assign({ source: source }, options));
+    };
+  }
+
+  /**
+   * Build an event in the shared schema
+   * @param {string} name - Event name
+   * @param {Object} [properties] - Event properties
+   * @param {string} [source] - Emitting module
+   * @returns {Object} Event
+   */
+  function createEvent(name, properties, source) {
+    state.eventCounter++;
+
+    return {
+      id: (state.sessionId || 'anon') + '-' + state.eventCounter,
+      name: name,
+      source: source || 'page',
+      properties: sanitizeProperties(properties),
+      timestamp: new Date().toISOString(),
+      sessionId: state.sessionId,
+      page: {
+        path: window.location.pathname,
+        search: window.location.search,
+        hash: window.location.hash,
+        title: document.title
+      }
+    };
+  }
+
+  /**
+   * Copy event properties, dropping values that can't be serialized
+   * (DOM elements, functions) so sinks always receive plain data
+   * @param {Object} [properties] - Raw properties
+   * @returns {Object} Plain properties
+   */
+  function sanitizeProperties(properties) {
+    const result = {};
+
+    Object.keys(properties || {}).forEach(function(key) {
+      const value = properties[key];
+
+      if (typeof value === 'function' || (typeof Node !== 'undefined' && value instanceof Node)) {
+        return;
+      }
+
+      result[key] = value;
+    });
+
+    return result;
+  }
+
+  /**
+   * Schedule a flush after the batch interval
+   */
+  function scheduleFlush() {
+    if (state.flushTimer || state.queue.length === 0) {
+      return;
+    }
+
+    state.flushTimer = setTimeout(function() {
+      state.flushTimer = null;
+      flush();
+    }, config.flushInterval);
+  }
+
+  /**
+   * Send queued events to every sink
+   * @returns {number} Number of events sent
+   */
+  function flush() {
+    clearTimeout(state.flushTimer);
+    state.flushTimer = null;
+
+    if (!state.isInitialized || state.consent !== 'granted' || state.queue.length === 0) {
+      return 0;
+    }
+
+    const batch = state.queue.splice(0, state.queue.length);
+
+    Object.keys(state.sinks).forEach(function(name) {
+      if (!hasSinkConsent(state.sinks[name])) {
+        console.debug('[Analytics] Sink "' + name + '" skipped without consent');
+        return;
+      }
+
+      try {
+        state.sinks[name].send(batch.slice());
+      } catch (error) {
+        // One failing vendor shouldn't stop the others
+        console.error('[Analytics] Sink "' + name + '" failed:', error);
+      }
+    });
+
+    console.debug('[Analytics] Flushed', batch.length, 'events');
+    return batch.length;
+  }
+
+  /**
+   * Check whether the consent category a sink needs has been granted
+   * @param {Object} sink - Sink
+   * @returns {boolean} True if the sink may receive events
+   */
+  function hasSinkConsent(sink) {
+    const consent = window.FashionForwardConsent;
+    return !consent || consent.hasConsent(sink.consent || 'analytics');
+  }
+
+  /**
+   * Map the consent manager's analytics choice to a bus consent state.
+   * Without a consent manager on the page, tracking is allowed.
+   * @returns {string} 'granted', 'denied' or 'pending'
+   */
+  function resolveConsent() {
+    const consent = window.FashionForwardConsent;
+
+    if (!consent) {
+      return 'granted';
+    }
+
+    if (!consent.hasDecided()) {
+      return 'pending';
+    }
+
+    return consent.hasConsent('analytics') ? 'granted' : 'denied';
+  }
+
+  /**
+   * Flush queued events when the page is hidden or unloaded
+   */
+  function setupUnloadFlush() {
+    document.addEventListener('visibilitychange', function() {
+      if (document.visibilityState === 'hidden') {
+        flush();
+      }
+    });
+
+    window.addEventListener('pagehide', flush);
+  }
+
+  /**
+   * POST a JSON payload with sendBeacon, falling back to keepalive fetch
+   * @param {string} url - Endpoint URL
+   * @param {Object} payload - Payload to serialize
+   * @returns {boolean} True if the request was queued
+   */
+  function sendBeacon(url, payload) {
+    const body = JSON.stringify(payload);
+
+    try {
+      if (navigator.sendBeacon) {
+        const blob = new Blob([body], { type: 'application/json' });
+
+        if (navigator.sendBeacon(url, blob)) {
+          return true;
+        }
+      }
+
+      if (typeof fetch === 'function') {
+        fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: body,
+          keepalive: true
+        }).catch(function(error) {
+          console.warn('[Analytics] Beacon fallback failed:', error);
+        });
+        return true;
+      }
+    } catch (error) {
+      console.error('[Analytics] Beacon failed:', error);
+    }
+
+    return false;
+  }
+
+  /**
+   * Beacon a payload to a dedicated endpoint (e.g. Web Vitals) with the
+   * same transport as the beacon sink. Only sends with analytics consent;
+   * nothing is held back for later, since beacons go out on unload.
+   * @param {string} url - Endpoint URL
+   * @param {Object} payload - Payload to serialize
+   * @returns {boolean} True if the request was queued
+   */
+  function sendConsentedBeacon(url, payload) {
+    if (state.consent !== 'granted' || !hasSinkConsent({ consent: 'analytics' })) {
+      console.debug('[Analytics] Beacon skipped without consent:', url);
+      return false;
+    }
+
+    return sendBeacon(url, payload);
+  }
+
+  /**
+   * Update analytics consent
+   * @param {string} consent - 'granted', 'denied' or 'pending'
+   */
+  function setConsent(consent) {
+    if (CONSENT_STATES.indexOf(consent) === -1) {
+      console.warn('[Analytics] Unknown consent state:', consent);
+      return;
+    }
+
+    state.consent = consent;
+
+    if (consent === 'denied') {
+      // Nothing collected without consent may be sent later
+      state.queue = [];
+      clearTimeout(state.flushTimer);
+      state.flushTimer = null;
+
+      try {
+        window.sessionStorage.removeItem(config.sessionStorageKey);
+      } catch (error) {
+        console.debug('[Analytics] Could not clear session id:', error);
+      }
+    } else if (consent === 'granted') {
+      persistSessionId();
+      flush();
+    }
+
+    console.info('[Analytics] Consent:', consent);
+  }
+
+  /**
+   * Register or replace a sink
+   * @param {string} name - Sink name
+   * @param {Object|Function} sink - Object with send(events) and optional
+   *   consent category, or a function taking events
+   * @param {Object} [options] - Sink options
+   * @param {string} [options.consent] - Consent category the sink needs ('analytics' or 'marketing')
+   */
+  function addSink(name, sink, options) {
+    const normalized = typeof sink === 'function' ? { send: sink } : sink;
+
+    if (normalized && options && options.consent) {
+      normalized.consent = options.consent;
+    }
+
+    if (!name || !normalized || typeof normalized.send !== 'function') {
+      console.warn('[Analytics] Invalid sink:', name);
+      return;
+    }
+
+    state.sinks[name] = normalized;
+    console.debug('[Analytics] Sink added:', name);
+  }
+
+  /**
+   * Remove a sink
+   * @param {string} name - Sink name
+   */
+  function removeSink(name) {
+    delete state.sinks[name];
+    console.debug('[Analytics] Sink removed:', name);
+  }
+
+  /**
+   * Get the per-tab session id, creating one if needed. It is only
+   * written to storage once analytics consent is granted.
+   * @returns {string} Session id
+   */
+  function getSessionId() {
+    let id = null;
+
+    try {
+      id = window.sessionStorage.getItem(config.sessionStorageKey);
+    } catch (error) {
+      // Storage unavailable; the id only lives for this page view
+    }
+
+    state.sessionId = id || createId();
+
+    if (state.consent === 'granted') {
+      persistSessionId();
+    }
+
+    return state.sessionId;
+  }
+
+  /**
+   * Store the session id so it survives navigation within the tab
+   */
+  function persistSessionId() {
+    if (!state.sessionId) {
+      return;
+    }
+
+    try {
+      window.sessionStorage.setItem(config.sessionStorageKey, state.sessionId);
+    } catch (error) {
+      console.debug('[Analytics] Could not store session id:', error);
+    }
+  }
+
+  /**
+   * Create a random id
+   * @returns {string} Random id
+   */
+  function createId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+  }
+
+  /**
+   * Public API for external access
+   */
+  window.FashionForwardAnalytics = {
+    init: init,
+    track: track,
+    createTracker: createTracker,
+    sendBeacon: sendConsentedBeacon,
+    flush: flush,
+    setConsent: setConsent,
+    getConsent: function() {
+      return state.consent;
+    },
+    addSink: addSink,
+    removeSink: removeSink,
+    configure: function(options) {
+      Object.keys(options || {}).forEach(function(key) {
+        if (Object.prototype.hasOwnProperty.call(config, key)) {
+          config[key] = options[key];
+        }
+      });
+    },
+    getQueue: function() {
+      return state.queue.slice();
+    },
+    isInitialized: function() {
+      return state.isInitialized;
+    }
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
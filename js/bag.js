@@ -0,0 +1,854 @@
+/**
+ * Fashion Forward Landing Page - Shopping Bag
+ *
+ * Client-side shopping bag with "Add to bag" actions on product cards,
+ * a header bag button with item count, and a slide-out drawer with
+ * quantity editing and per-currency subtotals. Contents persist in
+ * localStorage and stay in sync across tabs via the storage event.
+ *
+ * @generated-from: task-id:user-006
+ * @modifies: none
+ * @dependencies: ["js/main.js", "js/products.js", "js/responsive-images.js"]
+ */
+
+(function() {
+  'use strict';
+
+  // State management
+  const state = {
+    isInitialized: false,
+    isOpen: false,
+    items: [],
+    returnFocusElement: null
+  };
+
+  // DOM element cache
+  const elements = {
+    body: null,
+    toggleButton: null,
+    countBadge: null,
+    drawer: null,
+    panel: null,
+    closeButton: null,
+    itemList: null,
+    emptyState: null,
+    subtotal: null,
+    liveRegion: null
+  };
+
+  // Configuration
+  const config = {
+    storageKey: 'ff-bag',
+    storageVersion: 1,
+    locale: 'en-US',
+    maxQuantity: 10,
+    thumbnailSize: 160
+  };
+
+  const SCHEMA_ORG_PREFIX = 'https://schema.org/';
+  const PURCHASABLE_AVAILABILITY = ['InStock', 'LimitedAvailability', 'PreOrder', 'BackOrder'];
+
+  // Events go through the shared analytics bus (js/analytics.js, loaded first)
+  const trackEvent = window.FashionForwardAnalytics
+    ? window.FashionForwardAnalytics.createTracker('bag')
+    : function() {};
+
+  /**
+   * Initialize the bag when DOM is ready
+   */
+  function init() {
+    if (state.isInitialized) {
+      console.warn('[Bag] Already initialized');
+      return;
+    }
+
+    try {
+      cacheElements();
+
+      if (!elements.toggleButton) {
+        console.warn('[Bag] Bag toggle not found, skipping initialization');
+        return;
+      }
+
+      state.items = loadItems();
+
+      buildDrawer();
+      setupEventListeners();
+      decorateProductCards();
+      render();
+
+      state.isInitialized = true;
+      console.info('[Bag] Module initialized with', getItemCount(), 'items');
+    } catch (error) {
+      console.error('[Bag] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Cache DOM elements for performance
+   */
+  function cacheElements() {
+    elements.body = document.body;
+    elements.toggleButton = document.querySelector('[data-bag-toggle]');
+    elements.countBadge = document.querySelector('[data-bag-count]');
+  }
+
+  /**
+   * Build the drawer markup once and append it to the body
+   */
+  function buildDrawer() {
+    const drawer = document.createElement('div');
+    drawer.className = 'bag-drawer';
+    drawer.id = 'bag-drawer';
+    drawer.hidden = true;
+    drawer.setAttribute('data-bag-drawer', '');
+    drawer.innerHTML =
+      '<div class="bag-drawer-backdrop" data-bag-close></div>' +
+      '<div class="bag-drawer-panel" role="dialog" aria-modal="true" aria-labelledby="bag-drawer-title" tabindex="-1">' +
+        '<header class="bag-drawer-header">' +
+          '<h2 id="bag-drawer-title" class="bag-drawer-title">Your Bag</h2>' +
+          '<button type="button" class="bag-drawer-close touch-target" aria-label="Close bag" data-bag-close>' +
+            '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">' +
+              '<line x1="18" y1="6" x2="6" y2="18"></line>' +
+              '<line x1="6" y1="6" x2="18" y2="18"></line>' +
+            '</svg>' +
+          '</button>' +
+        '</header>' +
+        '<p class="bag-drawer-empty" data-bag-empty>Your bag is empty.</p>' +
+        '<ul class="bag-drawer-items" role="list" data-bag-items></ul>' +
+        '<footer class="bag-drawer-footer">' +
+          '<dl class="bag-drawer-subtotal" data-bag-subtotal></dl>' +
+          '<p class="bag-drawer-note">Shipping and taxes are calculated at checkout.</p>' +
+        '</footer>' +
+      '</div>';
+
+    const liveRegion = document.createElement('div');
+    liveRegion.className = 'sr-only';
+    liveRegion.setAttribute('role', 'status');
+    liveRegion.setAttribute('aria-live', 'polite');
+
+    elements.body.appendChild(drawer);
+    elements.body.appendChild(liveRegion);
+
+    elements.drawer = drawer;
+    elements.panel = drawer.querySelector('[role="dialog"]');
+    elements.closeButton = drawer.querySelector('.bag-drawer-close');
+    elements.itemList = drawer.querySelector('[data-bag-items]');
+    elements.emptyState = drawer.querySelector('[data-bag-empty]');
+    elements.subtotal = drawer.querySelector('[data-bag-subtotal]');
+    elements.liveRegion = liveRegion;
+
+    elements.toggleButton.setAttribute('aria-controls', drawer.id);
+    elements.toggleButton.setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * Setup all event listeners
+   */
+  function setupEventListeners() {
+    elements.toggleButton.addEventListener('click', function(event) {
+      event.preventDefault();
+      if (state.isOpen) {
+        closeDrawer();
+      } else {
+        openDrawer();
+      }
+    });
+
+    elements.drawer.querySelectorAll('[data-bag-close]').forEach(function(element) {
+      element.addEventListener('click', function(event) {
+        event.preventDefault();
+        closeDrawer();
+      });
+    });
+
+    elements.panel.addEventListener('keydown', handlePanelKeydown);
+    elements.itemList.addEventListener('click', handleItemListClick);
+    elements.itemList.addEventListener('change', handleQuantityChange);
+
+    // Add-to-bag buttons live inside product cards, which may re-render
+    document.addEventListener('click', handleAddToBagClick);
+    document.addEventListener('productsRendered', decorateProductCards);
+
+    // Keep tabs in sync
+    window.addEventListener('storage', handleStorageChange);
+  }
+
+  /**
+   * Add an "Add to bag" button to every product card that lacks one
+   */
+  function decorateProductCards() {
+    document.querySelectorAll('[data-product-card]').forEach(function(card) {
+      if (card.querySelector('[data-add-to-bag]')) {
+        return;
+      }
+
+      const product = readProduct(card);
+      const container = card.querySelector('.product-info') || card;
+      const button = document.createElement('button');
+
+      button.type = 'button';
+      button.className = 'btn btn-outline btn-sm btn-block touch-target bag-add-button';
+      button.textContent = 'Add to Bag';
+      button.setAttribute('data-add-to-bag', '');
+      button.setAttribute('data-card-action', '');
+      button.setAttribute('aria-label', 'Add ' + product.name + ' to bag');
+
+      if (!product.isPurchasable) {
+        button.disabled = true;
+        button.textContent = 'Unavailable';
+      }
+
+      container.appendChild(button);
+    });
+  }
+
+  /**
+   * Read bag item data from a card's schema.org microdata
+   * @param {HTMLElement} card - Product card element
+   * @returns {Object} Product data
+   */
+  function readProduct(card) {
+    const nameElement = card.querySelector('[itemprop="name"]');
+    const priceElement = card.querySelector('[itemprop="price"]');
+    const currencyElement = card.querySelector('[itemprop="priceCurrency"]');
+    const availabilityElement = card.querySelector('[itemprop="availability"]');
+    const imageElement = card.querySelector('img[itemprop="image"]');
+    const availability = availabilityElement
+      ? (availabilityElement.getAttribute('content') || '').replace(SCHEMA_ORG_PREFIX, '')
+      : 'InStock';
+
+    return {
+      id: card.dataset.productId || '',
+      name: nameElement ? nameElement.textContent.trim() : '',
+      price: priceElement ? parseFloat(priceElement.getAttribute('content')) : NaN,
+      currency: currencyElement ? currencyElement.getAttribute('content') : '',
+      image: imageElement ? imageElement.getAttribute('src') || imageElement.dataset.src || '' : '',
+      isPurchasable: PURCHASABLE_AVAILABILITY.indexOf(availability) !== -1
+    };
+  }
+
+  /**
+   * Handle clicks on add-to-bag buttons
+   * @param {MouseEvent} event - Click event
+   */
+  function handleAddToBagClick(event) {
+    const button = event.target.closest && event.target.closest('[data-add-to-bag]');
+
+    if (!button) {
+      return;
+    }
+
+    const card = button.closest('[data-product-card]');
+
+    if (!card) {
+      return;
+    }
+
+    event.preventDefault();
+
+    const product = readProduct(card);
+
+    if (!product.id || !isFinite(product.price) || !product.currency || !product.isPurchasable) {
+      console.warn('[Bag] Product cannot be added to bag:', product.id);
+      return;
+    }
+
+    addItem(product, 1);
+  }
+
+  /**
+   * Add a product to the bag
+   * @param {Object} product - Product data
+   * @param {number} quantity - Quantity to add
+   */
+  function addItem(product, quantity) {
+    const existing = findItem(product.id);
+
+    if (existing) {
+      const newQuantity = Math.min(existing.quantity + quantity, config.maxQuantity);
+
+      if (newQuantity === existing.quantity) {
+        announce('You can add up to ' + config.maxQuantity + ' of ' + product.name);
+        return;
+      }
+
+      existing.quantity = newQuantity;
+    } else {
+      state.items.push({
+        id: product.id,
+        name: product.name,
+        price: product.price,
+        currency: product.currency,
+        image: product.image,
+        quantity: Math.min(quantity, config.maxQuantity),
+        addedAt: Date.now()
+      });
+    }
+
+    commit('add', product.id);
+    announce(product.name + ' added to your bag. ' + describeCount());
+  }
+
+  /**
+   * Set an item's quantity, removing it at zero
+   * @param {string} productId - Product id
+   * @param {number} quantity - New quantity
+   */
+  function updateQuantity(productId, quantity) {
+    const item = findItem(productId);
+
+    if (!item) {
+      return;
+    }
+
+    if (!isFinite(quantity) || quantity <= 0) {
+      removeItem(productId);
+      return;
+    }
+
+    item.quantity = Math.min(Math.floor(quantity), config.maxQuantity);
+    commit('update', productId);
+    announce(item.name + ' quantity updated to ' + item.quantity);
+  }
+
+  /**
+   * Remove an item from the bag
+   * @param {string} productId - Product id
+   */
+  function removeItem(productId) {
+    const item = findItem(productId);
+
+    if (!item) {
+      return;
+    }
+
+    state.items = state.items.filter(function(entry) {
+      return entry.id !== productId;
+    });
+
+    commit('remove', productId);
+    announce(item.name + ' removed from your bag. ' + describeCount());
+
+    // Keep focus inside the drawer after the row disappears
+    if (state.isOpen) {
+      elements.panel.focus();
+    }
+  }
+
+  /**
+   * Find an item by product id
+   * @param {string} productId - Product id
+   * @returns {Object|undefined} Bag item
+   */
+  function findItem(productId) {
+    return state.items.find(function(item) {
+      return item.id === productId;
+    });
+  }
+
+  /**
+   * Persist, re-render and notify listeners after a change
+   * @param {string} action - 'add', 'update', 'remove' or 'clear'
+   * @param {string} [productId] - Affected product id
+   */
+  function commit(action, productId) {
+    saveItems();
+    render();
+
+    const item = productId ? findItem(productId) : null;
+
+    document.dispatchEvent(new CustomEvent('bagChange', {
+      detail: {
+        action: action,
+        productId: productId || null,
+        quantity: item ? item.quantity : 0,
+        itemCount: getItemCount(),
+        subtotals: getSubtotals()
+      }
+    }));
+
+    trackEvent('bag_' + action, {
+      productId: productId || null,
+      quantity: item ? item.quantity : 0,
+      itemCount: getItemCount(),
+      subtotals: getSubtotals()
+    });
+  }
+
+  /**
+   * Load bag items from localStorage
+   * @returns {Object[]} Valid bag items
+   */
+  function loadItems() {
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(config.storageKey) || 'null');
+
+      if (!stored || stored.version !== config.storageVersion || !Array.isArray(stored.items)) {
+        return [];
+      }
+
+      return stored.items.filter(function(item) {
+        return item && item.id && isFinite(item.price) && item.currency &&
+               isFinite(item.quantity) && item.quantity >= 1;
+      }).map(function(item) {
+        // Older or hand-edited records may exceed today's limit
+        return Object.assign({}, item, {
+          quantity: Math.min(Math.floor(item.quantity), config.maxQuantity)
+        });
+      });
+    } catch (error) {
+      console.warn('[Bag] Could not read stored bag:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save bag items to localStorage
+   */
+  function saveItems() {
+    try {
+      window.localStorage.setItem(config.storageKey, JSON.stringify({
+        version: config.storageVersion,
+        items: state.items,
+        updatedAt: Date.now()
+      }));
+    } catch (error) {
+      // Private browsing or quota exceeded; the bag still works for this page
+      console.warn('[Bag] Could not save bag:', error);
+    }
+  }
+
+  /**
+   * Reload the bag when another tab changes it
+   * @param {StorageEvent} event - Storage event
+   */
+  function handleStorageChange(event) {
+    if (event.key !== config.storageKey && event.key !== null) {
+      return;
+    }
+
+    state.items = loadItems();
+    render();
+
+    console.debug('[Bag] Synced from another tab:', getItemCount(), 'items');
+  }
+
+  /**
+   * Total number of units in the bag
+   * @returns {number} Item count
+   */
+  function getItemCount() {
+    return state.items.reduce(function(total, item) {
+      return total + item.quantity;
+    }, 0);
+  }
+
+  /**
+   * Subtotals grouped by currency, computed in minor units to avoid
+   * floating point drift
+   * @returns {Object[]} Array of { currency, amount }
+   */
+  function getSubtotals() {
+    const totals = {};
+
+    state.items.forEach(function(item) {
+      const factor = Math.pow(10, getFractionDigits(item.currency));
+      const lineMinor = Math.round(item.price * factor) * item.quantity;
+
+      totals[item.currency] = (totals[item.currency] || 0) + lineMinor;
+    });
+
+    return Object.keys(totals).map(function(currency) {
+      return {
+        currency: currency,
+        amount: totals[currency] / Math.pow(10, getFractionDigits(currency))
+      };
+    });
+  }
+
+  /**
+   * Number of minor-unit digits for a currency (2 for USD, 0 for JPY)
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {number} Fraction digits
+   */
+  function getFractionDigits(currency) {
+    try {
+      return new Intl.NumberFormat(config.locale, {
+        style: 'currency',
+        currency: currency
+      }).resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+      return 2;
+    }
+  }
+
+  /**
+   * Format an amount in its currency
+   * @param {number} amount - Amount
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {string} Formatted amount
+   */
+  function formatPrice(amount, currency) {
+    try {
+      return new Intl.NumberFormat(config.locale, {
+        style: 'currency',
+        currency: currency
+      }).format(amount);
+    } catch (error) {
+      return currency + ' ' + amount.toFixed(2);
+    }
+  }
+
+  /**
+   * Describe the bag count for screen readers
+   * @returns {string} Count description
+   */
+  function describeCount() {
+    const count = getItemCount();
+    return count === 1 ? '1 item in bag' : count + ' items in bag';
+  }
+
+  /**
+   * Render the header count and drawer contents
+   */
+  function render() {
+    const count = getItemCount();
+
+    if (elements.countBadge) {
+      elements.countBadge.textContent = count;
+      elements.countBadge.hidden = count === 0;
+    }
+
+    elements.toggleButton.setAttribute('aria-label', 'Open bag, ' + describeCount());
+
+    renderItems();
+    renderSubtotals();
+  }
+
+  /**
+   * Render bag line items
+   */
+  function renderItems() {
+    const fragment = document.createDocumentFragment();
+
+    state.items.forEach(function(item) {
+      fragment.appendChild(createItemRow(item));
+    });
+
+    elements.itemList.textContent = '';
+    elements.itemList.appendChild(fragment);
+    elements.emptyState.hidden = state.items.length > 0;
+  }
+
+  /**
+   * Build a bag line item
+   * @param {Object} item - Bag item
+   * @returns {HTMLLIElement} Line item element
+   */
+  function createItemRow(item) {
+    const row = document.createElement('li');
+    row.className = 'bag-item';
+    row.dataset.productId = item.id;
+
+    const quantityId = 'bag-quantity-' + item.id;
+    const lineTotal = item.price * item.quantity;
+
+    row.innerHTML =
+      '<img class="bag-item-image" alt="" width="64" height="64" loading="lazy" decoding="async">' +
+      '<div class="bag-item-details">' +
+        '<p class="bag-item-name"></p>' +
+        '<p class="bag-item-price"></p>' +
+        '<div class="bag-item-quantity">' +
+          '<button type="button" class="bag-item-step touch-target" data-bag-step="-1">&minus;</button>' +
+          '<label class="sr-only"></label>' +
+          '<input type="number" class="bag-item-input" inputmode="numeric" min="0" step="1" data-bag-quantity>' +
+          '<button type="button" class="bag-item-step touch-target" data-bag-step="1">+</button>' +
+        '</div>' +
+      '</div>' +
+      '<div class="bag-item-summary">' +
+        '<p class="bag-item-total"></p>' +
+        '<button type="button" class="bag-item-remove" data-bag-remove>Remove</button>' +
+      '</div>';
+
+    const image = row.querySelector('.bag-item-image');
+    if (item.image) {
+      image.src = resizeImageUrl(item.image, config.thumbnailSize);
+    } else {
+      image.hidden = true;
+    }
+
+    row.querySelector('.bag-item-name').textContent = item.name;
+    row.querySelector('.bag-item-price').textContent = formatPrice(item.price, item.currency) + ' each';
+    row.querySelector('.bag-item-total').textContent = formatPrice(lineTotal, item.currency);
+
+    const label = row.querySelector('label');
+    label.setAttribute('for', quantityId);
+    label.textContent = 'Quantity for ' + item.name;
+
+    const input = row.querySelector('[data-bag-quantity]');
+    input.id = quantityId;
+    input.value = item.quantity;
+    input.max = config.maxQuantity;
+
+    const decrement = row.querySelector('[data-bag-step="-1"]');
+    const increment = row.querySelector('[data-bag-step="1"]');
+    decrement.setAttribute('aria-label', item.quantity === 1 ? 'Remove ' + item.name : 'Decrease quantity of ' + item.name);
+    increment.setAttribute('aria-label', 'Increase quantity of ' + item.name);
+    increment.disabled = item.quantity >= config.maxQuantity;
+
+    row.querySelector('[data-bag-remove]').setAttribute('aria-label', 'Remove ' + item.name + ' from bag');
+
+    return row;
+  }
+
+  /**
+   * Render subtotals, one line per currency
+   */
+  function renderSubtotals() {
+    const subtotals = getSubtotals();
+
+    elements.subtotal.textContent = '';
+    elements.subtotal.hidden = subtotals.length === 0;
+
+    subtotals.forEach(function(subtotal) {
+      const term = document.createElement('dt');
+      const value = document.createElement('dd');
+
+      term.textContent = subtotals.length > 1 ? 'Subtotal (' + subtotal.currency + ')' : 'Subtotal';
+      value.textContent = formatPrice(subtotal.amount, subtotal.currency);
+
+      elements.subtotal.appendChild(term);
+      elements.subtotal.appendChild(value);
+    });
+  }
+
+  /**
+   * Handle quantity step and remove buttons
+   * @param {MouseEvent} event - Click event
+   */
+  function handleItemListClick(event) {
+    const row = event.target.closest('.bag-item');
+
+    if (!row) {
+      return;
+    }
+
+    const productId = row.dataset.productId;
+    const item = findItem(productId);
+    const stepButton = event.target.closest('[data-bag-step]');
+
+    if (stepButton && item) {
+      const step = parseInt(stepButton.dataset.bagStep, 10);
+      updateQuantity(productId, item.quantity + step);
+      focusRowControl(productId, '[data-bag-step="' + step + '"]');
+      return;
+    }
+
+    if (event.target.closest('[data-bag-remove]')) {
+      removeItem(productId);
+    }
+  }
+
+  /**
+   * Handle typed quantity changes
+   * @param {Event} event - Change event
+   */
+  function handleQuantityChange(event) {
+    const input = event.target.closest('[data-bag-quantity]');
+
+    if (!input) {
+      return;
+    }
+
+    const row = input.closest('.bag-item');
+    updateQuantity(row.dataset.productId, parseInt(input.value, 10));
+    focusRowControl(row.dataset.productId, '[data-bag-quantity]');
+  }
+
+  /**
+   * Restore focus to a control in a re-rendered row
+   * @param {string} productId - Product id
+   * @param {string} selector - Control selector within the row
+   */
+  function focusRowControl(productId, selector) {
+    const rows = elements.itemList.querySelectorAll('.bag-item');
+
+    for (let i = 0; i < rows.length; i++) {
+      if (rows[i].dataset.productId === productId) {
+        const control = rows[i].querySelector(selector);
+        if (control && !control.disabled) {
+          control.focus();
+        } else {
+          elements.panel.focus();
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * Open the bag drawer
+   */
+  function openDrawer() {
+    if (state.isOpen) {
+      return;
+    }
+
+    state.isOpen = true;
+    state.returnFocusElement = document.activeElement;
+
+    elements.drawer.hidden = false;
+    elements.drawer.classList.add('is-open');
+    elements.toggleButton.setAttribute('aria-expanded', 'true');
+    elements.body.style.overflow = 'hidden';
+    elements.closeButton.focus();
+
+    console.debug('[Bag] Drawer opened');
+  }
+
+  /**
+   * Close the bag drawer and return focus
+   */
+  function closeDrawer() {
+    if (!state.isOpen) {
+      return;
+    }
+
+    state.isOpen = false;
+
+    elements.drawer.classList.remove('is-open');
+    elements.drawer.hidden = true;
+    elements.toggleButton.setAttribute('aria-expanded', 'false');
+    elements.body.style.overflow = '';
+
+    const returnTo = state.returnFocusElement && state.returnFocusElement !== elements.body &&
+                     document.contains(state.returnFocusElement)
+      ? state.returnFocusElement
+      : elements.toggleButton;
+    returnTo.focus();
+    state.returnFocusElement = null;
+
+    console.debug('[Bag] Drawer closed');
+  }
+
+  /**
+   * Handle Escape and focus trapping inside the drawer
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  function handlePanelKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      closeDrawer();
+      return;
+    }
+
+    if (event.key === 'Tab' && window.FashionForward) {
+      window.FashionForward.trapFocus(elements.panel, event);
+    }
+  }
+
+  /**
+   * Announce a bag update to screen readers
+   * @param {string} message - Announcement text
+   */
+  function announce(message) {
+    if (!elements.liveRegion) {
+      return;
+    }
+
+    elements.liveRegion.textContent = '';
+
+    // Re-setting on the next frame makes repeated messages announce again
+    setTimeout(function() {
+      elements.liveRegion.textContent = message;
+    }, 50);
+  }
+
+  /**
+   * Request a square thumbnail through the responsive images module
+   * @param {string} src - Image URL
+   * @param {number} size - Target width and height in pixels
+   * @returns {string} Resized image URL
+   */
+  function resizeImageUrl(src, size) {
+    const images = window.FashionForwardResponsiveImages;
+    return images ? images.resizeImageUrl(src, size, size) : src;
+  }
+
+  /**
+   * Public API for external access
+   */
+  window.FashionForwardBag = {
+    init: init,
+    open: function() {
+      if (!state.isInitialized) {
+        console.warn('[Bag] Module not initialized');
+        return;
+      }
+      openDrawer();
+    },
+    close: function() {
+      if (!state.isInitialized) {
+        console.warn('[Bag] Module not initialized');
+        return;
+      }
+      closeDrawer();
+    },
+    addProduct: function(productId, quantity) {
+      if (!state.isInitialized) {
+        console.warn('[Bag] Module not initialized');
+        return;
+      }
+      const card = document.querySelector('[data-product-card][data-product-id="' + window.CSS.escape(String(productId)) + '"]');
+      if (!card) {
+        console.warn('[Bag] Cannot add product:', productId);
+        return;
+      }
+      const product = readProduct(card);
+      if (product.isPurchasable) {
+        addItem(product, Math.max(Math.floor(quantity) || 1, 1));
+      }
+    },
+    updateQuantity: function(productId, quantity) {
+      if (!state.isInitialized) {
+        console.warn('[Bag] Module not initialized');
+        return;
+      }
+      updateQuantity(productId, quantity);
+    },
+    removeItem: function(productId) {
+      if (!state.isInitialized) {
+        console.warn('[Bag] Module not initialized');
+        return;
+      }
+      removeItem(productId);
+    },
+    clear: function() {
+      if (!state.isInitialized) {
+        console.warn('[Bag] Module not initialized');
+        return;
+      }
+      state.items = [];
+      commit('clear');
+    },
+    getItems: function() {
+      return state.items.map(function(item) {
+        return Object.assign({}, item);
+      });
+    },
+    getItemCount: getItemCount,
+    getSubtotals: getSubtotals,
+    isInitialized: function() {
+      return state.isInitialized;
+    }
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -0,0 +1,853 @@
+/**
+ * Fashion Forward Landing Page - Business Info
+ *
+ * Live store hours for the "Get in Touch" section. The weekly schedule
+ * comes from the section's JSON-LD openingHoursSpecification, falling
+ * back to the <time itemprop="openingHours"> microdata. Entries with
+ * validFrom/validThrough, and the holidays in config (fixed dates or rules
+ * like "the 4th Thursday of November"), override single dates; config
+ * holidays win.
+ *
+ * Everything is computed in the store's time zone (America/New_York), so
+ * a visitor in another zone sees the showroom's "Open now" or "Opens
+ * tomorrow at 11:00 AM". Today's row is highlighted, holidays in the next
+ * two weeks are listed under the hours, and the status refreshes every
+ * minute while the page is visible.
+ *
+ * Other modules read the schedule through FashionForwardBusinessInfo
+ * (getHoursForDate, getStoreNow), e.g. to offer appointment times, and
+ * share its date, time and visibility helpers.
+ *
+ * @generated-from: task-id:user-025
+ * @modifies: index.html, css/business-info.css, js/contact.js, sw.js
+ * @dependencies: []
+ */
+
+(function() {
+  'use strict';
+
+  // State management
+  const state = {
+    isInitialized: false,
+    // Opening ranges in minutes after midnight, by day (0 = Sunday)
+    weeklyHours: [],
+    // Date overrides from JSON-LD validFrom/validThrough, by YYYY-MM-DD
+    specialHours: {},
+    holidays: [],
+    refreshTimer: null
+  };
+
+  // Configuration
+  const config = {
+    scopeSelector: '#contact',
+    timeZone: 'America/New_York',
+    // "Closing soon" and "Opens in 20 minutes" within this many minutes
+    soonThreshold: 60,
+    // Holidays this many days ahead are listed under the hours
+    noticeDays: 14,
+    // How far ahead to look for the next opening
+    maxLookahead: 30,
+    // Store-time dates; MM-DD repeats every year, and month/weekday/nth
+    // (weekday 0 = Sunday, nth -1 for the last) repeats on a weekday rule.
+    // Leave out opens/closes to close for the day. Replace with
+    // FashionForwardBusinessInfo.setHolidays()
+    holidays: [
+      { month: 11, weekday: 4, nth: 4, name: 'Thanksgiving' },
+      { date: '12-24', name: 'Christmas Eve', opens: '10:00', closes: '16:00' },
+      { date: '12-25', name: 'Christmas Day' },
+      { date: '12-31', name: 'New Year\'s Eve', opens: '10:00', closes: '17:00' },
+      { date: '01-01', name: 'New Year\'s Day' }
+    ]
+  };
+
+  // DOM element cache
+  const elements = {
+    scope: null,
+    status: null,
+    rows: [],
+    notice: null
+  };
+
+  // Day abbreviations used in openingHours, by day index
+  const DAY_CODES = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+  // schema.org day names, by day index
+  const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  /**
+   * Initialize store hours
+   */
+  function init() {
+    if (state.isInitialized) {
+      console.warn('[BusinessInfo] Already initialized');
+      return;
+    }
+
+    try {
+      elements.scope = document.querySelector(config.scopeSelector);
+
+      if (!elements.scope) {
+        console.warn('[BusinessInfo] Business info section not found on page');
+        return;
+      }
+
+      cacheElements();
+      readSchedule();
+      state.holidays = config.holidays.map(normalizeHoliday).filter(Boolean);
+
+      render();
+      scheduleRefresh();
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+
+      state.isInitialized = true;
+      console.info('[BusinessInfo] Store hours initialized');
+    } catch (error) {
+      console.error('[BusinessInfo] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Cache DOM elements
+   */
+  function cacheElements() {
+    elements.status = elements.scope.querySelector('[data-hours-status]');
+    elements.notice = elements.scope.querySelector('[data-hours-notice]');
+    elements.rows = Array.from(elements.scope.querySelectorAll('[itemprop="openingHours"]')).map(function(time) {
+      return {
+        element: time.closest('li') || time,
+        days: parseOpeningHours(getOpeningHoursValue(time)).reduce(function(days, entry) {
+          return days.concat(entry.days);
+        }, [])
+      };
+    });
+  }
+
+  /**
+   * Read the weekly schedule and dated overrides. JSON-LD is preferred;
+   * the microdata is used when there is none.
+   */
+  function readSchedule() {
+    const fromMicrodata = createWeek();
+
+    elements.scope.querySelectorAll('[itemprop="openingHours"]').forEach(function(time) {
+      parseOpeningHours(getOpeningHoursValue(time)).forEach(function(entry) {
+        addRange(fromMicrodata, entry.days, entry.opens, entry.closes);
+      });
+    });
+
+    const fromJsonLd = readJsonLdHours();
+
+    if (fromJsonLd && hasHours(fromJsonLd) && hasHours(fromMicrodata) &&
+        JSON.stringify(fromJsonLd) !== JSON.stringify(fromMicrodata)) {
+      console.warn('[BusinessInfo] JSON-LD and microdata opening hours differ; using JSON-LD');
+    }
+
+    state.weeklyHours = fromJsonLd && hasHours(fromJsonLd) ? fromJsonLd : fromMicrodata;
+
+    if (!hasHours(state.weeklyHours)) {
+      console.warn('[BusinessInfo] No opening hours found');
+    }
+  }
+
+  /**
+   * Read openingHoursSpecification from the section's JSON-LD. Entries with
+   * validFrom/validThrough go to state.specialHours.
+   * @returns {Object[][]|null} Weekly ranges, or null without JSON-LD
+   */
+  function readJsonLdHours() {
+    const week = createWeek();
+    let found = false;
+
+    elements.scope.querySelectorAll('script[type="application/ld+json"]').forEach(function(script) {
+      let data;
+
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (error) {
+        console.warn('[BusinessInfo] Could not parse JSON-LD:', error);
+        return;
+      }
+
+      const nodes = Array.isArray(data['@graph']) ? data['@graph'] : [data];
+
+      nodes.forEach(function(node) {
+        toArray(node && node.openingHoursSpecification).forEach(function(spec) {
+          const days = toArray(spec.dayOfWeek).map(function(day) {
+            // "Monday" or "https://schema.org/Monday"
+            return DAY_NAMES.indexOf(String(day).split('/').pop());
+          }).filter(function(day) {
+            return day !== -1;
+          });
+          const opens = parseTime(spec.opens);
+          const closes = parseTime(spec.closes);
+
+          if (opens === null || closes === null) {
+            return;
+          }
+
+          found = true;
+
+          if (spec.validFrom) {
+            addSpecialHours(spec.validFrom, spec.validThrough || spec.validFrom, days, opens, closes);
+          } else {
+            addRange(week, days, opens, closes);
+          }
+        });
+      });
+    });
+
+    return found ? week : null;
+  }
+
+  /**
+   * Add a dated override, one entry per day in the range
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} through - Last date (YYYY-MM-DD)
+   * @param {number[]} days - Days of the week it applies to (all when empty)
+   * @param {number} opens - Opening time in minutes
+   * @param {number} closes - Closing time in minutes
+   */
+  function addSpecialHours(from, through, days, opens, closes) {
+    const first = String(from).slice(0, 10);
+    const last = String(through).slice(0, 10);
+
+    if (!isDateString(first) || !isDateString(last)) {
+      return;
+    }
+
+    for (let date = first, count = 0; date <= last && count < 366; date = addDays(date, 1), count++) {
+      if (days.length > 0 && days.indexOf(getDayOfWeek(date)) === -1) {
+        continue;
+      }
+
+      state.specialHours[date] = state.specialHours[date] || [];
+
+      // schema.org marks closed days with opens and closes both 00:00
+      if (closes > opens) {
+        state.specialHours[date].push({ opens: opens, closes: closes });
+      }
+    }
+  }
+
+  /**
+   * Opening hours for a date, with holidays and dated overrides applied
+   * @param {string} date - Date as YYYY-MM-DD (store time)
+   * @returns {Object} { ranges: [{ opens, closes }], holiday: { name } | null }
+   */
+  function getHoursForDate(date) {
+    if (!isDateString(date)) {
+      return { ranges: [], holiday: null };
+    }
+
+    const holiday = findHoliday(date);
+
+    if (holiday) {
+      return {
+        ranges: holiday.ranges.slice(),
+        holiday: { name: holiday.name }
+      };
+    }
+
+    const ranges = state.specialHours[date] || state.weeklyHours[getDayOfWeek(date)] || [];
+
+    return {
+      ranges: ranges.slice().sort(function(a, b) {
+        return a.opens - b.opens;
+      }),
+      holiday: null
+    };
+  }
+
+  /**
+   * Find the configured holiday for a date
+   * @param {string} date - Date as YYYY-MM-DD
+   * @returns {Object|null} Normalized holiday
+   */
+  function findHoliday(date) {
+    return state.holidays.find(function(holiday) {
+      if (holiday.rule) {
+        return matchesWeekdayRule(date, holiday.rule);
+      }
+
+      return holiday.date === date || holiday.date === date.slice(5);
+    }) || null;
+  }
+
+  /**
+   * Check a date against a rule such as "the 4th Thursday of November"
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {Object} rule - { month: 1-12, weekday: 0-6, nth: 1-5 or -1 for the last }
+   * @returns {boolean} True if the date matches
+   */
+  function matchesWeekdayRule(date, rule) {
+    if (Number(date.slice(5, 7)) !== rule.month || getDayOfWeek(date) !== rule.weekday) {
+      return false;
+    }
+
+    if (rule.nth === -1) {
+      return addDays(date, 7).slice(5, 7) !== date.slice(5, 7);
+    }
+
+    return Math.ceil(Number(date.slice(8, 10)) / 7) === rule.nth;
+  }
+
+  /**
+   * Validate a configured holiday
+   * @param {Object} holiday - { date | month, weekday, nth; name, opens?, closes? }
+   * @returns {Object|null} { date, rule, name, ranges }, or null if invalid
+   */
+  function normalizeHoliday(holiday) {
+    const date = holiday && holiday.date ? String(holiday.date) : null;
+    const rule = holiday && !date ? normalizeWeekdayRule(holiday) : null;
+
+    if (!(date && (isDateString(date) || /^\d{2}-\d{2}$/.test(date))) && !rule) {
+      console.warn('[BusinessInfo] Ignoring holiday with an invalid date:', holiday);
+      return null;
+    }
+
+    const opens = parseTime(holiday.opens);
+    const closes = parseTime(holiday.closes);
+
+    return {
+      date: date,
+      rule: rule,
+      name: holiday.name || 'Holiday',
+      ranges: opens !== null && closes !== null && closes > opens ? [{ opens: opens, closes: closes }] : []
+    };
+  }
+
+  /**
+   * Validate a holiday's weekday rule
+   * @param {Object} holiday - { month, weekday, nth }
+   * @returns {Object|null} { month, weekday, nth }, or null if invalid
+   */
+  function normalizeWeekdayRule(holiday) {
+    const month = Number(holiday.month);
+    const weekday = Number(holiday.weekday);
+    const nth = Number(holiday.nth);
+
+    const isValid = Number.isInteger(month) && month >= 1 && month <= 12 &&
+      Number.isInteger(weekday) && weekday >= 0 && weekday <= 6 &&
+      (nth === -1 || (Number.isInteger(nth) && nth >= 1 && nth <= 5));
+
+    return isValid ? { month: month, weekday: weekday, nth: nth } : null;
+  }
+
+  /**
+   * Work out whether the store is open now and when that changes
+   * @returns {Object} { isOpen, isSoon, closesAt?, opensAt?, opensDate?, daysUntilOpen?, minutesLeft?, holiday }
+   */
+  function getStatus() {
+    const now = getStoreNow();
+    const today = getHoursForDate(now.date);
+
+    const current = today.ranges.find(function(range) {
+      return now.minutes >= range.opens && now.minutes < range.closes;
+    });
+
+    if (current) {
+      return {
+        isOpen: true,
+        isSoon: current.closes - now.minutes <= config.soonThreshold,
+        closesAt: current.closes,
+        minutesLeft: current.closes - now.minutes,
+        holiday: today.holiday
+      };
+    }
+
+    for (let offset = 0; offset <= config.maxLookahead; offset++) {
+      const date = addDays(now.date, offset);
+      const next = getHoursForDate(date).ranges.find(function(range) {
+        return offset > 0 || range.opens > now.minutes;
+      });
+
+      if (next) {
+        return {
+          isOpen: false,
+          isSoon: offset === 0 && next.opens - now.minutes <= config.soonThreshold,
+          opensAt: next.opens,
+          opensDate: date,
+          daysUntilOpen: offset,
+          minutesLeft: offset === 0 ? next.opens - now.minutes : null,
+          isHolidayClosure: Boolean(today.holiday) && today.ranges.length === 0,
+          holiday: today.holiday
+        };
+      }
+    }
+
+    return {
+      isOpen: false,
+      isSoon: false,
+      opensDate: null,
+      isHolidayClosure: Boolean(today.holiday) && today.ranges.length === 0,
+      holiday: today.holiday
+    };
+  }
+
+  /**
+   * Headline and detail text for a status
+   * @param {Object} status - Status from getStatus
+   * @returns {Object} { label, detail }
+   */
+  function describeStatus(status) {
+    if (status.isOpen) {
+      const hoursNote = status.holiday ? ' (' + status.holiday.name + ' hours)' : '';
+
+      return {
+        label: status.isSoon ? 'Closing soon' : 'Open now',
+        detail: (status.isSoon
+          ? 'Closes in ' + formatDuration(status.minutesLeft)
+          : 'Closes at ' + formatTime(status.closesAt)) + hoursNote
+      };
+    }
+
+    const label = status.isHolidayClosure ? 'Closed for ' + status.holiday.name : 'Closed';
+
+    if (!status.opensDate) {
+      return { label: label, detail: '' };
+    }
+
+    let detail;
+
+    if (status.isSoon) {
+      detail = 'Opens in ' + formatDuration(status.minutesLeft);
+    } else if (status.daysUntilOpen === 0) {
+      detail = 'Opens today at ' + formatTime(status.opensAt);
+    } else if (status.daysUntilOpen === 1) {
+      detail = 'Opens tomorrow at ' + formatTime(status.opensAt);
+    } else if (status.daysUntilOpen < 7) {
+      detail = 'Opens ' + formatDate(status.opensDate, { weekday: 'long' }) + ' at ' + formatTime(status.opensAt);
+    } else {
+      detail = 'Opens ' + formatDate(status.opensDate, { weekday: 'short', month: 'short', day: 'numeric' }) +
+        ' at ' + formatTime(status.opensAt);
+    }
+
+    return { label: label, detail: detail };
+  }
+
+  /**
+   * Update the status line, today's row and the holiday notice
+   */
+  function render() {
+    const now = getStoreNow();
+    const status = getStatus();
+
+    renderStatus(status);
+
+    elements.rows.forEach(function(row) {
+      const isToday = row.days.indexOf(getDayOfWeek(now.date)) !== -1;
+
+      row.element.classList.toggle('is-today', isToday);
+
+      if (isToday) {
+        row.element.setAttribute('aria-current', 'date');
+      } else {
+        row.element.removeAttribute('aria-current');
+      }
+    });
+
+    renderNotice(now.date);
+  }
+
+  /**
+   * Show the open or closed status
+   * @param {Object} status - Status from getStatus
+   */
+  function renderStatus(status) {
+    if (!elements.status) {
+      return;
+    }
+
+    const text = describeStatus(status);
+
+    const badge = document.createElement('span');
+    badge.className = 'hours-status-label';
+    badge.textContent = text.label;
+
+    elements.status.textContent = '';
+    elements.status.appendChild(badge);
+
+    if (text.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'hours-status-detail';
+      detail.textContent = text.detail;
+      elements.status.appendChild(detail);
+    }
+
+    elements.status.classList.toggle('is-open', status.isOpen);
+    elements.status.classList.toggle('is-closed', !status.isOpen);
+    elements.status.classList.toggle('is-soon', status.isSoon);
+    setVisible(elements.status, true);
+  }
+
+  /**
+   * List holidays coming up in the next few days
+   * @param {string} today - Today's date (store time)
+   */
+  function renderNotice(today) {
+    if (!elements.notice) {
+      return;
+    }
+
+    const items = [];
+
+    for (let offset = 0; offset < config.noticeDays; offset++) {
+      const date = addDays(today, offset);
+      const hours = getHoursForDate(date);
+
+      if (hours.holiday) {
+        items.push({
+          date: date,
+          name: hours.holiday.name,
+          hours: hours.ranges.length > 0 ? hours.ranges.map(function(range) {
+            return formatTime(range.opens) + ' - ' + formatTime(range.closes);
+          }).join(', ') : 'Closed'
+        });
+      }
+    }
+
+    elements.notice.textContent = '';
+
+    if (items.length === 0) {
+      setVisible(elements.notice, false);
+      return;
+    }
+
+    const title = document.createElement('p');
+    title.className = 'hours-notice-title';
+    title.textContent = 'Holiday hours';
+
+    const list = document.createElement('ul');
+    list.className = 'hours-notice-list';
+    list.setAttribute('role', 'list');
+
+    items.forEach(function(item) {
+      const entry = document.createElement('li');
+      entry.className = 'hours-notice-item';
+      entry.textContent = formatDate(item.date, { weekday: 'short', month: 'short', day: 'numeric' }) +
+        ' (' + item.name + '): ' + item.hours;
+      list.appendChild(entry);
+    });
+
+    elements.notice.appendChild(title);
+    elements.notice.appendChild(list);
+    setVisible(elements.notice, true);
+  }
+
+  /**
+   * Refresh at the start of every minute while the page is visible
+   */
+  function scheduleRefresh() {
+    clearTimeout(state.refreshTimer);
+
+    if (document.hidden) {
+      return;
+    }
+
+    state.refreshTimer = setTimeout(function() {
+      render();
+      scheduleRefresh();
+    }, 60000 - (Date.now() % 60000));
+  }
+
+  /**
+   * Catch up after the tab was in the background
+   */
+  function handleVisibilityChange() {
+    if (document.hidden) {
+      clearTimeout(state.refreshTimer);
+      return;
+    }
+
+    render();
+    scheduleRefresh();
+  }
+
+  /**
+   * Show or hide an element
+   * @param {HTMLElement} element - Element to toggle
+   * @param {boolean} isVisible - Whether to show it
+   */
+  function setVisible(element, isVisible) {
+    element.classList.toggle('is-hidden', !isVisible);
+    element.setAttribute('aria-hidden', isVisible ? 'false' : 'true');
+  }
+
+  /**
+   * Opening hours text of a microdata element
+   * @param {HTMLElement} element - Element with itemprop="openingHours"
+   * @returns {string} e.g. "Mo-Fr 10:00-20:00"
+   */
+  function getOpeningHoursValue(element) {
+    return element.getAttribute('content') || element.getAttribute('datetime') || element.textContent;
+  }
+
+  /**
+   * Parse one schema.org openingHours value
+   * @param {string} value - e.g. "Mo-Fr 10:00-20:00" or "Mo,We 09:00-12:00 13:00-17:00"
+   * @returns {Object[]} Entries ({ days: number[], opens, closes })
+   */
+  function parseOpeningHours(value) {
+    const parts = String(value || '').trim().split(/\s+/);
+    const days = parseDays(parts.shift() || '');
+    const entries = [];
+
+    parts.forEach(function(range) {
+      const times = range.split('-');
+      const opens = parseTime(times[0]);
+      const closes = parseTime(times[1]);
+
+      if (days.length > 0 && opens !== null && closes !== null && closes > opens) {
+        entries.push({ days: days, opens: opens, closes: closes });
+      }
+    });
+
+    if (entries.length === 0) {
+      console.warn('[BusinessInfo] Could not parse opening hours:', value);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse openingHours days ("Mo-Fr", "Sa", "Mo,We,Fr")
+   * @param {string} value - Days part
+   * @returns {number[]} Day indexes (0 = Sunday)
+   */
+  function parseDays(value) {
+    const days = [];
+
+    value.split(',').forEach(function(part) {
+      const bounds = part.split('-').map(function(code) {
+        return DAY_CODES.indexOf(code);
+      });
+
+      if (bounds.some(function(day) { return day === -1; })) {
+        return;
+      }
+
+      const start = bounds[0];
+      const end = bounds.length > 1 ? bounds[1] : start;
+
+      // Ranges may wrap past Saturday ("Fr-Mo")
+      for (let day = start; ; day = (day + 1) % 7) {
+        if (days.indexOf(day) === -1) {
+          days.push(day);
+        }
+        if (day === end) {
+          break;
+        }
+      }
+    });
+
+    return days;
+  }
+
+  /**
+   * Parse "10:00" or "10:00:00" into minutes after midnight
+   * @param {string} value - Time
+   * @returns {number|null} Minutes, or null if invalid
+   */
+  function parseTime(value) {
+    const match = String(value || '').match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+      return null;
+    }
+
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  /**
+   * An empty schedule, one list of ranges per day
+   * @returns {Object[][]} Week
+   */
+  function createWeek() {
+    return DAY_CODES.map(function() {
+      return [];
+    });
+  }
+
+  /**
+   * Add an opening range to several days of a week
+   * @param {Object[][]} week - Week from createWeek
+   * @param {number[]} days - Day indexes
+   * @param {number} opens - Opening time in minutes
+   * @param {number} closes - Closing time in minutes
+   */
+  function addRange(week, days, opens, closes) {
+    if (closes <= opens) {
+      return;
+    }
+
+    days.forEach(function(day) {
+      week[day].push({ opens: opens, closes: closes });
+    });
+  }
+
+  /**
+   * Check whether a week has any opening hours
+   * @param {Object[][]} week - Week from createWeek
+   * @returns {boolean} True if open at some point
+   */
+  function hasHours(week) {
+    return week.some(function(ranges) {
+      return ranges.length > 0;
+    });
+  }
+
+  /**
+   * Wrap a single value in an array
+   * @param {*} value - Value or array
+   * @returns {Array} Array
+   */
+  function toArray(value) {
+    if (value === undefined || value === null) {
+      return [];
+    }
+
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Today's date and the time of day at the store
+   * @returns {Object} { date: 'YYYY-MM-DD', minutes }
+   */
+  function getStoreNow() {
+    const parts = {};
+
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: config.timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date()).forEach(function(part) {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      date: parts.year + '-' + parts.month + '-' + parts.day,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  /**
+   * Check for a real calendar date as YYYY-MM-DD
+   * @param {string} value - Date string
+   * @returns {boolean} True if valid
+   */
+  function isDateString(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+      return false;
+    }
+
+    const date = new Date(value + 'T00:00:00Z');
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  }
+
+  /**
+   * Add days to a date
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {number} days - Days to add
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  function addDays(date, days) {
+    const result = new Date(date + 'T00:00:00Z');
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Day of the week for a date
+   * @param {string} date - Date as YYYY-MM-DD
+   * @returns {number} Day index (0 = Sunday)
+   */
+  function getDayOfWeek(date) {
+    return new Date(date + 'T00:00:00Z').getUTCDay();
+  }
+
+  /**
+   * Format a date
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {string} Formatted date
+   */
+  function formatDate(date, options) {
+    return new Date(date + 'T12:00:00Z').toLocaleDateString('en-US', Object.assign({ timeZone: 'UTC' }, options));
+  }
+
+  /**
+   * Format minutes after midnight as "11:00 AM", matching the hours list
+   * @param {number} minutes - Minutes after midnight
+   * @returns {string} Formatted time
+   */
+  function formatTime(minutes) {
+    const hours = Math.floor(minutes / 60) % 24;
+    const period = hours >= 12 ? 'PM' : 'AM';
+
+    return ((hours + 11) % 12 + 1) + ':' + String(minutes % 60).padStart(2, '0') + ' ' + period;
+  }
+
+  /**
+   * Format a short duration as "25 minutes" or "1 hour"
+   * @param {number} minutes - Duration in minutes
+   * @returns {string} Formatted duration
+   */
+  function formatDuration(minutes) {
+    if (minutes >= 60 && minutes % 60 === 0) {
+      return minutes / 60 + (minutes === 60 ? ' hour' : ' hours');
+    }
+
+    return minutes + (minutes === 1 ? ' minute' : ' minutes');
+  }
+
+  /**
+   * Public API
+   */
+  window.FashionForwardBusinessInfo = {
+    init: init,
+    isInitialized: function() {
+      return state.isInitialized;
+    },
+    getTimeZone: function() {
+      return config.timeZone;
+    },
+    getStoreNow: getStoreNow,
+    getHoursForDate: getHoursForDate,
+    isDateString: isDateString,
+    addDays: addDays,
+    formatDate: formatDate,
+    formatTime: formatTime,
+    setVisible: setVisible,
+    getStatus: function() {
+      const status = getStatus();
+      return Object.assign(status, describeStatus(status));
+    },
+    setHolidays: function(holidays) {
+      if (!Array.isArray(holidays)) {
+        console.warn('[BusinessInfo] Holidays must be an array');
+        return;
+      }
+      state.holidays = holidays.map(normalizeHoliday).filter(Boolean);
+      if (state.isInitialized) {
+        render();
+      }
+    },
+    refresh: function() {
+      if (state.isInitialized) {
+        render();
+      }
+    }
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
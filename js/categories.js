@@ -2,11 +2,12 @@
  * Fashion Forward Landing Page - Category Navigation JavaScript
  * 
  * Handles category card interactions, scroll animations, keyboard navigation,
- * and analytics tracking preparation for the product category section.
+ * favorite collections, and analytics tracking preparation for the product
+ * category section.
  * 
  * @generated-from: task-id:TASK-003
  * @modifies: none
- * @dependencies: []
+ * @dependencies: ["js/image-loader.js"]
  */
 
 (function() {
@@ -19,7 +20,8 @@
     focusedCardIndex: -1,
     categoryCards: [],
     animationQueue: new Set(),
-    clickTracking: []
+    clickTracking: [],
+    favorites: new Set()
   };
 
   // Configuration
@@ -31,7 +33,9 @@
     },
     animationDelay: 100,
     hoverTransitionDuration: 300,
-    maxClickTrackingEntries: 100
+    maxClickTrackingEntries: 100,
+    favoritesStorageKey: 'ff-favorites-categories',
+    favoritesStorageVersion: 1
   };
 
   // DOM element cache
@@ -41,6 +45,11 @@
     categoryImages: null
   };
 
+  // Events go through the shared analytics bus (js/analytics.js, loaded first)
+  const trackEvent = window.FashionForwardAnalytics
+    ? window.FashionForwardAnalytics.createTracker('categories')
+    : function() {};
+
   /**
    * Initialize category navigation functionality
    */
@@ -56,6 +65,9 @@
         return;
       }
 
+      loadFavorites();
+      setupFavoriteToggles();
+      setupFavoritesSync();
       setupIntersectionObserver();
       setupKeyboardNavigation();
       setupClickTracking();
@@ -192,6 +204,10 @@
 
       // Add keyboard event listeners
       card.addEventListener('keydown', function(event) {
+        // The favorite toggle handles its own keys
+        if (isCardAction(event.target)) {
+          return;
+        }
         handleCardKeydown(event, index);
       });
 
@@ -366,6 +382,10 @@
   function setupClickTracking() {
     state.categoryCards.forEach(function(card) {
       card.addEventListener('click', function(event) {
+        if (isCardAction(event.target)) {
+          return;
+        }
+
         const category = card.getAttribute('data-category-card');
         const isKeyboard = event.detail === 0;
         
@@ -399,17 +419,188 @@
 
     console.info('[Categories] Click tracked:', clickData);
 
-    // Prepare for future analytics integration
-    if (window.dataLayer) {
-      try {
-        window.dataLayer.push({
-          event: 'category_click',
+    trackEvent('category_click', {
+      category: category,
+      interactionType: interactionType
+    });
+  }
+
+  /**
+   * Add a favorite (heart) toggle to each category card
+   */
+  function setupFavoriteToggles() {
+    state.categoryCards.forEach(function(card) {
+      if (card.querySelector('[data-favorite-toggle]')) {
+        return;
+      }
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'favorite-toggle touch-target';
+      button.setAttribute('data-favorite-toggle', '');
+      button.setAttribute('data-card-action', '');
+      button.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">' +
+        '<path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>' +
+        '</svg>';
+
+      button.addEventListener('click', function(event) {
+        event.preventDefault();
+        toggleFavorite(card);
+      });
+
+      card.appendChild(button);
+      updateFavoriteToggle(card);
+    });
+
+    console.debug('[Categories] Favorite toggles enabled');
+  }
+
+  /**
+   * Check whether an event target is a control inside the card that
+   * handles its own activation
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True if the target is inside a [data-card-action]
+   */
+  function isCardAction(target) {
+    return Boolean(target && target.closest && target.closest('[data-card-action]'));
+  }
+
+  /**
+   * Reflect a card's favorite state on its toggle
+   * @param {HTMLElement} card - Category card element
+   */
+  function updateFavoriteToggle(card) {
+    const button = card.querySelector('[data-favorite-toggle]');
+
+    if (!button) {
+      return;
+    }
+
+    const category = card.getAttribute('data-category-card');
+    const title = card.querySelector('h3');
+    const name = title ? title.textContent.trim() : category;
+    const isFavorite = state.favorites.has(category);
+
+    button.setAttribute('aria-pressed', String(isFavorite));
+    button.setAttribute('aria-label', isFavorite
+      ? 'Remove ' + name + ' collection from favorites'
+      : 'Add ' + name + ' collection to favorites');
+    card.classList.toggle('is-favorite', isFavorite);
+  }
+
+  /**
+   * Add or remove a collection from favorites
+   * @param {HTMLElement} card - Category card element
+   */
+  function toggleFavorite(card) {
+    try {
+      const category = card.getAttribute('data-category-card');
+      const title = card.querySelector('h3');
+      const isFavorite = !state.favorites.has(category);
+
+      if (isFavorite) {
+        state.favorites.add(category);
+      } else {
+        state.favorites.delete(category);
+      }
+
+      saveFavorites();
+      updateFavoriteToggle(card);
+
+      console.info('[Categories] Favorite ' + (isFavorite ? 'added' : 'removed') + ':', category);
+
+      trackEvent(isFavorite ? 'category_favorite_add' : 'category_favorite_remove', {
+        category: category,
+        favoriteCount: state.favorites.size
+      });
+
+      // Dispatch custom event for analytics integration
+      card.dispatchEvent(new CustomEvent('categoryFavoriteChange', {
+        detail: {
           category: category,
-          interactionType: interactionType
-        });
-      } catch (error) {
-        console.error('[Categories] Analytics push failed:', error);
+          categoryName: title ? title.textContent.trim() : category,
+          isFavorite: isFavorite,
+          favoriteCount: state.favorites.size,
+          element: card
+        },
+        bubbles: true
+      }));
+    } catch (error) {
+      console.error('[Categories] Error toggling favorite:', error);
+    }
+  }
+
+  /**
+   * Keep favorite collections in sync with other tabs. Each collection
+   * that changed fires categoryFavoriteChange (with synced: true) so the
+   * products favorites view updates too.
+   */
+  function setupFavoritesSync() {
+    window.addEventListener('storage', function(event) {
+      if (event.key !== config.favoritesStorageKey && event.key !== null) {
+        return;
       }
+
+      const previous = state.favorites;
+      loadFavorites();
+
+      state.categoryCards.forEach(function(card) {
+        const category = card.getAttribute('data-category-card');
+        const isFavorite = state.favorites.has(category);
+
+        if (isFavorite === previous.has(category)) {
+          return;
+        }
+
+        const title = card.querySelector('h3');
+
+        updateFavoriteToggle(card);
+        card.dispatchEvent(new CustomEvent('categoryFavoriteChange', {
+          detail: {
+            category: category,
+            categoryName: title ? title.textContent.trim() : category,
+            isFavorite: isFavorite,
+            favoriteCount: state.favorites.size,
+            element: card,
+            synced: true
+          },
+          bubbles: true
+        }));
+      });
+
+      console.debug('[Categories] Favorites synced from another tab:', state.favorites.size);
+    });
+  }
+
+  /**
+   * Load favorite collections from localStorage
+   */
+  function loadFavorites() {
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(config.favoritesStorageKey) || 'null');
+
+      state.favorites = new Set(
+        stored && stored.version === config.favoritesStorageVersion && Array.isArray(stored.categories)
+          ? stored.categories.filter(function(category) { return typeof category === 'string' && category; })
+          : []
+      );
+    } catch (error) {
+      console.warn('[Categories] Could not read stored favorites:', error);
+      state.favorites = new Set();
+    }
+  }
+
+  /**
+   * Save favorite collections to localStorage
+   */
+  function saveFavorites() {
+    try {
+      window.localStorage.setItem(config.favoritesStorageKey, JSON.stringify({
+        version: config.favoritesStorageVersion,
+        categories: Array.from(state.favorites)
+      }));
+    } catch (error) {
+      console.warn('[Categories] Could not save favorites:', error);
     }
   }
 
@@ -436,47 +627,42 @@
   }
 
   /**
-   * Setup image load handling for performance monitoring
+   * Setup image load handling for performance monitoring. Loading and the
+   * is-loaded / has-error classes are handled by the shared image loader
+   * (js/image-loader.js); this only reacts to its events.
    */
   function setupImageLoadHandling() {
     if (!elements.categoryImages || elements.categoryImages.length === 0) {
       return;
     }
 
-    elements.categoryImages.forEach(function(img) {
-      const category = img.getAttribute('data-category-image');
+    elements.categoriesSection.addEventListener('imageLoaded', function(event) {
+      const category = event.target.getAttribute('data-category-image');
 
-      // Track load time
-      const loadStartTime = performance.now();
-
-      img.addEventListener('load', function() {
-        const loadTime = performance.now() - loadStartTime;
-        
-        console.debug('[Categories] Image loaded:', {
-          category: category,
-          loadTime: Math.round(loadTime) + 'ms',
-          naturalWidth: img.naturalWidth,
-          naturalHeight: img.naturalHeight
-        });
+      if (!category) {
+        return;
+      }
 
-        // Mark image as loaded for CSS transitions
-        img.classList.add('is-loaded');
+      console.debug('[Categories] Image loaded:', {
+        category: category,
+        loadTime: event.detail.loadTime + 'ms',
+        naturalWidth: event.target.naturalWidth,
+        naturalHeight: event.target.naturalHeight
       });
+    });
 
-      img.addEventListener('error', function() {
-        console.error('[Categories] Image load failed:', {
-          category: category,
-          src: img.src
-        });
+    elements.categoriesSection.addEventListener('imageLoadError', function(event) {
+      const img = event.target;
+      const category = img.getAttribute('data-category-image');
 
-        // Add error class for fallback styling
-        img.classList.add('has-error');
-        
-        // Optionally set fallback image
-        const fallbackSrc = img.getAttribute('data-fallback-src');
-        if (fallbackSrc && img.src !== fallbackSrc) {
-          img.src = fallbackSrc;
-        }
+      if (!category) {
+        return;
+      }
+
+      // Fallback sources and the Retry placeholder come from js/image-recovery.js
+      console.error('[Categories] Image load failed:', {
+        category: category,
+        src: event.detail.src
       });
     });
 
@@ -514,6 +700,22 @@
   window.FashionForwardCategories = {
     init: init,
     getClickTrackingData: getClickTrackingData,
+    getFavorites: function() {
+      return Array.from(state.favorites);
+    },
+    isFavorite: function(category) {
+      return state.favorites.has(category);
+    },
+    toggleFavorite: function(category) {
+      const card = state.categoryCards.find(function(element) {
+        return element.getAttribute('data-category-card') === category;
+      });
+      if (!card) {
+        console.warn('[Categories] Category card not found:', category);
+        return;
+      }
+      toggleFavorite(card);
+    },
     isInitialized: function() {
       return state.isInitialized;
     },
@@ -0,0 +1,538 @@
+/**
+ * Fashion Forward Landing Page - Consent Manager
+ *
+ * Cookie and tracking consent with a first-visit banner and a preferences
+ * dialog for necessary, analytics and marketing categories. Choices are
+ * stored with the policy version they were given for, and other modules
+ * check them through the public API before emitting tracking data.
+ *
+ * @generated-from: task-id:user-009
+ * @modifies: none
+ * @dependencies: ["js/main.js"]
+ */
+
+(function() {
+  'use strict';
+
+  // State management
+  const state = {
+    isInitialized: false,
+    choices: null,
+    updatedAt: null,
+    isDialogOpen: false,
+    returnFocusElement: null
+  };
+
+  // DOM element cache
+  const elements = {
+    body: null,
+    banner: null,
+    dialog: null,
+    panel: null,
+    form: null,
+    openButtons: null
+  };
+
+  // Configuration
+  const config = {
+    storageKey: 'ff-consent',
+    // Bump when the privacy policy changes to ask everyone again
+    version: '2024-06-01',
+    privacyUrl: '/privacy'
+  };
+
+  // Consent categories shown in the preferences dialog
+  const CONSENT_CATEGORIES = {
+    necessary: {
+      label: 'Strictly necessary',
+      description: 'Required for the site to work, such as remembering your bag, favorites and these choices. Always on.',
+      required: true
+    },
+    analytics: {
+      label: 'Analytics',
+      description: 'Helps us understand how the site is used, such as which products and collections are viewed, so we can improve it.',
+      required: false
+    },
+    marketing: {
+      label: 'Marketing',
+      description: 'Lets our advertising partners measure campaigns and show you more relevant offers.',
+      required: false
+    }
+  };
+
+  /**
+   * Initialize the consent manager
+   */
+  function init() {
+    if (state.isInitialized) {
+      console.warn('[Consent] Already initialized');
+      return;
+    }
+
+    try {
+      elements.body = document.body;
+
+      loadChoices();
+      buildDialog();
+      setupOpenButtons();
+
+      if (!state.choices) {
+        showBanner();
+      }
+
+      state.isInitialized = true;
+      console.info('[Consent] Consent manager initialized:', state.choices ? 'choices restored' : 'awaiting choice');
+    } catch (error) {
+      console.error('[Consent] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Restore stored choices; choices given for an older version are ignored
+   */
+  function loadChoices() {
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(config.storageKey) || 'null');
+
+      if (!stored || stored.version !== config.version || !stored.categories) {
+        return;
+      }
+
+      state.choices = normalizeChoices(stored.categories);
+      state.updatedAt = stored.updatedAt || null;
+    } catch (error) {
+      console.warn('[Consent] Could not read stored consent:', error);
+    }
+  }
+
+  /**
+   * Persist the current choices
+   */
+  function saveChoices() {
+    try {
+      window.localStorage.setItem(config.storageKey, JSON.stringify({
+        version: config.version,
+        categories: state.choices,
+        updatedAt: state.updatedAt
+      }));
+    } catch (error) {
+      // Choices still apply for this page view
+      console.warn('[Consent] Could not save consent:', error);
+    }
+  }
+
+  /**
+   * Build a full choices object; necessary categories are always granted
+   * @param {Object} choices - Category name to boolean
+   * @returns {Object} Normalized choices
+   */
+  function normalizeChoices(choices) {
+    const result = {};
+
+    Object.keys(CONSENT_CATEGORIES).forEach(function(category) {
+      result[category] = CONSENT_CATEGORIES[category].required || Boolean(choices && choices[category]);
+    });
+
+    return result;
+  }
+
+  /**
+   * Apply new choices, persist them and notify listeners
+   * @param {Object} choices - Category name to boolean
+   * @param {string} method - How the choice was made ('accept_all', 'reject_all', 'custom' or 'api')
+   */
+  function applyChoices(choices, method) {
+    const previous = state.choices;
+
+    state.choices = normalizeChoices(choices);
+    state.updatedAt = new Date().toISOString();
+
+    saveChoices();
+    hideBanner();
+    syncDialogControls();
+
+    console.info('[Consent] Choices saved:', state.choices);
+
+    document.dispatchEvent(new CustomEvent('consentChange', {
+      detail: {
+        categories: Object.assign({}, state.choices),
+        previous: previous ? Object.assign({}, previous) : null,
+        version: config.version,
+        method: method,
+        updatedAt: state.updatedAt
+      }
+    }));
+  }
+
+  /**
+   * Grant every category
+   * @param {string} [method] - How the choice was made
+   */
+  function acceptAll(method) {
+    const choices = {};
+    Object.keys(CONSENT_CATEGORIES).forEach(function(category) {
+      choices[category] = true;
+    });
+    applyChoices(choices, method || 'accept_all');
+  }
+
+  /**
+   * Decline every optional category
+   * @param {string} [method] - How the choice was made
+   */
+  function rejectAll(method) {
+    applyChoices({}, method || 'reject_all');
+  }
+
+  /**
+   * Check consent for a category
+   * @param {string} category - 'necessary', 'analytics' or 'marketing'
+   * @returns {boolean} True if the category may be used
+   */
+  function hasConsent(category) {
+    const definition = CONSENT_CATEGORIES[category];
+
+    if (!definition) {
+      console.warn('[Consent] Unknown consent category:', category);
+      return false;
+    }
+
+    if (definition.required) {
+      return true;
+    }
+
+    return Boolean(state.choices && state.choices[category]);
+  }
+
+  /**
+   * Show the first-visit banner
+   */
+  function showBanner() {
+    if (elements.banner) {
+      elements.banner.hidden = false;
+      return;
+    }
+
+    const banner = document.createElement('div');
+    banner.className = 'consent-banner';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-labelledby', 'consent-banner-title');
+    banner.setAttribute('data-consent-banner', '');
+    banner.innerHTML =
+      '<div class="consent-banner-content">' +
+        '<h2 id="consent-banner-title" class="consent-banner-title">Your privacy choices</h2>' +
+        '<p class="consent-banner-text">' +
+          'We use cookies and similar technologies to run this site, measure how it is used and support our marketing. ' +
+          'Choose which optional categories you allow. <a class="consent-banner-link"></a>' +
+        '</p>' +
+      '</div>' +
+      '<div class="consent-banner-actions">' +
+        '<button type="button" class="btn btn-ghost btn-sm touch-target" data-consent-action="manage">Manage preferences</button>' +
+        '<button type="button" class="btn btn-outline btn-sm touch-target" data-consent-action="reject">Reject all</button>' +
+        '<button type="button" class="btn btn-primary btn-sm touch-target" data-consent-action="accept">Accept all</button>' +
+      '</div>';
+
+    const link = banner.querySelector('.consent-banner-link');
+    link.href = config.privacyUrl;
+    link.textContent = 'Privacy Policy';
+
+    banner.addEventListener('click', function(event) {
+      const button = event.target.closest('[data-consent-action]');
+
+      if (!button) {
+        return;
+      }
+
+      const action = button.getAttribute('data-consent-action');
+
+      if (action === 'accept') {
+        acceptAll();
+      } else if (action === 'reject') {
+        rejectAll();
+      } else if (action === 'manage') {
+        openPreferences(button);
+      }
+    });
+
+    elements.body.appendChild(banner);
+    elements.banner = banner;
+  }
+
+  /**
+   * Hide the banner once a choice is made
+   */
+  function hideBanner() {
+    if (elements.banner) {
+      elements.banner.hidden = true;
+    }
+  }
+
+  /**
+   * Build the preferences dialog
+   */
+  function buildDialog() {
+    const dialog = document.createElement('div');
+    dialog.className = 'consent-dialog';
+    dialog.hidden = true;
+    dialog.setAttribute('data-consent-dialog', '');
+    dialog.innerHTML =
+      '<div class="consent-dialog-backdrop" data-consent-close></div>' +
+      '<div class="consent-dialog-panel" role="dialog" aria-modal="true" aria-labelledby="consent-dialog-title" aria-describedby="consent-dialog-description" tabindex="-1">' +
+        '<h2 id="consent-dialog-title" class="consent-dialog-title">Privacy preferences</h2>' +
+        '<p id="consent-dialog-description" class="consent-dialog-description">' +
+          'Choose which categories of cookies and tracking you allow. You can change this at any time from the footer.' +
+        '</p>' +
+        '<form class="consent-dialog-form" novalidate>' +
+          '<div class="consent-categories"></div>' +
+          '<div class="consent-dialog-actions">' +
+            '<button type="button" class="btn btn-outline btn-sm touch-target" data-consent-action="reject">Reject all</button>' +
+            '<button type="submit" class="btn btn-secondary btn-sm touch-target">Save preferences</button>' +
+            '<button type="button" class="btn btn-primary btn-sm touch-target" data-consent-action="accept">Accept all</button>' +
+          '</div>' +
+        '</form>' +
+      '</div>';
+
+    const list = dialog.querySelector('.consent-categories');
+
+    Object.keys(CONSENT_CATEGORIES).forEach(function(category) {
+      list.appendChild(createCategoryField(category, CONSENT_CATEGORIES[category]));
+    });
+
+    elements.body.appendChild(dialog);
+
+    elements.dialog = dialog;
+    elements.panel = dialog.querySelector('[role="dialog"]');
+    elements.form = dialog.querySelector('form');
+
+    elements.form.addEventListener('submit', function(event) {
+      event.preventDefault();
+      applyChoices(readDialogControls(), 'custom');
+      closePreferences();
+    });
+
+    dialog.addEventListener('click', function(event) {
+      const button = event.target.closest('[data-consent-action]');
+
+      if (button) {
+        if (button.getAttribute('data-consent-action') === 'accept') {
+          acceptAll();
+        } else {
+          rejectAll();
+        }
+        closePreferences();
+        return;
+      }
+
+      if (event.target.closest('[data-consent-close]')) {
+        closePreferences();
+      }
+    });
+
+    elements.panel.addEventListener('keydown', handlePanelKeydown);
+
+    syncDialogControls();
+  }
+
+  /**
+   * Build a labelled checkbox for a consent category
+   * @param {string} category - Category name
+   * @param {Object} definition - Category definition
+   * @returns {HTMLElement} Category field
+   */
+  function createCategoryField(category, definition) {
+    const field = document.createElement('div');
+    field.className = 'consent-category';
+
+    const inputId = 'consent-category-' + category;
+    const descriptionId = inputId + '-description';
+
+    field.innerHTML =
+      '<div class="consent-category-header">' +
+        '<input type="checkbox" class="consent-category-input">' +
+        '<label class="consent-category-label"></label>' +
+      '</div>' +
+      '<p class="consent-category-description"></p>';
+
+    const input = field.querySelector('input');
+    input.id = inputId;
+    input.name = category;
+    input.setAttribute('aria-describedby', descriptionId);
+
+    if (definition.required) {
+      input.checked = true;
+      input.disabled = true;
+    }
+
+    const label = field.querySelector('label');
+    label.setAttribute('for', inputId);
+    label.textContent = definition.label + (definition.required ? ' (always on)' : '');
+
+    const description = field.querySelector('p');
+    description.id = descriptionId;
+    description.textContent = definition.description;
+
+    return field;
+  }
+
+  /**
+   * Reflect stored choices in the dialog checkboxes
+   */
+  function syncDialogControls() {
+    if (!elements.form) {
+      return;
+    }
+
+    Object.keys(CONSENT_CATEGORIES).forEach(function(category) {
+      const input = elements.form.elements[category];
+
+      if (input && !CONSENT_CATEGORIES[category].required) {
+        input.checked = Boolean(state.choices && state.choices[category]);
+      }
+    });
+  }
+
+  /**
+   * Read choices from the dialog checkboxes
+   * @returns {Object} Category name to boolean
+   */
+  function readDialogControls() {
+    const choices = {};
+
+    Object.keys(CONSENT_CATEGORIES).forEach(function(category) {
+      const input = elements.form.elements[category];
+      choices[category] = Boolean(input && input.checked);
+    });
+
+    return choices;
+  }
+
+  /**
+   * Wire up [data-consent-open] controls (e.g. the footer link)
+   */
+  function setupOpenButtons() {
+    elements.openButtons = document.querySelectorAll('[data-consent-open]');
+
+    elements.openButtons.forEach(function(button) {
+      button.addEventListener('click', function(event) {
+        event.preventDefault();
+        openPreferences(button);
+      });
+    });
+  }
+
+  /**
+   * Open the preferences dialog
+   * @param {HTMLElement} [trigger] - Element to return focus to
+   */
+  function openPreferences(trigger) {
+    if (state.isDialogOpen) {
+      return;
+    }
+
+    state.isDialogOpen = true;
+    state.returnFocusElement = trigger || document.activeElement;
+
+    syncDialogControls();
+
+    elements.dialog.hidden = false;
+    elements.body.style.overflow = 'hidden';
+
+    const firstInput = elements.form.querySelector('input:not([disabled])');
+    (firstInput || elements.panel).focus();
+
+    console.debug('[Consent] Preferences opened');
+  }
+
+  /**
+   * Close the preferences dialog and return focus
+   */
+  function closePreferences() {
+    if (!state.isDialogOpen) {
+      return;
+    }
+
+    state.isDialogOpen = false;
+
+    elements.dialog.hidden = true;
+    elements.body.style.overflow = '';
+
+    // The banner button that opened the dialog may be gone now
+    let returnTo = state.returnFocusElement;
+    if (!returnTo || !document.contains(returnTo) || returnTo.closest('[hidden]')) {
+      returnTo = elements.openButtons && elements.openButtons[0];
+    }
+    if (returnTo) {
+      returnTo.focus();
+    }
+    state.returnFocusElement = null;
+
+    console.debug('[Consent] Preferences closed');
+  }
+
+  /**
+   * Handle Escape and focus trapping inside the dialog
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  function handlePanelKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      closePreferences();
+      return;
+    }
+
+    // main.js loads after this module but before anyone can press Tab
+    if (event.key === 'Tab' && window.FashionForward) {
+      window.FashionForward.trapFocus(elements.panel, event);
+    }
+  }
+
+  /**
+   * Public API for external access
+   */
+  window.FashionForwardConsent = {
+    init: init,
+    hasConsent: hasConsent,
+    hasDecided: function() {
+      return state.choices !== null;
+    },
+    getConsent: function() {
+      return {
+        categories: normalizeChoices(state.choices),
+        decided: state.choices !== null,
+        version: config.version,
+        updatedAt: state.updatedAt
+      };
+    },
+    getVersion: function() {
+      return config.version;
+    },
+    setConsent: function(choices) {
+      applyChoices(Object.assign({}, state.choices, choices), 'api');
+    },
+    acceptAll: function() {
+      acceptAll('api');
+    },
+    rejectAll: function() {
+      rejectAll('api');
+    },
+    openPreferences: function() {
+      if (!state.isInitialized) {
+        console.warn('[Consent] Module not initialized');
+        return;
+      }
+      openPreferences();
+    },
+    closePreferences: closePreferences,
+    isInitialized: function() {
+      return state.isInitialized;
+    }
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
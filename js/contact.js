@@ -0,0 +1,718 @@
+/**
+ * Fashion Forward Landing Page - Contact Form
+ *
+ * Showroom appointment requests from the "Get in Touch" section. The
+ * preferred date and time are limited to the store's opening hours,
+ * holidays included, as published by FashionForwardBusinessInfo
+ * (js/business-info.js, loaded first): the date input only allows days
+ * ahead of the lead time, and the time select lists the slots for the
+ * chosen day. All times are the showroom's (America/New_York), whatever
+ * the visitor's time zone.
+ *
+ * Fields are checked by the shared form validation controller
+ * (js/form-validation.js, also loaded first). Requests POST as JSON to the
+ * form's action (or the endpoint set with FashionForwardContact.setEndpoint)
+ * through the client shared with the newsletter (js/form-submission.js),
+ * which also keeps the rate limits in localStorage; a honeypot field
+ * catches bots.
+ *
+ * @generated-from: task-id:user-024
+ * @modifies: index.html, sw.js
+ * @dependencies: [js/form-validation.js, js/form-submission.js, js/business-info.js]
+ */
+
+(function() {
+  'use strict';
+
+  // State management
+  const state = {
+    isInitialized: false,
+    isSubmitting: false,
+    endpoint: null,
+    transport: null,
+    abortController: null,
+    validator: null
+  };
+
+  // Configuration
+  const config = {
+    endpoint: '/contact/appointments',
+    timeout: 10000,
+    mockDelay: 1000,
+    // Appointments start every 30 minutes and last an hour
+    slotInterval: 30,
+    appointmentDuration: 60,
+    // Same-day requests need two hours' notice
+    minLeadTime: 120,
+    maxDaysAhead: 60,
+    rateLimits: [
+      { window: 60000, max: 2 },     // 1 minute
+      { window: 3600000, max: 5 }    // 1 hour
+    ],
+    storageKey: 'ff-contact-rate-limit',
+    storageVersion: 1
+  };
+
+  // DOM element cache
+  const elements = {
+    form: null,
+    dateInput: null,
+    timeSelect: null,
+    submitButton: null,
+    errorMessage: null,
+    successMessage: null,
+    honeypot: null
+  };
+
+  // Field messages by field name and rule
+  const FIELD_MESSAGES = {
+    name: {
+      required: 'Please enter your name'
+    },
+    email: {
+      required: 'Please enter your email address',
+      email: 'Please enter a valid email address'
+    },
+    phone: {
+      pattern: 'Please enter a valid phone number'
+    },
+    topic: {
+      required: 'Please choose what your visit is about'
+    },
+    date: {
+      required: 'Please choose a date',
+      min: 'Please choose the earliest available date or later',
+      max: 'Please choose a date within the next 60 days'
+    },
+    time: {
+      required: 'Please choose a time'
+    },
+    message: {
+      required: 'Please tell us a little about your visit',
+      minlength: 'Please enter at least {minlength} characters',
+      maxlength: 'Please keep your message under {maxlength} characters'
+    }
+  };
+
+  // Error messages
+  const ERROR_MESSAGES = {
+    INVALID_DATE: 'Please enter the date as YYYY-MM-DD',
+    CLOSED_DAY: 'The showroom is closed on {day}s. Please choose another date',
+    CLOSED_HOLIDAY: 'The showroom is closed for {holiday}. Please choose another date',
+    NO_SLOTS: 'There are no appointments left that day. Please choose another date',
+    INVALID_TIME: 'Please choose one of the available times',
+    SLOT_UNAVAILABLE: 'That time was just booked. Please choose another',
+    INVALID_REQUEST: 'Please check your details and try again',
+    RATE_LIMIT: 'Too many requests. Please try again later, or call us',
+    NETWORK_ERROR: 'Unable to send your request. Please check your connection and try again',
+    TIMEOUT: 'The request took too long. Please try again',
+    SERVER_ERROR: 'Our booking service is temporarily unavailable. Please try again later, or call us',
+    GENERIC_ERROR: 'An error occurred. Please try again'
+  };
+
+  // HTTP status codes mapped to ERROR_MESSAGES keys
+  const STATUS_ERROR_CODES = {
+    400: 'INVALID_REQUEST',
+    409: 'SLOT_UNAVAILABLE',
+    422: 'INVALID_REQUEST',
+    429: 'RATE_LIMIT',
+    500: 'SERVER_ERROR',
+    502: 'SERVER_ERROR',
+    503: 'SERVER_ERROR',
+    504: 'TIMEOUT'
+  };
+
+  // Success messages
+  const SUCCESS_MESSAGES = {
+    REQUEST_SENT: 'Thanks, {name}! We\'ve received your request for {date} at {time}. We\'ll email you within one business day to confirm.'
+  };
+
+  // Opening hours, date and time helpers (js/business-info.js, loaded first)
+  const businessInfo = window.FashionForwardBusinessInfo;
+
+  // Transport and persistent rate limits are shared with the newsletter
+  // (js/form-submission.js, loaded first)
+  const formSubmission = window.FashionForwardFormSubmission;
+
+  const transportClient = formSubmission ? formSubmission.createClient({
+    name: 'Contact',
+    errorMessages: ERROR_MESSAGES,
+    statusErrorCodes: STATUS_ERROR_CODES,
+    mockDelay: config.mockDelay,
+    createSuccess: function(body, status) {
+      return {
+        success: true,
+        status: status,
+        requestId: body.requestId || body.id || null,
+        data: body
+      };
+    }
+  }) : null;
+
+  const rateLimiter = formSubmission ? formSubmission.createRateLimiter({
+    name: 'Contact',
+    storageKey: config.storageKey,
+    storageVersion: config.storageVersion,
+    limits: config.rateLimits
+  }) : null;
+
+  // Events go through the shared analytics bus (js/analytics.js, loaded first)
+  const trackMetric = window.FashionForwardAnalytics
+    ? window.FashionForwardAnalytics.createTracker('contact')
+    : function() {};
+
+  /**
+   * Initialize the contact form
+   */
+  function init() {
+    if (state.isInitialized) {
+      console.warn('[Contact] Already initialized');
+      return;
+    }
+
+    try {
+      cacheElements();
+
+      if (!elements.form) {
+        console.warn('[Contact] Contact form not found on page');
+        return;
+      }
+
+      if (!window.FashionForwardFormValidation) {
+        console.error('[Contact] Form validation module not found');
+        return;
+      }
+
+      if (!businessInfo) {
+        console.error('[Contact] Business info module not found');
+        return;
+      }
+
+      if (!transportClient) {
+        console.error('[Contact] Form submission module not found');
+        return;
+      }
+
+      state.transport = state.transport || transportClient.resolve(elements.form.dataset.contactTransport);
+      setupDatePicker();
+      setupValidation();
+      setupEventListeners();
+      state.isInitialized = true;
+      console.info('[Contact] Contact form initialized');
+    } catch (error) {
+      console.error('[Contact] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Cache DOM elements
+   */
+  function cacheElements() {
+    elements.form = document.querySelector('[data-contact-form]');
+
+    if (!elements.form) {
+      return;
+    }
+
+    const container = elements.form.closest('[data-contact]') || elements.form;
+
+    elements.dateInput = elements.form.querySelector('[data-contact-date]');
+    elements.timeSelect = elements.form.querySelector('[data-contact-time]');
+    elements.submitButton = elements.form.querySelector('[data-contact-submit]');
+    elements.errorMessage = elements.form.querySelector('[data-contact-error]');
+    elements.successMessage = container.querySelector('[data-contact-success]');
+    elements.honeypot = elements.form.querySelector('[data-contact-honeypot]');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  function setupEventListeners() {
+    elements.form.addEventListener('submit', handleFormSubmit);
+
+    if (elements.dateInput) {
+      elements.dateInput.addEventListener('change', handleDateChange);
+    }
+  }
+
+  /**
+   * Register the date and time validators and create the form's controller
+   */
+  function setupValidation() {
+    const validation = window.FashionForwardFormValidation;
+
+    validation.registerValidator('contact-date', validateDate);
+    validation.registerValidator('contact-time', validateTime);
+
+    Object.keys(FIELD_MESSAGES).forEach(function(name) {
+      const field = elements.form.elements[name];
+
+      if (!field) {
+        return;
+      }
+
+      Object.keys(FIELD_MESSAGES[name]).forEach(function(rule) {
+        field.setAttribute('data-error-' + rule, FIELD_MESSAGES[name][rule]);
+      });
+    });
+
+    state.validator = validation.create(elements.form, {
+      summaryMinErrors: 2
+    });
+  }
+
+  /**
+   * Limit the date input to bookable days and fill the time select
+   */
+  function setupDatePicker() {
+    if (!elements.dateInput) {
+      return;
+    }
+
+    updateDateBounds();
+    renderTimeOptions();
+  }
+
+  /**
+   * Set the date input's min and max from the current showroom day. Runs
+   * again on change and submit, so a page left open overnight moves on.
+   */
+  function updateDateBounds() {
+    if (!elements.dateInput) {
+      return;
+    }
+
+    const today = businessInfo.getStoreNow().date;
+
+    elements.dateInput.min = today;
+    elements.dateInput.max = businessInfo.addDays(today, config.maxDaysAhead);
+
+    // Nothing left today: start from the next day with a slot
+    if (getTimeSlots(today).length === 0) {
+      for (let offset = 1; offset <= 7; offset++) {
+        if (getTimeSlots(businessInfo.addDays(today, offset)).length > 0) {
+          elements.dateInput.min = businessInfo.addDays(today, offset);
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Appointment start times on a day, in showroom time
+   * @param {string} date - Date as YYYY-MM-DD
+   * @returns {Object[]} Slots ({ value: 'HH:MM', label, minutes })
+   */
+  function getTimeSlots(date) {
+    const now = businessInfo.getStoreNow();
+
+    if (!businessInfo.isDateString(date) || date < now.date) {
+      return [];
+    }
+
+    const ranges = businessInfo.getHoursForDate(date).ranges;
+
+    const earliest = date === now.date ? now.minutes + config.minLeadTime : 0;
+    const slots = [];
+
+    ranges.forEach(function(range) {
+      for (let minutes = range.opens; minutes + config.appointmentDuration <= range.closes; minutes += config.slotInterval) {
+        if (minutes >= earliest) {
+          slots.push({
+            value: padTime(minutes),
+            label: businessInfo.formatTime(minutes),
+            minutes: minutes
+          });
+        }
+      }
+    });
+
+    return slots.sort(function(a, b) {
+      return a.minutes - b.minutes;
+    });
+  }
+
+  /**
+   * Fill the time select with the chosen day's slots, keeping the
+   * current choice when it is still available
+   */
+  function renderTimeOptions() {
+    if (!elements.timeSelect) {
+      return;
+    }
+
+    const date = elements.dateInput ? elements.dateInput.value : '';
+    const previous = elements.timeSelect.value;
+    const slots = businessInfo.isDateString(date) ? getTimeSlots(date) : [];
+
+    elements.timeSelect.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+
+    if (!businessInfo.isDateString(date)) {
+      placeholder.textContent = 'Choose a date first';
+    } else if (slots.length === 0) {
+      placeholder.textContent = 'No times available';
+    } else {
+      placeholder.textContent = 'Choose a time';
+    }
+
+    elements.timeSelect.appendChild(placeholder);
+
+    slots.forEach(function(slot) {
+      const option = document.createElement('option');
+      option.value = slot.value;
+      option.textContent = slot.label;
+      option.selected = slot.value === previous;
+      elements.timeSelect.appendChild(option);
+    });
+
+    elements.timeSelect.disabled = slots.length === 0;
+  }
+
+  /**
+   * Update the time slots for the new date
+   */
+  function handleDateChange() {
+    updateDateBounds();
+    renderTimeOptions();
+
+    // The old time may no longer exist; its error would be stale
+    if (elements.timeSelect) {
+      state.validator.clearFieldError(elements.timeSelect);
+    }
+  }
+
+  /**
+   * Validator for the preferred date
+   * @param {string} value - Date as YYYY-MM-DD
+   * @returns {boolean|string} True, or the error message
+   */
+  function validateDate(value) {
+    if (!businessInfo.isDateString(value)) {
+      return ERROR_MESSAGES.INVALID_DATE;
+    }
+
+    const hours = businessInfo.getHoursForDate(value);
+
+    if (hours.ranges.length === 0) {
+      return hours.holiday
+        ? ERROR_MESSAGES.CLOSED_HOLIDAY.replace('{holiday}', hours.holiday.name)
+        : ERROR_MESSAGES.CLOSED_DAY.replace('{day}', businessInfo.formatDate(value, { weekday: 'long' }));
+    }
+
+    return getTimeSlots(value).length > 0 || ERROR_MESSAGES.NO_SLOTS;
+  }
+
+  /**
+   * Validator for the preferred time; it must be a slot on the chosen day
+   * @param {string} value - Time as HH:MM
+   * @returns {boolean|string} True, or the error message
+   */
+  function validateTime(value) {
+    const date = elements.dateInput ? elements.dateInput.value : '';
+
+    return getTimeSlots(date).some(function(slot) {
+      return slot.value === value;
+    }) || ERROR_MESSAGES.INVALID_TIME;
+  }
+
+  /**
+   * Handle form submission
+   * @param {Event} event - Submit event
+   */
+  async function handleFormSubmit(event) {
+    event.preventDefault();
+
+    if (state.isSubmitting) {
+      console.debug('[Contact] Submission already in progress');
+      return;
+    }
+
+    // Claim the form before validation yields, so a second submit is ignored
+    state.isSubmitting = true;
+
+    try {
+      clearMessages();
+      updateDateBounds();
+
+      // The controller shows the errors and moves focus
+      const result = await state.validator.validate();
+
+      if (!result.isValid) {
+        console.warn('[Contact] Form validation failed:', result.errors[0].message);
+        return;
+      }
+
+      const data = getFormData();
+
+      // Answer bots as if it worked so they don't learn what caught them
+      if (elements.honeypot && elements.honeypot.value !== '') {
+        console.warn('[Contact] Submission blocked: honeypot');
+        trackMetric('contact_request_blocked', { reason: 'honeypot' });
+        handleSubmissionSuccess(data, { success: true });
+        return;
+      }
+
+      if (!rateLimiter.check()) {
+        showError(ERROR_MESSAGES.RATE_LIMIT);
+        focusError();
+        console.warn('[Contact] Rate limit exceeded');
+        return;
+      }
+
+      await submitForm(data);
+    } catch (error) {
+      console.error('[Contact] Form submission error:', error);
+      showError(ERROR_MESSAGES.GENERIC_ERROR);
+      focusError();
+    } finally {
+      state.isSubmitting = false;
+    }
+  }
+
+  /**
+   * Collect the request data
+   * @returns {Object} Appointment request
+   */
+  function getFormData() {
+    const fields = elements.form.elements;
+    const data = {
+      name: fields.name.value.trim(),
+      email: fields.email.value.trim(),
+      topic: fields.topic.value,
+      preferredDate: elements.dateInput.value,
+      preferredTime: elements.timeSelect.value,
+      timeZone: businessInfo.getTimeZone(),
+      message: fields.message.value.trim(),
+      source: 'landing_page',
+      timestamp: Date.now()
+    };
+
+    if (fields.phone && fields.phone.value.trim()) {
+      data.phone = fields.phone.value.trim();
+    }
+
+    return data;
+  }
+
+  /**
+   * Send the request
+   * @param {Object} data - Appointment request
+   */
+  async function submitForm(data) {
+    setSubmittingState(true);
+
+    try {
+      state.abortController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+      console.info('[Contact] Sending appointment request:', { date: data.preferredDate, time: data.preferredTime });
+
+      const response = await state.transport({
+        url: state.endpoint || elements.form.getAttribute('action') || config.endpoint,
+        method: 'POST',
+        timeout: config.timeout,
+        signal: state.abortController ? state.abortController.signal : null,
+        data: data
+      });
+
+      if (response.aborted) {
+        console.info('[Contact] Submission aborted');
+        return;
+      }
+
+      rateLimiter.record(response.errorCode === 'RATE_LIMIT');
+
+      if (response.success) {
+        handleSubmissionSuccess(data, response);
+      } else {
+        handleSubmissionError(response);
+      }
+    } finally {
+      state.abortController = null;
+      setSubmittingState(false);
+    }
+  }
+
+  /**
+   * Handle a sent request
+   * @param {Object} data - Appointment request
+   * @param {Object} response - Transport response
+   */
+  function handleSubmissionSuccess(data, response) {
+    console.info('[Contact] Appointment request sent:', response.requestId || '');
+
+    showSuccess(SUCCESS_MESSAGES.REQUEST_SENT
+      .replace('{name}', data.name.split(' ')[0])
+      .replace('{date}', businessInfo.formatDate(data.preferredDate, { weekday: 'long', month: 'long', day: 'numeric' }))
+      .replace('{time}', businessInfo.formatTime(toMinutes(data.preferredTime))));
+
+    elements.form.reset();
+    state.validator.clearErrors();
+    renderTimeOptions();
+
+    trackMetric('contact_request_success', {
+      topic: data.topic,
+      daysAhead: getDaysBetween(businessInfo.getStoreNow().date, data.preferredDate)
+    });
+
+    if (elements.successMessage) {
+      elements.successMessage.focus();
+    }
+  }
+
+  /**
+   * Handle a failed request
+   * @param {Object} response - Error response
+   */
+  function handleSubmissionError(response) {
+    console.error('[Contact] Appointment request failed:', response);
+
+    trackMetric('contact_request_error', {
+      errorCode: response.errorCode || 'GENERIC_ERROR',
+      status: response.status || 0
+    });
+
+    // A taken slot is a problem with the time field, not the whole form
+    if (response.errorCode === 'SLOT_UNAVAILABLE' && elements.timeSelect) {
+      state.validator.setFieldError(elements.timeSelect, response.error);
+      elements.timeSelect.focus();
+      return;
+    }
+
+    showError(response.error || ERROR_MESSAGES.GENERIC_ERROR);
+    focusError();
+  }
+
+  /**
+   * Set submitting state
+   * @param {boolean} isSubmitting - Submitting state
+   */
+  function setSubmittingState(isSubmitting) {
+    const button = elements.submitButton;
+
+    if (!button) return;
+
+    if (!button.dataset.originalText) {
+      button.dataset.originalText = button.textContent.trim();
+    }
+
+    button.disabled = isSubmitting;
+    button.classList.toggle('is-loading', isSubmitting);
+    button.setAttribute('aria-busy', isSubmitting ? 'true' : 'false');
+    button.textContent = isSubmitting ? 'Sending...' : button.dataset.originalText;
+  }
+
+  /**
+   * Show an error for the whole form
+   * @param {string} message - Error message
+   */
+  function showError(message) {
+    if (!elements.errorMessage) return;
+
+    elements.errorMessage.textContent = message;
+    businessInfo.setVisible(elements.errorMessage, true);
+  }
+
+  /**
+   * Show the success panel
+   * @param {string} message - Success message
+   */
+  function showSuccess(message) {
+    if (!elements.successMessage) return;
+
+    elements.successMessage.textContent = message;
+    businessInfo.setVisible(elements.successMessage, true);
+  }
+
+  /**
+   * Clear the error and success messages
+   */
+  function clearMessages() {
+    [elements.errorMessage, elements.successMessage].forEach(function(element) {
+      if (element) {
+        element.textContent = '';
+        businessInfo.setVisible(element, false);
+      }
+    });
+  }
+
+  /**
+   * Move focus to the form error so screen readers announce it
+   */
+  function focusError() {
+    if (elements.errorMessage && !elements.errorMessage.classList.contains('is-hidden')) {
+      elements.errorMessage.setAttribute('tabindex', '-1');
+      elements.errorMessage.focus();
+      elements.errorMessage.removeAttribute('tabindex');
+    }
+  }
+
+  /**
+   * Whole days from one date to another
+   * @param {string} from - Date as YYYY-MM-DD
+   * @param {string} to - Date as YYYY-MM-DD
+   * @returns {number} Days
+   */
+  function getDaysBetween(from, to) {
+    return Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / 86400000);
+  }
+
+  /**
+   * Format minutes after midnight as "14:30"
+   * @param {number} minutes - Minutes after midnight
+   * @returns {string} Time as HH:MM
+   */
+  function padTime(minutes) {
+    return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+  }
+
+  /**
+   * Parse "14:30" into minutes after midnight
+   * @param {string} time - Time as HH:MM
+   * @returns {number} Minutes after midnight
+   */
+  function toMinutes(time) {
+    const parts = String(time).split(':');
+    return Number(parts[0]) * 60 + Number(parts[1]);
+  }
+
+  /**
+   * Public API
+   */
+  window.FashionForwardContact = {
+    init: init,
+    isInitialized: function() {
+      return state.isInitialized;
+    },
+    getTimeSlots: getTimeSlots,
+    setEndpoint: function(endpoint) {
+      state.endpoint = endpoint || null;
+    },
+    setTransport: function(transport, options) {
+      if (typeof transport === 'function') {
+        state.transport = transport;
+      } else if (transport === 'mock') {
+        state.transport = transportClient.createMock(options);
+      } else if (transport === 'fetch') {
+        state.transport = transportClient.fetch;
+      } else {
+        console.warn('[Contact] Unknown transport:', transport);
+      }
+    },
+    abort: function() {
+      if (state.abortController) {
+        state.abortController.abort();
+      }
+    }
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
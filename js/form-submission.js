@@ -0,0 +1,404 @@
+/**
+ * Fashion Forward Landing Page - Form Submission
+ *
+ * Transport and rate limiting shared by the site's forms (newsletter and
+ * contact). A client sends requests with fetch (JSON or form encoded,
+ * GET data in the query string) or a mock for local development, and
+ * resolves with a normalized response: { success, status, errorCode,
+ * error } on failure, with error taken from the form's own messages.
+ * Transports never reject.
+ *
+ * Rate limiters keep submission times in localStorage so the limits
+ * survive reloads.
+ *
+ * @generated-from: task-id:user-024
+ * @modifies: js/newsletter.js, js/contact.js, index.html, sw.js
+ * @dependencies: []
+ */
+
+(function() {
+  'use strict';
+
+  // Configuration
+  const config = {
+    timeout: 10000,
+    mockDelay: 1000
+  };
+
+  /**
+   * Create a transport client for one form
+   * @param {Object} options - Client options
+   * @param {string} options.name - Log prefix, e.g. 'Newsletter'
+   * @param {Object} options.errorMessages - Messages by error code; needs GENERIC_ERROR
+   * @param {Object} options.statusErrorCodes - HTTP status to error code map
+   * @param {Function} [options.createSuccess] - Builds the success response from (body, status)
+   * @param {number} [options.mockDelay] - Default mock latency in ms
+   * @returns {Object} { fetch, createMock, resolve, mapErrorResponse, createErrorResponse }
+   */
+  function createClient(options) {
+    const settings = Object.assign({
+      createSuccess: function(body, status) {
+        return { success: true, status: status, data: body };
+      },
+      mockDelay: config.mockDelay
+    }, options);
+    const logPrefix = '[' + settings.name + ']';
+
+    /**
+     * Create a normalized error response
+     * @param {string} errorCode - errorMessages key
+     * @param {number} status - HTTP status code (0 for network failures)
+     * @returns {Object} Error response
+     */
+    function createErrorResponse(errorCode, status) {
+      return {
+        success: false,
+        status: status,
+        errorCode: errorCode,
+        error: settings.errorMessages[errorCode] || settings.errorMessages.GENERIC_ERROR
+      };
+    }
+
+    /**
+     * Map an HTTP error status and JSON error body onto the error messages
+     * @param {number} status - HTTP status code
+     * @param {Object} body - Parsed error body, e.g. { code: 'RATE_LIMIT' }
+     * @param {Object} [statusErrorCodes] - Status map replacing the client's
+     * @returns {Object} Normalized error response
+     */
+    function mapErrorResponse(status, body, statusErrorCodes) {
+      const statusCodes = statusErrorCodes || settings.statusErrorCodes;
+      const bodyCode = body && (body.code || body.errorCode || body.error);
+      const normalizedCode = typeof bodyCode === 'string' ? bodyCode.toUpperCase() : '';
+
+      if (normalizedCode && settings.errorMessages[normalizedCode]) {
+        return createErrorResponse(normalizedCode, status);
+      }
+
+      return createErrorResponse(statusCodes[status] || 'GENERIC_ERROR', status);
+    }
+
+    /**
+     * Transport that sends the request with fetch
+     * @param {Object} request - { url, method, encoding, timeout, signal, data, statusErrorCodes }
+     * @returns {Promise<Object>} Normalized response
+     */
+    async function fetchTransport(request) {
+      const controller = new AbortController();
+      let timedOut = false;
+
+      const timeoutId = setTimeout(function() {
+        timedOut = true;
+        controller.abort();
+      }, request.timeout || config.timeout);
+
+      const handleCallerAbort = function() {
+        controller.abort();
+      };
+
+      if (request.signal) {
+        if (request.signal.aborted) {
+          controller.abort();
+        } else {
+          request.signal.addEventListener('abort', handleCallerAbort);
+        }
+      }
+
+      // GET requests carry their data in the query string
+      const method = request.method || 'POST';
+      const isGet = method === 'GET';
+      const url = isGet ? appendQuery(request.url, encodeBody(request.data, 'form')) : request.url;
+      const headers = { 'Accept': 'application/json' };
+
+      if (!isGet) {
+        headers['Content-Type'] = request.encoding === 'form'
+          ? 'application/x-www-form-urlencoded;charset=UTF-8'
+          : 'application/json';
+      }
+
+      try {
+        const response = await fetch(url, {
+          method: method,
+          headers: headers,
+          body: isGet ? undefined : encodeBody(request.data, request.encoding),
+          credentials: 'same-origin',
+          signal: controller.signal
+        });
+
+        const body = await parseResponseBody(response);
+
+        if (response.ok) {
+          return settings.createSuccess(body, response.status);
+        }
+
+        return mapErrorResponse(response.status, body, request.statusErrorCodes);
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          return timedOut
+            ? createErrorResponse('TIMEOUT', 0)
+            : createAbortedResponse();
+        }
+
+        console.error(logPrefix, 'Transport error:', error);
+        return createErrorResponse('NETWORK_ERROR', 0);
+      } finally {
+        clearTimeout(timeoutId);
+
+        if (request.signal) {
+          request.signal.removeEventListener('abort', handleCallerAbort);
+        }
+      }
+    }
+
+    /**
+     * Create a mock transport for local development
+     * @param {Object} [mockOptions] - Mock behaviour
+     * @param {number} [mockOptions.delay] - Simulated latency in ms
+     * @param {number} [mockOptions.failureRate] - Probability (0-1) of a server error
+     * @param {number} [mockOptions.status] - Force an HTTP status (e.g. 409, 429)
+     * @param {string} [mockOptions.errorCode] - Force an error code in the error body
+     * @returns {Function} Transport function
+     */
+    function createMockTransport(mockOptions) {
+      const mockSettings = Object.assign({
+        delay: settings.mockDelay,
+        failureRate: 0,
+        status: 200,
+        errorCode: null
+      }, mockOptions);
+
+      return function mockTransport(request) {
+        return new Promise(function(resolve) {
+          const timeoutId = setTimeout(function() {
+            if (request.signal) {
+              request.signal.removeEventListener('abort', handleAbort);
+            }
+
+            const isRandomFailure = Math.random() < mockSettings.failureRate;
+            const status = isRandomFailure ? 500 : mockSettings.status;
+
+            if (status >= 200 && status < 300 && !mockSettings.errorCode) {
+              resolve(settings.createSuccess({ id: 'mock_' + Date.now() }, status));
+              return;
+            }
+
+            resolve(mapErrorResponse(status, { code: mockSettings.errorCode }, request.statusErrorCodes));
+          }, mockSettings.delay);
+
+          function handleAbort() {
+            clearTimeout(timeoutId);
+            resolve(createAbortedResponse());
+          }
+
+          if (request.signal) {
+            request.signal.addEventListener('abort', handleAbort);
+          }
+        });
+      };
+    }
+
+    return {
+      fetch: fetchTransport,
+      createMock: createMockTransport,
+      /**
+       * Pick a transport by name ('mock' or anything else for fetch)
+       * @param {string} [transportName] - Name, usually from a data attribute
+       * @returns {Function} Transport function
+       */
+      resolve: function(transportName) {
+        if (transportName === 'mock') {
+          console.info(logPrefix, 'Using mock transport');
+          return createMockTransport();
+        }
+
+        return fetchTransport;
+      },
+      mapErrorResponse: mapErrorResponse,
+      createErrorResponse: createErrorResponse
+    };
+  }
+
+  /**
+   * Response for a request the caller aborted
+   * @returns {Object} Aborted response
+   */
+  function createAbortedResponse() {
+    return { success: false, aborted: true, errorCode: 'ABORTED', status: 0 };
+  }
+
+  /**
+   * Encode request data for the body or query string
+   * @param {Object} data - Request data
+   * @param {string} encoding - 'json' or 'form'
+   * @returns {string} Encoded data
+   */
+  function encodeBody(data, encoding) {
+    if (encoding !== 'form') {
+      return JSON.stringify(data);
+    }
+
+    const params = new URLSearchParams();
+
+    Object.keys(data || {}).forEach(function(key) {
+      const value = data[key];
+
+      if (value === undefined || value === null) {
+        return;
+      }
+
+      if (Array.isArray(value)) {
+        value.forEach(function(item) {
+          params.append(key, item);
+        });
+      } else if (typeof value === 'object') {
+        params.append(key, JSON.stringify(value));
+      } else {
+        params.append(key, value);
+      }
+    });
+
+    return params.toString();
+  }
+
+  /**
+   * Append an encoded query string to a URL
+   * @param {string} url - Base URL
+   * @param {string} query - Encoded parameters
+   * @returns {string} URL with the parameters
+   */
+  function appendQuery(url, query) {
+    if (!query) {
+      return url;
+    }
+
+    return url + (url.indexOf('?') === -1 ? '?' : '&') + query;
+  }
+
+  /**
+   * Parse a JSON response body, tolerating empty or non-JSON bodies
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object>} Parsed body or empty object
+   */
+  async function parseResponseBody(response) {
+    const contentType = (response.headers && response.headers.get('content-type')) || '';
+
+    if (contentType.indexOf('json') === -1) {
+      return {};
+    }
+
+    try {
+      return (await response.json()) || {};
+    } catch (error) {
+      console.warn('[FormSubmission] Could not parse response body:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Create a rate limiter that keeps submission times in localStorage
+   * @param {Object} options - Limiter options
+   * @param {string} options.name - Log prefix, e.g. 'Contact'
+   * @param {string} options.storageKey - localStorage key
+   * @param {number} options.storageVersion - Stored format version
+   * @param {Object[]} options.limits - { window, max } pairs, shortest window first
+   * @returns {Object} { check, record }
+   */
+  function createRateLimiter(options) {
+    const logPrefix = '[' + options.name + ']';
+
+    /**
+     * Load submission times, dropping any older than the longest window
+     * @returns {Object} { items: number[], blockedUntil: number }
+     */
+    function load() {
+      const longestWindow = Math.max.apply(null, options.limits.map(function(limit) {
+        return limit.window;
+      }));
+      const now = Date.now();
+
+      try {
+        const stored = JSON.parse(window.localStorage.getItem(options.storageKey) || 'null');
+
+        if (!stored || stored.version !== options.storageVersion || !Array.isArray(stored.items)) {
+          return { items: [], blockedUntil: 0 };
+        }
+
+        return {
+          items: stored.items.filter(function(time) {
+            return isFinite(time) && time <= now && now - time < longestWindow;
+          }),
+          blockedUntil: isFinite(stored.blockedUntil) ? stored.blockedUntil : 0
+        };
+      } catch (error) {
+        console.warn(logPrefix, 'Could not read rate limit record:', error);
+        return { items: [], blockedUntil: 0 };
+      }
+    }
+
+    /**
+     * Save submission times
+     * @param {Object} record - Record from load
+     */
+    function save(record) {
+      try {
+        window.localStorage.setItem(options.storageKey, JSON.stringify({
+          version: options.storageVersion,
+          items: record.items,
+          blockedUntil: record.blockedUntil,
+          updatedAt: Date.now()
+        }));
+      } catch (error) {
+        // Private browsing or quota exceeded; the server still rate limits
+        console.warn(logPrefix, 'Could not save rate limit record:', error);
+      }
+    }
+
+    return {
+      /**
+       * Check the stored submissions against every window
+       * @returns {boolean} True if a submission is allowed
+       */
+      check: function() {
+        const record = load();
+        const now = Date.now();
+
+        if (record.blockedUntil > now) {
+          return false;
+        }
+
+        return options.limits.every(function(limit) {
+          return record.items.filter(function(time) {
+            return now - time < limit.window;
+          }).length < limit.max;
+        });
+      },
+
+      /**
+       * Count a submission towards the limits
+       * @param {boolean} isServerLimited - The server answered with a rate limit
+       */
+      record: function(isServerLimited) {
+        const record = load();
+        const now = Date.now();
+
+        record.items.push(now);
+
+        // Respect the server's rate limit for the rest of the shortest window
+        if (isServerLimited) {
+          record.blockedUntil = now + options.limits[0].window;
+        }
+
+        save(record);
+      }
+    };
+  }
+
+  /**
+   * Public API
+   */
+  window.FashionForwardFormSubmission = {
+    createClient: createClient,
+    createRateLimiter: createRateLimiter
+  };
+
+})();
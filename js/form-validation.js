@@ -0,0 +1,856 @@
+/**
+ * Fashion Forward Landing Page - Form Validation
+ *
+ * Declarative validation shared by the site's forms. Rules are read from
+ * each field's attributes: required, type="email" (or data-email),
+ * minlength, maxlength, pattern, min, max and data-validator for named
+ * custom validators, which may be async. Messages come from
+ * data-error-<rule> attributes, the controller's messages option or the
+ * defaults below.
+ *
+ * The controller sets aria-invalid on each field, links it to its error
+ * node with aria-describedby and keeps an error summary listing every
+ * problem. Checkbox groups are validated as one field when wrapped in
+ * [data-validate-group].
+ *
+ * Forms marked [data-validate] are enhanced automatically and only
+ * submit when valid; scripts that submit a form themselves call create().
+ *
+ * @generated-from: task-id:user-021
+ * @modifies: js/newsletter.js, index.html, css/business-info.css, sw.js
+ * @dependencies: []
+ */
+
+(function() {
+  'use strict';
+
+  // Email validation regex (RFC 5322 simplified)
+  const EMAIL_REGEX = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+  // Default messages; {name} is replaced with the rule's value
+  const DEFAULT_MESSAGES = {
+    required: 'This field is required',
+    email: 'Please enter a valid email address',
+    minlength: 'Please enter at least {minlength} characters',
+    maxlength: 'Please enter no more than {maxlength} characters',
+    pattern: 'Please match the requested format',
+    min: 'Please enter {min} or later',
+    max: 'Please enter {max} or earlier',
+    validator: 'Please check this field'
+  };
+
+  // State management
+  const state = {
+    isInitialized: false,
+    controllers: new WeakMap(),
+    validators: new Map(),
+    nextId: 1
+  };
+
+  // Configuration
+  const config = {
+    autoSelector: 'form[data-validate]',
+    fieldSelector: 'input, select, textarea, [data-validate-group]',
+    groupSelector: '[data-validate-group]',
+    summarySelector: '[data-error-summary]',
+    errorClass: 'form-error',
+    summaryClass: 'form-error-summary',
+    validClass: 'is-valid',
+    invalidClass: 'is-invalid',
+    hiddenClass: 'is-hidden',
+    skippedTypes: ['button', 'submit', 'reset', 'hidden', 'image']
+  };
+
+  /**
+   * Enhance forms that opt in with [data-validate]
+   */
+  function init() {
+    if (state.isInitialized) {
+      console.warn('[FormValidation] Already initialized');
+      return;
+    }
+
+    try {
+      document.querySelectorAll(config.autoSelector).forEach(function(form) {
+        const controller = create(form);
+
+        form.addEventListener('submit', function(event) {
+          if (form.hasAttribute('data-validated')) {
+            form.removeAttribute('data-validated');
+            return;
+          }
+
+          event.preventDefault();
+
+          controller.validate().then(function(result) {
+            if (result.isValid) {
+              // Submit natively; the flag skips validation on the way through
+              form.setAttribute('data-validated', '');
+              form.requestSubmit ? form.requestSubmit() : form.submit();
+            }
+          });
+        });
+      });
+
+      state.isInitialized = true;
+      console.info('[FormValidation] Initialized');
+    } catch (error) {
+      console.error('[FormValidation] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Create (or return) the validation controller for a form
+   * @param {HTMLFormElement} form - Form to validate
+   * @param {Object} [options] - Controller options
+   * @param {Object} [options.messages] - Messages by rule for this form
+   * @param {boolean} [options.summary=true] - Show an error summary
+   * @param {number} [options.summaryMinErrors=1] - Errors needed before the summary shows
+   * @param {string} [options.summaryTitle] - Summary heading
+   * @param {boolean} [options.validateOnBlur=true] - Check fields as they lose focus
+   * @returns {Object} Controller
+   */
+  function create(form, options) {
+    if (state.controllers.has(form)) {
+      return state.controllers.get(form);
+    }
+
+    const settings = Object.assign({
+      messages: {},
+      summary: true,
+      summaryMinErrors: 1,
+      summaryTitle: 'Please correct the following:',
+      validateOnBlur: true
+    }, options);
+
+    // Tokens this controller added to aria-describedby, per field
+    const addedDescriptions = new WeakMap();
+    // Latest check per field, so slow async results can't overwrite newer ones
+    const pendingChecks = new WeakMap();
+    // Error nodes created by this controller, per field
+    const errorNodes = new WeakMap();
+
+    /**
+     * List the fields that have at least one rule
+     * @returns {HTMLElement[]} Fields, one per radio group
+     */
+    function getFields() {
+      const seenRadioNames = new Set();
+
+      return Array.from(form.querySelectorAll(config.fieldSelector)).filter(function(field) {
+        if (field.disabled || config.skippedTypes.indexOf(field.type) !== -1) {
+          return false;
+        }
+
+        // Inputs inside a group are validated through the group
+        if (!field.matches(config.groupSelector) && field.closest(config.groupSelector)) {
+          return false;
+        }
+
+        if (field.type === 'radio') {
+          if (seenRadioNames.has(field.name)) {
+            return false;
+          }
+          seenRadioNames.add(field.name);
+        }
+
+        return hasRules(getRules(field));
+      });
+    }
+
+    /**
+     * Validate every field, show the errors and the summary
+     * @param {Object} [validateOptions] - Options
+     * @param {boolean} [validateOptions.focus=true] - Move focus to the summary or first invalid field
+     * @returns {Promise<Object>} { isValid, errors: [{ field, rule, message }], firstInvalid }
+     */
+    async function validate(validateOptions) {
+      const shouldFocus = !validateOptions || validateOptions.focus !== false;
+      const fields = getFields();
+
+      const results = await Promise.all(fields.map(function(field) {
+        return validateField(field);
+      }));
+
+      const errors = results.filter(Boolean);
+      const result = {
+        isValid: errors.length === 0,
+        errors: errors,
+        firstInvalid: errors.length > 0 ? errors[0].field : null
+      };
+
+      renderSummary(errors);
+
+      if (!result.isValid && shouldFocus) {
+        focusError(result);
+      }
+
+      form.dispatchEvent(new CustomEvent('formValidated', {
+        detail: {
+          isValid: result.isValid,
+          errors: errors.map(function(error) {
+            return { name: getFieldName(error.field), rule: error.rule };
+          })
+        },
+        bubbles: true
+      }));
+
+      return result;
+    }
+
+    /**
+     * Validate one field and show or clear its error
+     * @param {HTMLElement} field - Field or [data-validate-group]
+     * @returns {Promise<Object|null>} Error ({ field, rule, message }) or null
+     */
+    async function validateField(field) {
+      const check = {};
+      pendingChecks.set(field, check);
+
+      const error = await checkField(field);
+
+      // A newer check started while this one was waiting
+      if (pendingChecks.get(field) !== check) {
+        return error;
+      }
+
+      if (error) {
+        setFieldError(field, error.message);
+      } else {
+        clearFieldError(field, true);
+      }
+
+      return error;
+    }
+
+    /**
+     * Run a field's rules in order and return the first failure
+     * @param {HTMLElement} field - Field or group
+     * @returns {Promise<Object|null>} Error or null
+     */
+    async function checkField(field) {
+      const rules = getRules(field);
+      const value = getValue(field);
+
+      if (isEmpty(value)) {
+        return rules.required ? createError(field, 'required', rules) : null;
+      }
+
+      const isText = typeof value === 'string';
+
+      if (rules.email && isText && !isValidEmail(value)) {
+        return createError(field, 'email', rules);
+      }
+
+      if (rules.minlength !== null && isText && value.length < rules.minlength) {
+        return createError(field, 'minlength', rules);
+      }
+
+      if (rules.maxlength !== null && isText && value.length > rules.maxlength) {
+        return createError(field, 'maxlength', rules);
+      }
+
+      if (rules.pattern && isText && !matchesPattern(value, rules.pattern)) {
+        return createError(field, 'pattern', rules);
+      }
+
+      if (rules.min !== null && isText && compareValues(field, value, rules.min) < 0) {
+        return createError(field, 'min', rules);
+      }
+
+      if (rules.max !== null && isText && compareValues(field, value, rules.max) > 0) {
+        return createError(field, 'max', rules);
+      }
+
+      for (let index = 0; index < rules.validators.length; index++) {
+        const name = rules.validators[index];
+        const validator = state.validators.get(name);
+
+        if (!validator) {
+          console.warn('[FormValidation] Unknown validator:', name);
+          continue;
+        }
+
+        let outcome;
+
+        try {
+          outcome = await validator(value, field, form);
+        } catch (error) {
+          console.error('[FormValidation] Validator failed:', name, error);
+          continue;
+        }
+
+        if (outcome === false) {
+          return createError(field, 'validator', rules);
+        }
+
+        if (typeof outcome === 'string' && outcome) {
+          return { field: field, rule: 'validator', message: outcome };
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Build an error with the best available message
+     * @param {HTMLElement} field - Field that failed
+     * @param {string} rule - Rule name
+     * @param {Object} rules - The field's rules (for message placeholders)
+     * @returns {Object} Error
+     */
+    function createError(field, rule, rules) {
+      const template = field.getAttribute('data-error-' + rule) ||
+        settings.messages[rule] ||
+        DEFAULT_MESSAGES[rule];
+
+      return {
+        field: field,
+        rule: rule,
+        message: template.replace(/\{(\w+)\}/g, function(match, key) {
+          return rules[key] !== undefined && rules[key] !== null ? rules[key] : match;
+        })
+      };
+    }
+
+    /**
+     * Mark a field invalid and show its message (also used for server errors)
+     * @param {HTMLElement} field - Field or group
+     * @param {string} message - Error message
+     */
+    function setFieldError(field, message) {
+      const errorNode = getErrorNode(field);
+
+      errorNode.textContent = message;
+      errorNode.classList.remove(config.hiddenClass);
+      errorNode.setAttribute('aria-hidden', 'false');
+
+      getStateTargets(field).forEach(function(target) {
+        target.classList.remove(config.validClass);
+        target.classList.add(config.invalidClass);
+        target.setAttribute('aria-invalid', 'true');
+      });
+
+      addDescription(field, errorNode.id);
+    }
+
+    /**
+     * Clear a field's error
+     * @param {HTMLElement} field - Field or group
+     * @param {boolean} [markValid=false] - Mark the field valid rather than untouched
+     */
+    function clearFieldError(field, markValid) {
+      const errorNode = findErrorNode(field);
+
+      if (errorNode) {
+        errorNode.textContent = '';
+        errorNode.classList.add(config.hiddenClass);
+        errorNode.setAttribute('aria-hidden', 'true');
+        removeDescription(field, errorNode.id);
+      }
+
+      getStateTargets(field).forEach(function(target) {
+        target.classList.remove(config.invalidClass);
+        target.classList.toggle(config.validClass, Boolean(markValid) && !isEmpty(getValue(field)));
+
+        if (markValid) {
+          target.setAttribute('aria-invalid', 'false');
+        } else {
+          target.removeAttribute('aria-invalid');
+        }
+      });
+    }
+
+    /**
+     * Clear every field's error and the summary
+     */
+    function clearErrors() {
+      getFields().forEach(function(field) {
+        pendingChecks.delete(field);
+        clearFieldError(field, false);
+      });
+
+      renderSummary([]);
+    }
+
+    /**
+     * Find the error node for a field without creating one
+     * @param {HTMLElement} field - Field or group
+     * @returns {HTMLElement|null} Error node
+     */
+    function findErrorNode(field) {
+      const explicitId = field.getAttribute('data-error-id');
+
+      if (explicitId) {
+        return document.getElementById(explicitId);
+      }
+
+      return errorNodes.get(field) || null;
+    }
+
+    /**
+     * Find or create the error node for a field. data-error-id points at
+     * an existing element; otherwise one is added after the field (or at
+     * the end of a group).
+     * @param {HTMLElement} field - Field or group
+     * @returns {HTMLElement} Error node
+     */
+    function getErrorNode(field) {
+      const existing = findErrorNode(field);
+
+      if (existing) {
+        return existing;
+      }
+
+      const errorNode = document.createElement('p');
+      errorNode.className = config.errorClass + ' ' + config.hiddenClass;
+      errorNode.id = getFieldId(field) + '-error';
+      errorNode.setAttribute('aria-hidden', 'true');
+
+      if (field.matches(config.groupSelector)) {
+        field.appendChild(errorNode);
+      } else {
+        const anchor = field.type === 'checkbox' || field.type === 'radio'
+          ? (field.closest('label') || field)
+          : field;
+        anchor.insertAdjacentElement('afterend', errorNode);
+      }
+
+      errorNodes.set(field, errorNode);
+      return errorNode;
+    }
+
+    /**
+     * Add an id to a field's aria-describedby, remembering that it was added
+     * @param {HTMLElement} field - Field or group
+     * @param {string} id - Error node id
+     */
+    function addDescription(field, id) {
+      const tokens = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+
+      if (tokens.indexOf(id) !== -1) {
+        return;
+      }
+
+      tokens.push(id);
+      field.setAttribute('aria-describedby', tokens.join(' '));
+      addedDescriptions.set(field, id);
+    }
+
+    /**
+     * Remove an id from aria-describedby if this controller added it
+     * @param {HTMLElement} field - Field or group
+     * @param {string} id - Error node id
+     */
+    function removeDescription(field, id) {
+      if (addedDescriptions.get(field) !== id) {
+        return;
+      }
+
+      const tokens = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(function(token) {
+        return token && token !== id;
+      });
+
+      if (tokens.length > 0) {
+        field.setAttribute('aria-describedby', tokens.join(' '));
+      } else {
+        field.removeAttribute('aria-describedby');
+      }
+
+      addedDescriptions.delete(field);
+    }
+
+    /**
+     * Show the error summary, or hide it when there is nothing to list
+     * @param {Object[]} errors - Current errors
+     */
+    function renderSummary(errors) {
+      if (!settings.summary) {
+        return;
+      }
+
+      let summary = form.querySelector(config.summarySelector);
+
+      if (errors.length < Math.max(settings.summaryMinErrors, 1)) {
+        if (summary) {
+          summary.classList.add(config.hiddenClass);
+          summary.setAttribute('aria-hidden', 'true');
+          summary.innerHTML = '';
+        }
+        return;
+      }
+
+      if (!summary) {
+        summary = document.createElement('div');
+        summary.setAttribute('data-error-summary', '');
+        form.insertBefore(summary, form.firstChild);
+      }
+
+      summary.className = config.summaryClass;
+      summary.setAttribute('role', 'alert');
+      summary.setAttribute('tabindex', '-1');
+      summary.setAttribute('aria-hidden', 'false');
+      summary.innerHTML = '';
+
+      const title = document.createElement('p');
+      title.className = config.summaryClass + '-title';
+      title.textContent = settings.summaryTitle;
+
+      const list = document.createElement('ul');
+      list.className = config.summaryClass + '-list';
+
+      errors.forEach(function(error) {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+
+        link.href = '#' + getFieldId(getFocusTarget(error.field));
+        link.textContent = error.message;
+        link.addEventListener('click', function(event) {
+          event.preventDefault();
+          getFocusTarget(error.field).focus();
+        });
+
+        item.appendChild(link);
+        list.appendChild(item);
+      });
+
+      summary.appendChild(title);
+      summary.appendChild(list);
+    }
+
+    /**
+     * Move focus to the summary when it is shown, otherwise the first invalid field
+     * @param {Object} result - Validation result
+     */
+    function focusError(result) {
+      const summary = form.querySelector(config.summarySelector);
+
+      if (summary && !summary.classList.contains(config.hiddenClass)) {
+        summary.focus();
+        return;
+      }
+
+      getFocusTarget(result.firstInvalid).focus();
+    }
+
+    /**
+     * Validate on blur and clear stale errors while the user edits
+     * @param {Event} event - Focusout event
+     */
+    function handleFocusOut(event) {
+      const field = findField(event.target);
+
+      if (!field) {
+        return;
+      }
+
+      // Moving between a group's checkboxes isn't leaving the group
+      if (field.matches(config.groupSelector) && field.contains(event.relatedTarget)) {
+        return;
+      }
+
+      // Don't flag a required field just for being tabbed through
+      if (isEmpty(getValue(field)) && !field.classList.contains(config.invalidClass) &&
+          !field.hasAttribute('aria-invalid')) {
+        return;
+      }
+
+      validateField(field);
+    }
+
+    /**
+     * Clear a field's error as soon as it changes
+     * @param {Event} event - Input or change event
+     */
+    function handleInput(event) {
+      const field = findField(event.target);
+
+      if (field && getStateTargets(field)[0].classList.contains(config.invalidClass)) {
+        pendingChecks.delete(field);
+        clearFieldError(field, false);
+
+        // Checkboxes, radios and selects are done once changed
+        if (event.type === 'change' && /^(checkbox|radio|select)/.test(event.target.type)) {
+          validateField(field);
+        }
+      }
+    }
+
+    /**
+     * Map an event target to the field that owns its validation
+     * @param {EventTarget} target - Event target
+     * @returns {HTMLElement|null} Field or group
+     */
+    function findField(target) {
+      if (!(target instanceof Element)) {
+        return null;
+      }
+
+      const group = target.closest(config.groupSelector);
+      const candidate = group && form.contains(group) ? group : target;
+
+      if (candidate.type === 'radio') {
+        return getFields().find(function(field) {
+          return field.type === 'radio' && field.name === candidate.name;
+        }) || null;
+      }
+
+      return getFields().indexOf(candidate) !== -1 ? candidate : null;
+    }
+
+    if (settings.validateOnBlur) {
+      form.addEventListener('focusout', handleFocusOut);
+    }
+    form.addEventListener('input', handleInput);
+    form.addEventListener('change', handleInput);
+
+    const controller = {
+      form: form,
+      validate: validate,
+      validateField: validateField,
+      setFieldError: setFieldError,
+      clearFieldError: function(field) {
+        clearFieldError(field, false);
+      },
+      clearErrors: clearErrors,
+      getFields: getFields,
+      destroy: function() {
+        clearErrors();
+        form.removeEventListener('focusout', handleFocusOut);
+        form.removeEventListener('input', handleInput);
+        form.removeEventListener('change', handleInput);
+        state.controllers.delete(form);
+      }
+    };
+
+    state.controllers.set(form, controller);
+    return controller;
+  }
+
+  /**
+   * Read a field's rules from its attributes
+   * @param {HTMLElement} field - Field or group
+   * @returns {Object} Rules
+   */
+  function getRules(field) {
+    const isGroup = field.matches(config.groupSelector);
+
+    return {
+      required: field.hasAttribute('required') || field.hasAttribute('data-required'),
+      email: !isGroup && (field.type === 'email' || field.hasAttribute('data-email')),
+      minlength: readNumber(field, 'minlength'),
+      maxlength: readNumber(field, 'maxlength'),
+      pattern: field.getAttribute('data-pattern') || field.getAttribute('pattern'),
+      min: field.getAttribute('data-min') || field.getAttribute('min'),
+      max: field.getAttribute('data-max') || field.getAttribute('max'),
+      validators: (field.getAttribute('data-validator') || '').split(/\s+/).filter(Boolean)
+    };
+  }
+
+  /**
+   * Check whether a field has anything to validate
+   * @param {Object} rules - Rules from getRules
+   * @returns {boolean} True if any rule is set
+   */
+  function hasRules(rules) {
+    return rules.required || rules.email || rules.minlength !== null || rules.maxlength !== null ||
+      Boolean(rules.pattern) || rules.min !== null || rules.max !== null || rules.validators.length > 0;
+  }
+
+  /**
+   * Read a numeric attribute, or its data- variant
+   * @param {HTMLElement} field - Field
+   * @param {string} name - Attribute name
+   * @returns {number|null} Value
+   */
+  function readNumber(field, name) {
+    const value = parseInt(field.getAttribute('data-' + name) || field.getAttribute(name), 10);
+    return isFinite(value) && value >= 0 ? value : null;
+  }
+
+  /**
+   * Current value of a field: trimmed text, the checked value of a
+   * checkbox or radio group, or the checked values inside a group
+   * @param {HTMLElement} field - Field or group
+   * @returns {string|string[]} Value
+   */
+  function getValue(field) {
+    if (field.matches(config.groupSelector)) {
+      return Array.from(field.querySelectorAll('input:checked')).map(function(input) {
+        return input.value;
+      });
+    }
+
+    if (field.type === 'checkbox') {
+      return field.checked ? field.value : '';
+    }
+
+    if (field.type === 'radio') {
+      const checked = field.form
+        ? field.form.querySelector('input[type="radio"][name="' + field.name + '"]:checked')
+        : null;
+      return checked ? checked.value : '';
+    }
+
+    return (field.value || '').trim();
+  }
+
+  /**
+   * Check whether a value counts as empty
+   * @param {string|string[]} value - Field value
+   * @returns {boolean} True if empty
+   */
+  function isEmpty(value) {
+    return Array.isArray(value) ? value.length === 0 : value === '';
+  }
+
+  /**
+   * Test a value against an HTML pattern (which must match the whole value)
+   * @param {string} value - Field value
+   * @param {string} pattern - Pattern source
+   * @returns {boolean} True if it matches
+   */
+  function matchesPattern(value, pattern) {
+    try {
+      return new RegExp('^(?:' + pattern + ')$', 'u').test(value);
+    } catch (error) {
+      console.warn('[FormValidation] Invalid pattern:', pattern);
+      return true;
+    }
+  }
+
+  /**
+   * Compare a value with a min/max bound: numerically for number inputs,
+   * as ISO strings for dates and times
+   * @param {HTMLElement} field - Field
+   * @param {string} value - Field value
+   * @param {string} bound - Bound from min or max
+   * @returns {number} Negative, zero or positive
+   */
+  function compareValues(field, value, bound) {
+    if (field.type === 'number' || field.type === 'range') {
+      return Number(value) - Number(bound);
+    }
+
+    return value < bound ? -1 : (value > bound ? 1 : 0);
+  }
+
+  /**
+   * Elements that carry aria-invalid and the state classes
+   * @param {HTMLElement} field - Field or group
+   * @returns {HTMLElement[]} Targets
+   */
+  function getStateTargets(field) {
+    if (field.type === 'radio' && field.form) {
+      return Array.from(field.form.querySelectorAll('input[type="radio"][name="' + field.name + '"]'));
+    }
+
+    return [field];
+  }
+
+  /**
+   * Element to focus for a field (a group's first input)
+   * @param {HTMLElement} field - Field or group
+   * @returns {HTMLElement} Focusable element
+   */
+  function getFocusTarget(field) {
+    if (field.matches(config.groupSelector)) {
+      return field.querySelector('input, select, textarea') || field;
+    }
+
+    return field;
+  }
+
+  /**
+   * Field name for events and logging
+   * @param {HTMLElement} field - Field or group
+   * @returns {string} Name
+   */
+  function getFieldName(field) {
+    return field.getAttribute('name') || field.getAttribute('data-validate-group') || field.id || field.tagName.toLowerCase();
+  }
+
+  /**
+   * A field's id, assigning one if it has none
+   * @param {HTMLElement} field - Field or group
+   * @returns {string} Element id
+   */
+  function getFieldId(field) {
+    if (!field.id) {
+      field.id = 'form-field-' + state.nextId++;
+    }
+
+    return field.id;
+  }
+
+  /**
+   * Validate email format
+   * @param {string} email - Email address to validate
+   * @returns {boolean} True if valid
+   */
+  function isValidEmail(email) {
+    if (!email || typeof email !== 'string') {
+      return false;
+    }
+
+    // Check length constraints
+    if (email.length > 254) {
+      return false;
+    }
+
+    // Check format with regex
+    if (!EMAIL_REGEX.test(email)) {
+      return false;
+    }
+
+    // Additional validation: check for consecutive dots
+    if (email.includes('..')) {
+      return false;
+    }
+
+    // Check local part length (before @)
+    const localPart = email.split('@')[0];
+    if (localPart.length > 64) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Register a custom validator for data-validator="name". It receives
+   * (value, field, form) and returns, or resolves with, true to pass,
+   * false for the default message or a message string.
+   * @param {string} name - Validator name
+   * @param {Function} validator - Validator function
+   */
+  function registerValidator(name, validator) {
+    if (typeof validator !== 'function') {
+      console.warn('[FormValidation] Validator must be a function:', name);
+      return;
+    }
+
+    state.validators.set(name, validator);
+  }
+
+  /**
+   * Public API
+   */
+  window.FashionForwardFormValidation = {
+    init: init,
+    create: create,
+    registerValidator: registerValidator,
+    isValidEmail: isValidEmail,
+    isInitialized: function() {
+      return state.isInitialized;
+    }
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
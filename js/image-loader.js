@@ -0,0 +1,584 @@
+/**
+ * Fashion Forward Landing Page - Shared Image Loader
+ *
+ * The one place that lazy-loads images. Deferred images (img[data-src]) and
+ * backgrounds ([data-bg]) load through a single IntersectionObserver and a
+ * priority queue with a concurrency limit; native lazy images
+ * (img[loading="lazy"]) are tracked so their load and error states are
+ * reported the same way. Failed loads retry with exponential backoff.
+ *
+ * Each element is registered once, however many modules ask for it.
+ * Progress is reported with bubbling events on the element:
+ * imageLoadStart, imageLoaded, imageLoadRetry and imageLoadError.
+ *
+ * @generated-from: task-id:user-015
+ * @modifies: js/performance.js, js/products.js, js/categories.js
+ * @dependencies: ["js/responsive-images.js", "js/image-placeholders.js"]
+ */
+
+(function() {
+  'use strict';
+
+  // State management
+  const state = {
+    isInitialized: false,
+    observer: null,
+    records: new Map(),
+    queue: [],
+    activeCount: 0
+  };
+
+  // Configuration
+  const config = {
+    selector: 'img[data-src], img[loading="lazy"], [data-bg]',
+    rootMargin: '200px 0px',
+    threshold: 0.01,
+    maxConcurrent: 4,
+    maxRetries: 2,
+    retryDelay: 500,
+    loadingClass: 'is-loading',
+    loadedClass: 'is-loaded',
+    errorClass: 'has-error'
+  };
+
+  // Queue order for fetchpriority values
+  const PRIORITY_ORDER = { high: 0, auto: 1, low: 2 };
+
+  /**
+   * Initialize the loader and register images already in the page
+   */
+  function init() {
+    if (state.isInitialized) {
+      console.warn('[ImageLoader] Already initialized');
+      return;
+    }
+
+    try {
+      if ('IntersectionObserver' in window) {
+        state.observer = new IntersectionObserver(handleIntersection, {
+          root: null,
+          rootMargin: config.rootMargin,
+          threshold: config.threshold
+        });
+      } else {
+        console.warn('[ImageLoader] IntersectionObserver not supported, loading all images');
+      }
+
+      observe(document);
+
+      // Product cards are rendered from the catalog after load
+      document.addEventListener('productsRendered', function(event) {
+        observe(event.target);
+      });
+
+      state.isInitialized = true;
+      console.info('[ImageLoader] Initialized with', state.records.size, 'images');
+    } catch (error) {
+      console.error('[ImageLoader] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Register every lazy image and background inside a root element
+   * @param {ParentNode} [root=document] - Element or document to search
+   * @returns {number} Number of newly registered elements
+   */
+  function observe(root) {
+    const scope = root || document;
+    let count = 0;
+
+    scope.querySelectorAll(config.selector).forEach(function(element) {
+      if (register(element)) {
+        count++;
+      }
+    });
+
+    if (count > 0) {
+      console.debug('[ImageLoader] Registered', count, 'elements');
+    }
+
+    return count;
+  }
+
+  /**
+   * Register one element. Elements that are already known are ignored,
+   * so overlapping selectors never load an image twice.
+   * @param {HTMLElement} element - Image or element with data-bg
+   * @returns {boolean} True if the element was newly registered
+   */
+  function register(element) {
+    if (state.records.has(element)) {
+      return false;
+    }
+
+    const record = {
+      element: element,
+      kind: getKind(element),
+      src: null,
+      priority: element.getAttribute('fetchpriority') || 'auto',
+      attempts: 0,
+      startTime: 0,
+      status: 'pending'
+    };
+
+    if (!record.kind) {
+      return false;
+    }
+
+    state.records.set(element, record);
+    element.setAttribute('data-image-state', record.status);
+
+    if (record.kind === 'native') {
+      trackNativeImage(record);
+    } else if (state.observer) {
+      state.observer.observe(element);
+    } else {
+      enqueue(record);
+    }
+
+    return true;
+  }
+
+  /**
+   * Work out how an element is loaded
+   * @param {HTMLElement} element - Candidate element
+   * @returns {string|null} 'deferred', 'native', 'background' or null
+   */
+  function getKind(element) {
+    if (element.tagName === 'IMG') {
+      if (element.hasAttribute('data-src')) {
+        return 'deferred';
+      }
+
+      return element.getAttribute('src') ? 'native' : null;
+    }
+
+    return element.hasAttribute('data-bg') ? 'background' : null;
+  }
+
+  /**
+   * Follow a native lazy image: the browser decides when to fetch it, the
+   * loader reports the result and retries on error
+   * @param {Object} record - Loader record
+   */
+  function trackNativeImage(record) {
+    const img = record.element;
+
+    record.src = img.getAttribute('src');
+    record.startTime = performance.now();
+
+    if (img.complete && img.naturalWidth > 0) {
+      // Report asynchronously so modules initialized in the same
+      // DOMContentLoaded pass have subscribed by then
+      setTimeout(function() {
+        handleLoad(record);
+      }, 0);
+      return;
+    }
+
+    setStatus(record, 'loading');
+    record.attempts = 1;
+
+    // Already failed before the loader saw it: no load or error event
+    // will fire, so start the retries now
+    if (img.complete) {
+      setTimeout(function() {
+        handleError(record);
+      }, 0);
+      return;
+    }
+
+    listen(record);
+  }
+
+  /**
+   * Queue elements as they approach the viewport. Elements already on
+   * screen get fetchpriority="high"; those only inside the root margin
+   * get "low" unless the markup set a priority.
+   * @param {IntersectionObserverEntry[]} entries - Observed entries
+   */
+  function handleIntersection(entries) {
+    entries.forEach(function(entry) {
+      if (!entry.isIntersecting) {
+        return;
+      }
+
+      const record = state.records.get(entry.target);
+      state.observer.unobserve(entry.target);
+
+      if (!record || record.status !== 'pending') {
+        return;
+      }
+
+      if (record.priority === 'auto') {
+        const rect = entry.boundingClientRect;
+        const isOnScreen = rect.top < window.innerHeight && rect.bottom > 0;
+        record.priority = isOnScreen ? 'high' : 'low';
+      }
+
+      enqueue(record);
+    });
+  }
+
+  /**
+   * Add a record to the queue, highest priority first
+   * @param {Object} record - Loader record
+   */
+  function enqueue(record) {
+    setStatus(record, 'queued');
+    state.queue.push(record);
+    state.queue.sort(function(a, b) {
+      return getPriorityRank(a.priority) - getPriorityRank(b.priority);
+    });
+    pump();
+  }
+
+  /**
+   * Position of a fetchpriority value in the queue
+   * @param {string} priority - 'high', 'auto' or 'low'
+   * @returns {number} Lower numbers load first
+   */
+  function getPriorityRank(priority) {
+    return Object.prototype.hasOwnProperty.call(PRIORITY_ORDER, priority)
+      ? PRIORITY_ORDER[priority]
+      : PRIORITY_ORDER.auto;
+  }
+
+  /**
+   * Start queued loads until the concurrency limit is reached
+   */
+  function pump() {
+    while (state.activeCount < config.maxConcurrent && state.queue.length > 0) {
+      start(state.queue.shift());
+    }
+  }
+
+  /**
+   * Start (or retry) loading one element
+   * @param {Object} record - Loader record
+   */
+  function start(record) {
+    const element = record.element;
+
+    state.activeCount++;
+    record.attempts++;
+
+    if (record.attempts === 1) {
+      record.startTime = performance.now();
+    }
+
+    setStatus(record, 'loading');
+    emit(record, 'imageLoadStart');
+
+    if (record.kind === 'background') {
+      loadBackground(record);
+      return;
+    }
+
+    if (record.attempts === 1) {
+      record.src = element.getAttribute('data-src');
+
+      if (window.FashionForwardPlaceholders && element.hasAttribute('data-lqip')) {
+        window.FashionForwardPlaceholders.prepare(element);
+      }
+
+      promoteSrcset(element);
+    }
+
+    if (record.priority !== 'auto') {
+      element.setAttribute('fetchpriority', record.priority);
+    }
+
+    listen(record);
+
+    // Setting src again, even to the same URL, makes the browser refetch
+    element.setAttribute('src', record.src);
+  }
+
+  /**
+   * Move deferred data-srcset values (added by the responsive images
+   * module) onto the image and its <picture> sources
+   * @param {HTMLImageElement} img - Image being loaded
+   */
+  function promoteSrcset(img) {
+    const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+    const targets = picture ? Array.from(picture.querySelectorAll('source[data-srcset]')) : [];
+
+    targets.push(img);
+    targets.forEach(function(element) {
+      if (element.hasAttribute('data-srcset')) {
+        element.setAttribute('srcset', element.getAttribute('data-srcset'));
+        element.removeAttribute('data-srcset');
+      }
+    });
+  }
+
+  /**
+   * Preload a background image, then apply it
+   * @param {Object} record - Loader record
+   */
+  function loadBackground(record) {
+    const element = record.element;
+    const preload = new Image();
+
+    record.src = element.getAttribute('data-bg');
+
+    preload.onload = function() {
+      element.style.backgroundImage = 'url("' + record.src.replace(/"/g, '%22') + '")';
+      handleLoad(record);
+    };
+
+    preload.onerror = function() {
+      handleError(record);
+    };
+
+    preload.src = record.src;
+  }
+
+  /**
+   * Listen for the outcome of one image load attempt
+   * @param {Object} record - Loader record
+   */
+  function listen(record) {
+    const img = record.element;
+
+    function onLoad() {
+      img.removeEventListener('error', onError);
+      handleLoad(record);
+    }
+
+    function onError() {
+      img.removeEventListener('load', onLoad);
+      handleError(record);
+    }
+
+    img.addEventListener('load', onLoad, { once: true });
+    img.addEventListener('error', onError, { once: true });
+  }
+
+  /**
+   * Mark an element as loaded and start the next queued load
+   * @param {Object} record - Loader record
+   */
+  function handleLoad(record) {
+    const element = record.element;
+
+    if (record.kind !== 'native') {
+      state.activeCount = Math.max(state.activeCount - 1, 0);
+    }
+
+    if (record.kind === 'deferred') {
+      element.removeAttribute('data-src');
+    } else if (record.kind === 'background') {
+      element.removeAttribute('data-bg');
+    }
+
+    setStatus(record, 'loaded');
+    emit(record, 'imageLoaded', {
+      loadTime: Math.round(performance.now() - record.startTime)
+    });
+
+    pump();
+  }
+
+  /**
+   * Retry a failed load with exponential backoff, or give up and report
+   * the error once the retries are used
+   * @param {Object} record - Loader record
+   */
+  function handleError(record) {
+    if (record.kind !== 'native') {
+      state.activeCount = Math.max(state.activeCount - 1, 0);
+    }
+
+    if (record.attempts <= config.maxRetries) {
+      const delay = config.retryDelay * Math.pow(2, record.attempts - 1);
+
+      setStatus(record, 'retrying');
+      emit(record, 'imageLoadRetry', { delay: delay });
+      console.warn('[ImageLoader] Load failed, retrying in', delay, 'ms:', record.src);
+
+      setTimeout(function() {
+        if (record.kind === 'native') {
+          record.attempts++;
+          setStatus(record, 'loading');
+          listen(record);
+          record.element.setAttribute('src', record.src);
+        } else {
+          // Retries go to the front of the queue
+          setStatus(record, 'queued');
+          state.queue.unshift(record);
+          pump();
+        }
+      }, delay);
+    } else {
+      // Log first: imageLoadError listeners may reload the image
+      console.error('[ImageLoader] Failed to load after', record.attempts, 'attempts:', record.src);
+      setStatus(record, 'error');
+      emit(record, 'imageLoadError');
+    }
+
+    pump();
+  }
+
+  /**
+   * Update an element's status attribute and state classes
+   * @param {Object} record - Loader record
+   * @param {string} status - pending, queued, loading, retrying, loaded or error
+   */
+  function setStatus(record, status) {
+    const element = record.element;
+
+    record.status = status;
+    element.setAttribute('data-image-state', status);
+    element.classList.toggle(config.loadingClass, status === 'loading' || status === 'retrying');
+    element.classList.toggle(config.loadedClass, status === 'loaded');
+    element.classList.toggle(config.errorClass, status === 'error');
+  }
+
+  /**
+   * Dispatch a loader event on the element
+   * @param {Object} record - Loader record
+   * @param {string} name - Event name
+   * @param {Object} [extra] - Additional detail fields
+   */
+  function emit(record, name, extra) {
+    record.element.dispatchEvent(new CustomEvent(name, {
+      detail: Object.assign({
+        element: record.element,
+        src: record.src,
+        kind: record.kind,
+        priority: record.priority,
+        attempts: record.attempts
+      }, extra),
+      bubbles: true
+    }));
+  }
+
+  /**
+   * Load an element now at high priority, skipping the viewport check
+   * @param {HTMLElement} element - Image or element with data-bg
+   */
+  function load(element) {
+    register(element);
+
+    const record = state.records.get(element);
+
+    if (!record || record.status !== 'pending') {
+      return;
+    }
+
+    if (state.observer) {
+      state.observer.unobserve(element);
+    }
+
+    record.priority = 'high';
+    enqueue(record);
+  }
+
+  /**
+   * Load an image again, optionally from a different URL. Used for
+   * fallback sources and manual retries; a new URL also drops the
+   * responsive srcset so the browser can't pick from the failed set.
+   * @param {HTMLImageElement} img - Image to reload
+   * @param {string} [src] - URL to load instead of the current one
+   * @returns {boolean} True if the reload was queued
+   */
+  function reload(img, src) {
+    if (img.tagName !== 'IMG') {
+      return false;
+    }
+
+    let record = state.records.get(img);
+
+    if (!record) {
+      record = {
+        element: img,
+        kind: 'deferred',
+        src: null,
+        priority: 'high',
+        attempts: 0,
+        startTime: 0,
+        status: 'pending'
+      };
+      state.records.set(img, record);
+    }
+
+    if (record.status === 'queued' || record.status === 'loading' || record.status === 'retrying') {
+      return false;
+    }
+
+    const url = src || record.src || img.getAttribute('src');
+
+    if (!url) {
+      return false;
+    }
+
+    if (src && src !== record.src) {
+      clearSrcset(img);
+    }
+
+    // Reloads go through the deferred path so they count against the
+    // concurrency limit and get the usual retries
+    record.kind = 'deferred';
+    record.priority = 'high';
+    record.attempts = 0;
+    img.setAttribute('data-src', url);
+    enqueue(record);
+
+    return true;
+  }
+
+  /**
+   * Remove srcset candidates from an image and its <picture> sources
+   * @param {HTMLImageElement} img - Image element
+   */
+  function clearSrcset(img) {
+    const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+
+    if (picture) {
+      picture.querySelectorAll('source').forEach(function(source) {
+        source.remove();
+      });
+    }
+
+    img.removeAttribute('srcset');
+    img.removeAttribute('data-srcset');
+  }
+
+  /**
+   * Count registered elements by status
+   * @returns {Object} Counts keyed by status
+   */
+  function getStats() {
+    const stats = { total: state.records.size };
+
+    state.records.forEach(function(record) {
+      stats[record.status] = (stats[record.status] || 0) + 1;
+    });
+
+    return stats;
+  }
+
+  /**
+   * Public API
+   */
+  window.FashionForwardImageLoader = {
+    init: init,
+    observe: observe,
+    load: load,
+    reload: reload,
+    getStats: getStats,
+    isInitialized: function() {
+      return state.isInitialized;
+    }
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -0,0 +1,293 @@
+/**
+ * Fashion Forward Landing Page - Image Placeholders (LQIP)
+ *
+ * Blur-up placeholders for images that declare data-lqip, either a tiny
+ * base64 image or a dominant color. Product, category and hero images
+ * without one get a tiny blurred copy requested from the image CDN
+ * (through js/responsive-images.js). The placeholder fills the image's
+ * container while the full image loads, then cross-fades away. The image's
+ * aspect ratio is reserved up front so swapping sources causes no layout
+ * shift. Lazy images are revealed when js/image-loader.js reports them loaded.
+ *
+ * @generated-from: task-id:user-014
+ * @modifies: none
+ * @dependencies: ["js/responsive-images.js"]
+ */
+
+(function() {
+  'use strict';
+
+  // State management
+  const state = {
+    isInitialized: false,
+    placeholders: new WeakMap()
+  };
+
+  // Configuration
+  const config = {
+    wrapperClass: 'lazy-image-wrapper',
+    placeholderClass: 'lazy-image-placeholder',
+    loadedClass: 'loaded',
+    readyAttribute: 'data-lqip-ready',
+    // Images that get a placeholder even without data-lqip
+    imageSelector: 'img[data-lqip], [data-product-card] img, [data-category-card] img, img[data-hero-image]',
+    // Derived placeholders: a 24px wide, blurred, low-quality copy
+    derivedWidth: 24,
+    derivedParams: { blur: '200', q: '30' },
+    // Slightly longer than --duration-medium so the fade can finish
+    removeDelay: 400
+  };
+
+  /**
+   * Initialize placeholders for images already in the page
+   */
+  function init() {
+    if (state.isInitialized) {
+      console.warn('[Placeholders] Already initialized');
+      return;
+    }
+
+    try {
+      apply(document);
+
+      // Product cards are rendered from the catalog after load
+      document.addEventListener('productsRendered', function(event) {
+        apply(event.target);
+      });
+
+      // Lazy images are loaded by js/image-loader.js
+      document.addEventListener('imageLoaded', function(event) {
+        reveal(event.target);
+      });
+
+      state.isInitialized = true;
+      console.info('[Placeholders] Initialized');
+    } catch (error) {
+      console.error('[Placeholders] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Prepare every placeholder image inside a root element
+   * @param {ParentNode} [root=document] - Element or document to search
+   * @returns {number} Number of placeholders added
+   */
+  function apply(root) {
+    const scope = root || document;
+    let count = 0;
+
+    scope.querySelectorAll(config.imageSelector).forEach(function(img) {
+      if (!img.hasAttribute(config.readyAttribute) && prepare(img)) {
+        count++;
+      }
+    });
+
+    if (count > 0) {
+      console.debug('[Placeholders] Added', count, 'placeholders');
+    }
+
+    return count;
+  }
+
+  /**
+   * Insert the placeholder behind an image and reserve its aspect ratio.
+   * Safe to call more than once; lazy loaders call it before loading.
+   * @param {HTMLImageElement} img - Image with data-lqip or a CDN source
+   * @returns {boolean} True if the image has a placeholder
+   */
+  function prepare(img) {
+    if (img.hasAttribute(config.readyAttribute)) {
+      return true;
+    }
+
+    const lqip = img.getAttribute('data-lqip') || deriveLqip(img);
+    const wrapper = getWrapper(img);
+
+    if (!lqip || !wrapper) {
+      return false;
+    }
+
+    const placeholder = document.createElement('span');
+    placeholder.className = config.placeholderClass;
+    placeholder.setAttribute('aria-hidden', 'true');
+
+    if (!setPlaceholderBackground(placeholder, lqip)) {
+      console.warn('[Placeholders] Unsupported data-lqip value:', lqip.slice(0, 40));
+      return false;
+    }
+
+    reserveAspectRatio(img);
+
+    img.setAttribute('data-lqip', lqip);
+    wrapper.classList.add(config.wrapperClass);
+    wrapper.insertBefore(placeholder, wrapper.firstChild);
+    img.setAttribute(config.readyAttribute, '');
+    state.placeholders.set(img, placeholder);
+
+    // Images outside the image loader reveal on their own load event
+    if (!isLazy(img)) {
+      if (img.complete && img.naturalWidth > 0) {
+        reveal(img);
+      } else {
+        img.addEventListener('load', function() {
+          reveal(img);
+        }, { once: true });
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Cross-fade from the placeholder to the loaded image
+   * @param {HTMLImageElement} img - Loaded image
+   */
+  function reveal(img) {
+    const placeholder = state.placeholders.get(img);
+    const wrapper = getWrapper(img);
+
+    if (!placeholder || !wrapper) {
+      return;
+    }
+
+    state.placeholders.delete(img);
+    wrapper.classList.add(config.loadedClass);
+
+    setTimeout(function() {
+      placeholder.remove();
+    }, config.removeDelay);
+  }
+
+  /**
+   * Check whether the shared image loader handles an image
+   * @param {HTMLImageElement} img - Image element
+   * @returns {boolean} True for data-src and native lazy images
+   */
+  function isLazy(img) {
+    return img.hasAttribute('data-src') || img.getAttribute('loading') === 'lazy';
+  }
+
+  /**
+   * Find the element that holds the image (skipping a <picture> wrapper)
+   * @param {HTMLImageElement} img - Image element
+   * @returns {HTMLElement|null} Container element
+   */
+  function getWrapper(img) {
+    const parent = img.parentElement;
+
+    if (parent && parent.tagName === 'PICTURE') {
+      return parent.parentElement;
+    }
+
+    return parent;
+  }
+
+  /**
+   * Paint the placeholder from a data-lqip value
+   * @param {HTMLElement} placeholder - Placeholder element
+   * @param {string} value - Base64 data URI, image URL or CSS color
+   * @returns {boolean} True if the value was understood
+   */
+  function setPlaceholderBackground(placeholder, value) {
+    const lqip = value.trim();
+
+    if (/^data:image\//i.test(lqip) || /^(https?:)?\/\//i.test(lqip)) {
+      placeholder.style.backgroundImage = 'url("' + lqip.replace(/"/g, '%22') + '")';
+      return true;
+    }
+
+    if (isColor(lqip)) {
+      placeholder.style.backgroundColor = lqip;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Build a placeholder URL from the image's own CDN source
+   * @param {HTMLImageElement} img - Image element
+   * @returns {string|null} Tiny blurred image URL, or null if not resizable
+   */
+  function deriveLqip(img) {
+    const responsiveImages = window.FashionForwardResponsiveImages;
+    const src = img.getAttribute('data-src') || img.getAttribute('src');
+
+    if (!src || !responsiveImages) {
+      return null;
+    }
+
+    const resized = responsiveImages.resizeImageUrl(src, config.derivedWidth);
+
+    // Unchanged means the host can't resize it
+    if (resized === src) {
+      return null;
+    }
+
+    const url = new URL(resized, window.location.href);
+    const source = new URL(src, window.location.href);
+    const width = parseFloat(img.getAttribute('width')) || parseFloat(source.searchParams.get('w'));
+    const height = parseFloat(img.getAttribute('height')) || parseFloat(source.searchParams.get('h'));
+
+    // Keep the image's shape; without it, let the CDN keep the original ratio
+    if (width > 0 && height > 0) {
+      url.searchParams.set('h', Math.round(config.derivedWidth * height / width));
+    } else {
+      url.searchParams.delete('h');
+    }
+
+    Object.keys(config.derivedParams).forEach(function(name) {
+      url.searchParams.set(name, config.derivedParams[name]);
+    });
+
+    return url.toString();
+  }
+
+  /**
+   * Check whether a string is a valid CSS color
+   * @param {string} value - Candidate color
+   * @returns {boolean} True for colors
+   */
+  function isColor(value) {
+    if (window.CSS && typeof window.CSS.supports === 'function') {
+      return window.CSS.supports('color', value);
+    }
+
+    return /^(#[0-9a-f]{3,8}|rgba?\(|hsla?\()/i.test(value);
+  }
+
+  /**
+   * Reserve the image box from its width and height attributes so the
+   * layout doesn't move when the full image arrives
+   * @param {HTMLImageElement} img - Image element
+   */
+  function reserveAspectRatio(img) {
+    const width = parseFloat(img.getAttribute('width'));
+    const height = parseFloat(img.getAttribute('height'));
+
+    if (width > 0 && height > 0 && !img.style.aspectRatio) {
+      img.style.aspectRatio = width + ' / ' + height;
+    }
+  }
+
+  /**
+   * Public API
+   */
+  window.FashionForwardPlaceholders = {
+    init: init,
+    apply: apply,
+    prepare: prepare,
+    reveal: reveal,
+    isInitialized: function() {
+      return state.isInitialized;
+    }
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
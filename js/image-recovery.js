@@ -0,0 +1,373 @@
+/**
+ * Fashion Forward Landing Page - Image Error Recovery
+ *
+ * Recovers images that fail to load. Transient failures are retried with
+ * backoff by the shared image loader; when an image still fails, the
+ * sources listed in data-fallback-src (space-separated, tried in order)
+ * are loaded next. When every source has failed, an accessible
+ * placeholder with a Retry button takes the image's place. Failed images
+ * are retried automatically when the connection comes back.
+ *
+ * Emits imageRecovered (a fallback or retry loaded) and
+ * imageRecoveryFailed (every source failed) on the image.
+ *
+ * @generated-from: task-id:user-016
+ * @modifies: js/image-loader.js, data/products.json, sw.js
+ * @dependencies: ["js/image-loader.js"]
+ */
+
+(function() {
+  'use strict';
+
+  // State management
+  const state = {
+    isInitialized: false,
+    recovering: new Set(),
+    failed: new Map(),
+    originalSources: new WeakMap()
+  };
+
+  // Configuration
+  const config = {
+    scope: '[data-product-card], [data-category-card], #hero',
+    fallbackAttribute: 'data-fallback-src',
+    wrapperClass: 'has-image-error',
+    messageText: 'Image unavailable',
+    retryText: 'Retry'
+  };
+
+  /**
+   * Initialize error recovery
+   */
+  function init() {
+    if (state.isInitialized) {
+      console.warn('[ImageRecovery] Already initialized');
+      return;
+    }
+
+    try {
+      // Lazy images: the loader reports after its own retries are used up
+      document.addEventListener('imageLoadError', function(event) {
+        if (event.target.tagName === 'IMG' && isInScope(event.target)) {
+          recover(event.target);
+        }
+      });
+
+      document.addEventListener('imageLoaded', handleImageLoaded);
+
+      // Eager images the loader doesn't manage; error events don't
+      // bubble, so listen in the capture phase
+      document.addEventListener('error', handleUnmanagedError, true);
+
+      window.addEventListener('online', retryAll);
+
+      state.isInitialized = true;
+      console.info('[ImageRecovery] Initialized');
+    } catch (error) {
+      console.error('[ImageRecovery] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Hand a failed eager image to the loader so it gets the same retries
+   * @param {Event} event - Error event
+   */
+  function handleUnmanagedError(event) {
+    const img = event.target;
+
+    if (!img || img.tagName !== 'IMG' || img.hasAttribute('data-image-state') || !isInScope(img)) {
+      return;
+    }
+
+    const loader = window.FashionForwardImageLoader;
+
+    if (!loader || !loader.reload(img)) {
+      recover(img);
+    }
+  }
+
+  /**
+   * Try the next fallback source, or show the placeholder when none are left
+   * @param {HTMLImageElement} img - Image that failed to load
+   */
+  function recover(img) {
+    if (!state.originalSources.has(img)) {
+      state.originalSources.set(img, img.getAttribute('src'));
+    }
+
+    const fallbackSrc = nextFallback(img);
+
+    if (fallbackSrc) {
+      console.warn('[ImageRecovery] Trying fallback source:', fallbackSrc);
+      state.recovering.add(img);
+      loadSource(img, fallbackSrc);
+      return;
+    }
+
+    state.recovering.delete(img);
+    showPlaceholder(img);
+
+    img.dispatchEvent(new CustomEvent('imageRecoveryFailed', {
+      detail: {
+        element: img,
+        src: img.getAttribute('src')
+      },
+      bubbles: true
+    }));
+  }
+
+  /**
+   * Check whether an image sits in a product card, category card or the hero
+   * @param {HTMLImageElement} img - Image element
+   * @returns {boolean} True if recovery applies
+   */
+  function isInScope(img) {
+    return Boolean(img.closest(config.scope));
+  }
+
+  /**
+   * Read the next unused source from data-fallback-src and advance past it
+   * @param {HTMLElement} element - Image or element with data-fallback-src
+   * @returns {string|null} Next fallback URL
+   */
+  function nextFallback(element) {
+    const sources = getFallbacks(element);
+    const index = parseInt(element.getAttribute('data-fallback-index'), 10) || 0;
+
+    if (index >= sources.length) {
+      return null;
+    }
+
+    element.setAttribute('data-fallback-index', index + 1);
+    return sources[index];
+  }
+
+  /**
+   * List the fallback sources declared on an element
+   * @param {HTMLElement} element - Image or element with data-fallback-src
+   * @returns {string[]} Fallback URLs in order
+   */
+  function getFallbacks(element) {
+    const value = element.getAttribute(config.fallbackAttribute) || '';
+
+    return value.split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Load a source through the shared loader, or directly without it
+   * @param {HTMLImageElement} img - Image element
+   * @param {string} src - URL to load
+   */
+  function loadSource(img, src) {
+    const loader = window.FashionForwardImageLoader;
+
+    if (loader && loader.reload(img, src)) {
+      return;
+    }
+
+    img.removeAttribute('srcset');
+    img.src = src;
+  }
+
+  /**
+   * Clear the error state once a fallback or retry has loaded
+   * @param {Event} event - imageLoaded event
+   */
+  function handleImageLoaded(event) {
+    const img = event.target;
+
+    if (!state.recovering.has(img) && !state.failed.has(img)) {
+      return;
+    }
+
+    state.recovering.delete(img);
+    hidePlaceholder(img);
+
+    img.dispatchEvent(new CustomEvent('imageRecovered', {
+      detail: {
+        element: img,
+        src: event.detail.src
+      },
+      bubbles: true
+    }));
+
+    console.info('[ImageRecovery] Image recovered:', event.detail.src);
+  }
+
+  /**
+   * Cover the failed image with a message and a Retry button. Inside a
+   * link (category cards) the button goes after the link, since buttons
+   * can't be nested in links.
+   * @param {HTMLImageElement} img - Image that could not be loaded
+   */
+  function showPlaceholder(img) {
+    const wrapper = getWrapper(img);
+
+    // A retry that failed again: re-enable the existing button
+    if (state.failed.has(img)) {
+      const retryButton = state.failed.get(img).button;
+      retryButton.removeAttribute('aria-disabled');
+      retryButton.textContent = config.retryText;
+      return;
+    }
+
+    // Decorative images (the hero) just stay hidden: a Retry button
+    // can't live inside aria-hidden content
+    if (!wrapper || img.closest('[aria-hidden="true"]')) {
+      return;
+    }
+
+    const description = img.getAttribute('alt') || '';
+    const placeholder = document.createElement('div');
+    placeholder.className = 'image-error';
+    placeholder.innerHTML =
+      '<svg class="image-error-icon" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">' +
+        '<rect x="3" y="3" width="18" height="18" rx="2"></rect>' +
+        '<circle cx="8.5" cy="8.5" r="1.5"></circle>' +
+        '<polyline points="21 15 16 10 5 21"></polyline>' +
+        '<line x1="3" y1="3" x2="21" y2="21"></line>' +
+      '</svg>' +
+      '<p class="image-error-text"></p>';
+
+    const text = placeholder.querySelector('.image-error-text');
+    text.textContent = config.messageText;
+
+    if (description) {
+      const detail = document.createElement('span');
+      detail.className = 'sr-only';
+      detail.textContent = ': ' + description;
+      text.appendChild(detail);
+    }
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-outline btn-sm touch-target image-error-retry';
+    button.setAttribute('data-image-retry', '');
+    button.setAttribute('data-card-action', '');
+    button.setAttribute('aria-label', description ? 'Retry loading image: ' + description : 'Retry loading image');
+    button.textContent = config.retryText;
+    button.addEventListener('click', function(event) {
+      event.preventDefault();
+      event.stopPropagation();
+      retry(img);
+    });
+
+    const link = img.closest('a, button');
+
+    if (link && link.parentElement) {
+      link.parentElement.insertBefore(button, link.nextSibling);
+    } else {
+      placeholder.appendChild(button);
+    }
+
+    img.setAttribute('data-image-unavailable', '');
+    wrapper.classList.add(config.wrapperClass);
+    wrapper.appendChild(placeholder);
+    state.failed.set(img, { placeholder: placeholder, button: button });
+  }
+
+  /**
+   * Remove the error placeholder from an image
+   * @param {HTMLImageElement} img - Image element
+   */
+  function hidePlaceholder(img) {
+    const failure = state.failed.get(img);
+
+    if (!failure) {
+      return;
+    }
+
+    const wrapper = getWrapper(img);
+    const hadFocus = failure.button === document.activeElement;
+
+    failure.placeholder.remove();
+    failure.button.remove();
+    state.failed.delete(img);
+    img.removeAttribute('data-image-unavailable');
+
+    if (wrapper) {
+      wrapper.classList.remove(config.wrapperClass);
+    }
+
+    // Keep keyboard users in the card when the Retry button disappears
+    if (hadFocus) {
+      const card = img.closest('[tabindex], a') || img.closest(config.scope);
+
+      if (card && typeof card.focus === 'function') {
+        card.focus();
+      }
+    }
+  }
+
+  /**
+   * Start over from the original source, then the fallbacks again
+   * @param {HTMLImageElement} img - Failed image
+   */
+  function retry(img) {
+    const failure = state.failed.get(img);
+
+    if (!failure || state.recovering.has(img)) {
+      return;
+    }
+
+    // aria-disabled rather than disabled so the button keeps focus
+    failure.button.setAttribute('aria-disabled', 'true');
+    failure.button.textContent = 'Retrying…';
+
+    img.removeAttribute('data-fallback-index');
+    state.recovering.add(img);
+
+    loadSource(img, state.originalSources.get(img) || img.getAttribute('src'));
+  }
+
+  /**
+   * Retry every failed image, e.g. when the browser comes back online
+   */
+  function retryAll() {
+    if (state.failed.size === 0) {
+      return;
+    }
+
+    console.info('[ImageRecovery] Retrying', state.failed.size, 'failed images');
+
+    Array.from(state.failed.keys()).forEach(retry);
+  }
+
+  /**
+   * Find the element that holds the image (skipping a <picture> wrapper)
+   * @param {HTMLImageElement} img - Image element
+   * @returns {HTMLElement|null} Container element
+   */
+  function getWrapper(img) {
+    const parent = img.parentElement;
+
+    if (parent && parent.tagName === 'PICTURE') {
+      return parent.parentElement;
+    }
+
+    return parent;
+  }
+
+  /**
+   * Public API
+   */
+  window.FashionForwardImageRecovery = {
+    init: init,
+    recover: recover,
+    retry: retry,
+    retryAll: retryAll,
+    nextFallback: nextFallback,
+    getFallbacks: getFallbacks,
+    isInitialized: function() {
+      return state.isInitialized;
+    }
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -2,7 +2,8 @@
  * Fashion Forward Landing Page - Main JavaScript
  * 
  * Handles core initialization, mobile navigation, smooth scrolling,
- * and basic form interactions for the landing page.
+ * service worker registration and basic form interactions for the
+ * landing page.
  * 
  * @generated-from: task-id:TASK-001
  * @modifies: none
@@ -16,9 +17,19 @@
   const state = {
     mobileMenuOpen: false,
     isInitialized: false,
-    scrollThreshold: 100
+    scrollThreshold: 100,
+    currentHash: '',
+    serviceWorkerRegistration: null
   };
 
+  // Service worker (sw.js sits at the site root so its scope covers the page)
+  const serviceWorkerConfig = {
+    url: 'sw.js'
+  };
+
+  // Elements a focus trap cycles through
+  const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
   // DOM element cache
   const elements = {
     mobileMenuToggle: null,
@@ -42,6 +53,7 @@
       setupEventListeners();
       setupSmoothScroll();
       setupScrollEffects();
+      registerServiceWorker();
       state.isInitialized = true;
       console.info('[FashionForward] Application initialized successfully');
     } catch (error) {
@@ -227,6 +239,10 @@
       link.addEventListener('click', handleSmoothScroll);
     });
 
+    // Back/forward between sections pushed by handleSmoothScroll
+    state.currentHash = window.location.hash;
+    window.addEventListener('popstate', handlePopState);
+
     console.debug('[FashionForward] Smooth scroll enabled for', elements.navLinks.length, 'links');
   }
 
@@ -257,6 +273,21 @@
       closeMobileMenu();
     }
 
+    // Update URL without triggering navigation; the query string
+    // (filters, campaign parameters) is kept since only the hash changes
+    if (history.pushState && href !== window.location.hash) {
+      history.pushState(null, null, href);
+    }
+    state.currentHash = href;
+
+    scrollToElement(targetElement);
+  }
+
+  /**
+   * Scroll to an element below the fixed header and move focus to it
+   * @param {HTMLElement} targetElement - Element to scroll to
+   */
+  function scrollToElement(targetElement) {
     // Calculate offset for fixed header
     const headerHeight = elements.header ? elements.header.offsetHeight : 0;
     const targetPosition = targetElement.getBoundingClientRect().top + window.pageYOffset - headerHeight;
@@ -267,17 +298,12 @@
         behavior: 'smooth'
       });
 
-      // Update URL without triggering navigation
-      if (history.pushState) {
-        history.pushState(null, null, href);
-      }
-
       // Set focus to target for accessibility
       targetElement.setAttribute('tabindex', '-1');
-      targetElement.focus();
+      targetElement.focus({ preventScroll: true });
       targetElement.removeAttribute('tabindex');
 
-      console.debug('[FashionForward] Scrolled to:', targetId);
+      console.debug('[FashionForward] Scrolled to:', targetElement.id);
     } catch (error) {
       console.error('[FashionForward] Smooth scroll failed:', error);
       // Fallback to instant scroll
@@ -285,6 +311,28 @@
     }
   }
 
+  /**
+   * Restore the section position on back/forward navigation
+   */
+  function handlePopState() {
+    const hash = window.location.hash;
+
+    // Query-only changes (e.g. product filters) keep the scroll position
+    if (hash === state.currentHash) {
+      return;
+    }
+
+    state.currentHash = hash;
+
+    const targetElement = hash.length > 1 ? document.getElementById(hash.substring(1)) : null;
+
+    if (targetElement) {
+      scrollToElement(targetElement);
+    } else if (!hash) {
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+  }
+
   /**
    * Setup scroll-based effects and animations
    */
@@ -328,6 +376,69 @@
     });
   }
 
+  /**
+   * Register the service worker for offline support once the page has
+   * loaded, so precaching doesn't compete with first-load requests
+   */
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+      console.debug('[FashionForward] Service workers not supported');
+      return;
+    }
+
+    // Service workers need http(s); skip pages opened from the file system
+    if (!/^https?:$/.test(window.location.protocol)) {
+      return;
+    }
+
+    const register = function() {
+      navigator.serviceWorker.register(serviceWorkerConfig.url)
+        .then(function(registration) {
+          state.serviceWorkerRegistration = registration;
+          console.info('[FashionForward] Service worker registered:', registration.scope);
+        })
+        .catch(function(error) {
+          console.error('[FashionForward] Service worker registration failed:', error);
+        });
+    };
+
+    if (document.readyState === 'complete') {
+      register();
+    } else {
+      window.addEventListener('load', register, { once: true });
+    }
+  }
+
+  /**
+   * Keep Tab focus cycling within a dialog or drawer. Call from the
+   * container's keydown handler for Tab presses.
+   * @param {HTMLElement} container - Dialog or drawer element
+   * @param {KeyboardEvent} event - Tab keydown event
+   */
+  function trapFocus(container, event) {
+    const focusable = Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+      .filter(function(element) {
+        return !element.hidden && element.offsetParent !== null;
+      });
+
+    if (focusable.length === 0) {
+      event.preventDefault();
+      container.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && (document.activeElement === first || document.activeElement === container)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
   /**
    * Public API for external access if needed
    */
@@ -339,6 +450,10 @@
         closeMobileMenu();
       }
     },
+    trapFocus: trapFocus,
+    getServiceWorkerRegistration: function() {
+      return state.serviceWorkerRegistration;
+    },
     isInitialized: function() {
       return state.isInitialized;
     }
@@ -1,29 +1,125 @@
 /**
  * Fashion Forward Landing Page - Newsletter Form Handler
  * 
- * Handles newsletter subscription form validation, submission,
- * and user feedback with comprehensive error handling and
- * accessibility support.
+ * Handles newsletter subscription form validation, submission
+ * through a pluggable transport, and user feedback with comprehensive
+ * error handling and accessibility support. Subscriptions that can't be
+ * sent (offline or a network failure) are kept in IndexedDB, one per
+ * email, and retried with exponential backoff, when the browser
+ * reconnects and on the next visit.
+ *
+ * Links from subscription emails land back on this page:
+ * ?newsletter=confirm&token=... confirms a double opt-in subscription and
+ * ?newsletter=preferences&token=... opens the preference center, where
+ * subscribers choose interests (one per category card) and a frequency,
+ * or unsubscribe.
+ *
+ * Subscriptions carry optional interests, first name and birthday month,
+ * plus attribution (UTM parameters and the active product filter).
+ *
+ * When the email field loses focus, a likely typo in a common provider
+ * or top-level domain gets a one-click "Did you mean ...?" correction,
+ * and disposable domains get a soft warning (the address is still
+ * accepted).
+ *
+ * Spam protection needs no third-party service: a hidden honeypot field,
+ * a minimum time between init and submit, rate limits kept in
+ * localStorage across reloads and, when the form sets
+ * data-newsletter-pow-difficulty, a proof of work sent as
+ * protection.proofOfWork: { challenge, nonce, difficulty }, where
+ * SHA-256 of "challenge:email:nonce" (email lowercased) starts with
+ * `difficulty` zero bits. A server-issued challenge can be set in
+ * data-newsletter-pow-challenge. The search stops after a few seconds
+ * (or when the submission is aborted); a subscription without a proof
+ * is still sent, leaving the decision to the server. A filled honeypot
+ * gets the normal success message but is never sent; a submit right
+ * after page load gets an error asking to try again.
+ *
+ * Fields are checked by the shared form validation controller
+ * (js/form-validation.js, loaded first); the rules for the optional
+ * fields and the preference center are registered as named validators.
+ * Requests and the persistent rate limits go through the client shared
+ * with the contact form (js/form-submission.js, also loaded first).
  * 
  * @generated-from: task-id:TASK-005
  * @modifies: none
- * @dependencies: []
+ * @dependencies: ["js/form-validation.js", "js/form-submission.js"]
  */
 
 (function() {
   'use strict';
 
-  // Email validation regex (RFC 5322 simplified)
-  const EMAIL_REGEX = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-
   // State management
   const state = {
     isInitialized: false,
     isSubmitting: false,
-    lastSubmissionTime: 0,
-    submissionCount: 0,
-    rateLimitWindow: 60000, // 1 minute
-    maxSubmissionsPerWindow: 3
+    // When init ran; the fill-time check measures from here
+    initTime: 0,
+    transport: null,
+    abortController: null,
+    isReplaying: false,
+    hasQueuedThisVisit: false,
+    replayTimer: null,
+    queueDatabase: null,
+    // Used when IndexedDB is unavailable (e.g. some private browsing modes)
+    memoryQueue: new Map(),
+    // Token from a confirmation or preferences link
+    subscriberToken: null,
+    // UTM parameters from the landing URL (first touch in this session)
+    campaign: {},
+    // Form validation controllers for the subscribe and preferences forms
+    validator: null,
+    preferencesValidator: null
+  };
+
+  // Spam protection configuration
+  const protectionConfig = {
+    // People need a few seconds to type an email; scripts submit at once
+    minFillTime: 2500,
+    // Submission limits per sliding window, kept across reloads
+    rateLimits: [
+      { window: 60000, max: 3 },     // 1 minute
+      { window: 3600000, max: 10 }   // 1 hour
+    ],
+    storageKey: 'ff-newsletter-rate-limit',
+    storageVersion: 1,
+    // Proof of work is off unless the form sets data-newsletter-pow-difficulty;
+    // each extra bit doubles the expected work (16 bits is about 65,000 hashes)
+    maxPowDifficulty: 18,
+    // Give up after this long so slow devices can still subscribe
+    powTimeLimit: 3000,
+    // Let the page repaint every so many hashes
+    powYieldInterval: 1000
+  };
+
+  // Offline queue configuration
+  const queueConfig = {
+    databaseName: 'ff-newsletter',
+    databaseVersion: 1,
+    storeName: 'queue',
+    // Queue kept in localStorage before the database existed
+    legacyStorageKey: 'ff-newsletter-queue',
+    legacyStorageVersion: 1,
+    // Wait 5s after the first failed attempt, doubling up to 10 minutes
+    retryBaseDelay: 5000,
+    retryMaxDelay: 600000,
+    // Submission failures that queue the subscription instead of showing an error
+    queueableErrorCodes: ['NETWORK_ERROR', 'TIMEOUT'],
+    // Failures worth sending again later; anything else was a definite answer
+    retryableErrorCodes: ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'RATE_LIMIT']
+  };
+
+  // Transport configuration
+  const transportConfig = {
+    endpoint: '/newsletter/subscribe',
+    confirmEndpoint: '/newsletter/confirm',
+    preferencesEndpoint: '/newsletter/preferences',
+    // Loading is a POST too: a GET would put the token in a cacheable URL
+    preferencesLookupEndpoint: '/newsletter/preferences/lookup',
+    unsubscribeEndpoint: '/newsletter/unsubscribe',
+    encoding: 'json', // 'json' or 'form'
+    timeout: 10000,
+    mockDelay: 1000
   };
 
   // DOM element cache
@@ -33,7 +129,72 @@
     submitButton: null,
     errorMessage: null,
     successMessage: null,
-    privacyCheckbox: null
+    successText: null,
+    privacyCheckbox: null,
+    firstNameInput: null,
+    birthdayMonthSelect: null,
+    subscribeInterests: null,
+    emailHint: null,
+    honeypot: null,
+    landingPanel: null,
+    landingTitle: null,
+    landingText: null,
+    manageButton: null,
+    preferencesForm: null,
+    interestsFieldset: null,
+    frequencyFieldset: null,
+    preferencesError: null,
+    preferencesStatus: null,
+    preferencesSubmit: null,
+    unsubscribeButton: null
+  };
+
+  // Query parameters on links from subscription emails
+  const landingConfig = {
+    actionParam: 'newsletter',
+    tokenParam: 'token',
+    // Opaque, URL-safe tokens issued by the newsletter service
+    tokenPattern: /^[A-Za-z0-9._~-]{16,512}$/
+  };
+
+  // Frequencies offered in the preference center (values of the radios)
+  const PREFERENCE_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+  // Attribution recorded with each subscription
+  const attributionConfig = {
+    utmParams: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'],
+    storageKey: 'ff-newsletter-campaign',
+    maxValueLength: 100
+  };
+
+  // Email domain checks; see suggestEmail and isDisposableEmail
+  const emailDomainConfig = {
+    // Common providers: a domain a typo or two away from one of these is
+    // probably that provider
+    domains: [
+      'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com',
+      'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com',
+      'icloud.com', 'me.com', 'mac.com', 'aol.com', 'protonmail.com', 'proton.me',
+      'gmx.com', 'gmx.de', 'gmx.net', 'web.de', 'mail.com', 'email.com', 'mail.de', 'mail.ru',
+      't-online.de', 'fastmail.com', 'hey.com', 'zoho.com', 'yandex.com', 'rocketmail.com',
+      'hotmail.de', 'hotmail.fr', 'live.co.uk', 'outlook.de', 'yahoo.de', 'yahoo.fr', 'yahoo.ca',
+      'orange.fr', 'btinternet.com', 'comcast.net', 'verizon.net', 'att.net', 'sbcglobal.net'
+    ],
+    // Provider names checked on their own, whatever the top-level domain;
+    // a corrected name is only suggested when the result is in domains
+    secondLevelDomains: ['gmail', 'yahoo', 'hotmail', 'outlook', 'icloud', 'protonmail'],
+    topLevelDomains: ['com', 'net', 'org', 'edu', 'gov', 'io', 'co', 'us', 'co.uk', 'ca', 'de', 'fr', 'me'],
+    // Edit distance allowed for a match; names shorter than
+    // shortNameLength allow one edit, so "gmial" matches "gmail" but
+    // "ace.com" isn't "corrected" to "me.com"
+    maxDistance: 2,
+    shortNameLength: 8,
+    // Throwaway inboxes; replace with Newsletter.setDisposableDomains()
+    disposableDomains: [
+      'mailinator.com', 'guerrillamail.com', 'sharklasers.com', '10minutemail.com',
+      'tempmail.com', 'temp-mail.org', 'yopmail.com', 'trashmail.com', 'getnada.com',
+      'dispostable.com', 'throwawaymail.com', 'maildrop.cc', 'fakeinbox.com', 'emailondeck.com'
+    ]
   };
 
   // Error messages
@@ -44,14 +205,105 @@
     RATE_LIMIT: 'Too many submission attempts. Please try again later',
     NETWORK_ERROR: 'Unable to submit. Please check your connection and try again',
     GENERIC_ERROR: 'An error occurred. Please try again',
-    ALREADY_SUBSCRIBED: 'This email is already subscribed to our newsletter'
+    ALREADY_SUBSCRIBED: 'This email is already subscribed to our newsletter',
+    TIMEOUT: 'The request took too long. Please try again',
+    TOO_FAST: 'That was quick! Please wait a moment and submit again',
+    SERVER_ERROR: 'Our subscription service is temporarily unavailable. Please try again later',
+    MISSING_TOKEN: 'This link is incomplete. Please open it again from your email',
+    INVALID_TOKEN: 'This link is invalid or has expired. Subscribe again to get a new one',
+    INTERESTS_REQUIRED: 'Please choose at least one topic, or unsubscribe from all emails below',
+    INVALID_FREQUENCY: 'Please choose how often you would like to hear from us',
+    INVALID_FIRST_NAME: 'Please enter your first name using letters only',
+    FIRST_NAME_TOO_LONG: 'Please shorten your first name to 50 characters or fewer',
+    INVALID_BIRTHDAY_MONTH: 'Please choose a month from the list',
+    INVALID_INTEREST: 'Please choose interests from the list'
+  };
+
+  // Validation rules for the optional subscription fields; error values
+  // are ERROR_MESSAGES keys
+  const FIELD_RULES = {
+    FIRST_NAME: {
+      maxLength: 50,
+      // Letters in any script, then letters, spaces, apostrophes, periods or hyphens
+      pattern: /^[\p{L}\p{M}][\p{L}\p{M}' .-]*$/u,
+      error: 'INVALID_FIRST_NAME',
+      lengthError: 'FIRST_NAME_TOO_LONG'
+    },
+    BIRTHDAY_MONTH: {
+      min: 1,
+      max: 12,
+      error: 'INVALID_BIRTHDAY_MONTH'
+    },
+    INTERESTS: {
+      // Allowed values come from the category cards
+      error: 'INVALID_INTEREST'
+    }
+  };
+
+  // HTTP status codes mapped to ERROR_MESSAGES keys
+  const STATUS_ERROR_CODES = {
+    400: 'INVALID_EMAIL',
+    409: 'ALREADY_SUBSCRIBED',
+    422: 'INVALID_EMAIL',
+    429: 'RATE_LIMIT',
+    500: 'SERVER_ERROR',
+    502: 'SERVER_ERROR',
+    503: 'SERVER_ERROR',
+    504: 'TIMEOUT'
+  };
+
+  // Confirmation and preference requests fail on the token, not the email
+  const TOKEN_STATUS_ERROR_CODES = Object.assign({}, STATUS_ERROR_CODES, {
+    400: 'INVALID_TOKEN',
+    401: 'INVALID_TOKEN',
+    403: 'INVALID_TOKEN',
+    404: 'INVALID_TOKEN',
+    410: 'INVALID_TOKEN',
+    422: 'INVALID_TOKEN'
+  });
+
+  // Hints shown under the email input; they never block submission
+  const EMAIL_HINTS = {
+    SUGGESTION: 'Did you mean {email}?',
+    DISPOSABLE: 'Disposable addresses stop working after a while, so our emails may never reach you. An address you\'ll keep is best.'
   };
 
   // Success messages
   const SUCCESS_MESSAGES = {
-    SUBSCRIPTION_SUCCESS: 'Thank you for subscribing! Check your email to confirm your subscription.'
+    SUBSCRIPTION_SUCCESS: 'Thank you for subscribing! Check your email to confirm your subscription.',
+    QUEUED_OFFLINE: 'We\'ll finish subscribing you when you\'re back online.',
+    SUBSCRIPTION_CONFIRMED: 'Your subscription is confirmed. Welcome to Fashion Forward!',
+    PREFERENCES_SAVED: 'Your preferences have been saved.',
+    UNSUBSCRIBED: 'You won\'t receive any more emails from us. You can subscribe again at any time.'
   };
 
+  // Transport and persistent rate limits are shared with the contact form
+  // (js/form-submission.js, loaded first)
+  const formSubmission = window.FashionForwardFormSubmission;
+
+  const transportClient = formSubmission ? formSubmission.createClient({
+    name: 'Newsletter',
+    errorMessages: ERROR_MESSAGES,
+    statusErrorCodes: STATUS_ERROR_CODES,
+    mockDelay: transportConfig.mockDelay,
+    createSuccess: function(body, status) {
+      return {
+        success: true,
+        status: status,
+        message: body.message || SUCCESS_MESSAGES.SUBSCRIPTION_SUCCESS,
+        subscriptionId: body.subscriptionId || body.id || null,
+        data: body
+      };
+    }
+  }) : null;
+
+  const rateLimiter = formSubmission ? formSubmission.createRateLimiter({
+    name: 'Newsletter',
+    storageKey: protectionConfig.storageKey,
+    storageVersion: protectionConfig.storageVersion,
+    limits: protectionConfig.rateLimits
+  }) : null;
+
   /**
    * Initialize newsletter form functionality
    */
@@ -61,6 +313,8 @@
       return;
     }
 
+    state.initTime = Date.now();
+
     try {
       cacheElements();
       
@@ -69,8 +323,25 @@
         return;
       }
 
+      if (!window.FashionForwardFormValidation) {
+        console.error('[Newsletter] Form validation module not found');
+        return;
+      }
+
+      if (!transportClient) {
+        console.error('[Newsletter] Form submission module not found');
+        return;
+      }
+
+      state.transport = state.transport || transportClient.resolve(elements.form.dataset.newsletterTransport);
+      captureCampaign();
+      renderInterestOptions(elements.subscribeInterests, false);
+      setupValidation();
       setupEventListeners();
       setupAccessibility();
+      setupOfflineQueue();
+      setupPreferenceCenter();
+      handleLandingLink();
       state.isInitialized = true;
       console.info('[Newsletter] Newsletter form initialized successfully');
     } catch (error) {
@@ -92,8 +363,34 @@
     elements.emailInput = elements.form.querySelector('[data-newsletter-email]');
     elements.submitButton = elements.form.querySelector('[data-newsletter-submit]');
     elements.errorMessage = elements.form.querySelector('[data-newsletter-error]');
-    elements.successMessage = elements.form.querySelector('[data-newsletter-success]');
+    // The success panel sits next to the form rather than inside it
+    elements.successMessage = (elements.form.closest('section') || elements.form).querySelector('[data-newsletter-success]');
+    // Only the text changes; the icon and heading stay in place
+    elements.successText = elements.successMessage
+      ? elements.successMessage.querySelector('.newsletter-success-text') || elements.successMessage
+      : null;
     elements.privacyCheckbox = elements.form.querySelector('[data-newsletter-privacy]');
+    elements.firstNameInput = elements.form.querySelector('[data-newsletter-first-name]');
+    elements.birthdayMonthSelect = elements.form.querySelector('[data-newsletter-birthday-month]');
+    elements.subscribeInterests = elements.form.querySelector('[data-newsletter-subscribe-interests]');
+    elements.emailHint = elements.form.querySelector('[data-newsletter-email-hint]');
+    elements.honeypot = elements.form.querySelector('[data-newsletter-honeypot]');
+
+    const section = elements.form.closest('section') || document;
+    elements.landingPanel = section.querySelector('[data-newsletter-landing]');
+    elements.landingTitle = section.querySelector('[data-newsletter-landing-title]');
+    elements.landingText = section.querySelector('[data-newsletter-landing-text]');
+    elements.manageButton = section.querySelector('[data-newsletter-manage]');
+    elements.preferencesForm = section.querySelector('[data-newsletter-preferences]');
+
+    if (elements.preferencesForm) {
+      elements.interestsFieldset = elements.preferencesForm.querySelector('[data-newsletter-interests]');
+      elements.frequencyFieldset = elements.preferencesForm.querySelector('[data-newsletter-frequency]');
+      elements.preferencesError = elements.preferencesForm.querySelector('[data-newsletter-preferences-error]');
+      elements.preferencesStatus = elements.preferencesForm.querySelector('[data-newsletter-preferences-status]');
+      elements.preferencesSubmit = elements.preferencesForm.querySelector('[data-newsletter-preferences-submit]');
+      elements.unsubscribeButton = elements.preferencesForm.querySelector('[data-newsletter-unsubscribe]');
+    }
 
     // Validate required elements
     if (!elements.emailInput) {
@@ -104,6 +401,55 @@
     }
   }
 
+  /**
+   * Register the newsletter's validators and create the controller for
+   * the subscribe form. Messages come from ERROR_MESSAGES so server and
+   * client errors read the same.
+   */
+  function setupValidation() {
+    const validation = window.FashionForwardFormValidation;
+
+    validation.registerValidator('newsletter-first-name', validateFirstName);
+    validation.registerValidator('newsletter-birthday-month', validateBirthdayMonth);
+    validation.registerValidator('newsletter-interests', validateInterests);
+    validation.registerValidator('newsletter-frequency', validateFrequency);
+
+    setErrorMessages(elements.emailInput, {
+      required: 'EMPTY_EMAIL',
+      email: 'INVALID_EMAIL'
+    });
+
+    if (elements.privacyCheckbox) {
+      // The privacy notice must be accepted whenever the form shows it
+      elements.privacyCheckbox.setAttribute('data-required', '');
+      setErrorMessages(elements.privacyCheckbox, {
+        required: 'PRIVACY_NOT_ACCEPTED'
+      });
+    }
+
+    setErrorMessages(elements.firstNameInput, {
+      maxlength: FIELD_RULES.FIRST_NAME.lengthError
+    });
+
+    // One error sits next to its field; the summary helps once there are several
+    state.validator = validation.create(elements.form, {
+      summaryMinErrors: 2
+    });
+  }
+
+  /**
+   * Point a field's data-error-* messages at ERROR_MESSAGES
+   * @param {HTMLElement|null} field - Field or group
+   * @param {Object} codes - ERROR_MESSAGES keys by rule name
+   */
+  function setErrorMessages(field, codes) {
+    if (!field) return;
+
+    Object.keys(codes).forEach(function(rule) {
+      field.setAttribute('data-error-' + rule, ERROR_MESSAGES[codes[rule]]);
+    });
+  }
+
   /**
    * Setup all event listeners
    */
@@ -112,18 +458,13 @@
       return;
     }
 
-    // Form submission
+    // Form submission; fields are checked on blur by the validation controller
     elements.form.addEventListener('submit', handleFormSubmit);
 
-    // Real-time email validation
+    // Typo suggestions and the disposable domain warning
     elements.emailInput.addEventListener('blur', handleEmailBlur);
     elements.emailInput.addEventListener('input', handleEmailInput);
 
-    // Privacy checkbox validation
-    if (elements.privacyCheckbox) {
-      elements.privacyCheckbox.addEventListener('change', handlePrivacyChange);
-    }
-
     console.debug('[Newsletter] Event listeners attached');
   }
 
@@ -156,7 +497,7 @@
    * Handle form submission
    * @param {Event} event - Submit event
    */
-  function handleFormSubmit(event) {
+  async function handleFormSubmit(event) {
     event.preventDefault();
 
     if (state.isSubmitting) {
@@ -164,420 +505,1761 @@
       return;
     }
 
+    // Claim the form before validation yields, so a second submit is ignored
+    state.isSubmitting = true;
+
     try {
       // Clear previous messages
       clearMessages();
 
-      // Validate form
-      const validationResult = validateForm();
+      // Validate form; the controller shows the errors and moves focus
+      const validationResult = await validateForm();
       
       if (!validationResult.isValid) {
-        showError(validationResult.error);
-        focusFirstError();
         console.warn('[Newsletter] Form validation failed:', validationResult.error);
         return;
       }
 
+      // Drop submissions that look automated
+      const botSignal = getBotSignal();
+
+      if (botSignal === 'too_fast') {
+        // Autofill can beat the timer too, so let people try again
+        showError(ERROR_MESSAGES.TOO_FAST);
+        trackMetric('newsletter_signup_blocked', { reason: botSignal });
+        return;
+      }
+
+      if (botSignal) {
+        handleBlockedSubmission(botSignal);
+        return;
+      }
+
       // Check rate limiting
-      if (!checkRateLimit()) {
+      if (!rateLimiter.check()) {
         showError(ERROR_MESSAGES.RATE_LIMIT);
         console.warn('[Newsletter] Rate limit exceeded');
         return;
       }
 
       // Submit form
-      submitForm(validationResult.data);
+      await submitForm(validationResult.data);
     } catch (error) {
       console.error('[Newsletter] Form submission error:', error);
       showError(ERROR_MESSAGES.GENERIC_ERROR);
+    } finally {
+      state.isSubmitting = false;
     }
   }
 
   /**
    * Validate entire form
-   * @returns {Object} Validation result with isValid flag and data/error
+   * @returns {Promise<Object>} Validation result with isValid flag and data/error
    */
-  function validateForm() {
-    const email = elements.emailInput.value.trim();
-
-    // Check if email is empty
-    if (!email) {
-      return {
-        isValid: false,
-        error: ERROR_MESSAGES.EMPTY_EMAIL
-      };
-    }
-
-    // Validate email format
-    if (!isValidEmail(email)) {
-      return {
-        isValid: false,
-        error: ERROR_MESSAGES.INVALID_EMAIL
-      };
-    }
+  async function validateForm() {
+    const result = await state.validator.validate();
 
-    // Check privacy checkbox if present
-    if (elements.privacyCheckbox && !elements.privacyCheckbox.checked) {
+    if (!result.isValid) {
       return {
         isValid: false,
-        error: ERROR_MESSAGES.PRIVACY_NOT_ACCEPTED
+        error: result.errors[0].message,
+        field: result.firstInvalid
       };
     }
 
     return {
       isValid: true,
-      data: {
-        email: email,
+      data: Object.assign({
+        email: elements.emailInput.value.trim(),
         timestamp: Date.now(),
-        source: 'landing_page'
-      }
+        source: 'landing_page',
+        // Subscribing is the marketing opt-in described in the privacy notice
+        marketingOptIn: true,
+        consentVersion: getConsentVersion()
+      }, getProfileData(), {
+        attribution: getAttribution(),
+        protection: {
+          fillTime: Date.now() - state.initTime
+        }
+      })
     };
   }
 
   /**
-   * Validate email format
-   * @param {string} email - Email address to validate
-   * @returns {boolean} True if valid
+   * Read the optional first name, birthday month and interests
+   * (already validated)
+   * @returns {Object} Profile data; empty fields are left out
    */
-  function isValidEmail(email) {
-    if (!email || typeof email !== 'string') {
-      return false;
-    }
-
-    // Check length constraints
-    if (email.length > 254) {
-      return false;
-    }
+  function getProfileData() {
+    const data = {
+      interests: getCheckedValues(elements.subscribeInterests, 'interests')
+    };
 
-    // Check format with regex
-    if (!EMAIL_REGEX.test(email)) {
-      return false;
-    }
+    const firstName = elements.firstNameInput ? normalizeName(elements.firstNameInput.value) : '';
 
-    // Additional validation: check for consecutive dots
-    if (email.includes('..')) {
-      return false;
+    if (firstName) {
+      data.firstName = firstName;
     }
 
-    // Check local part length (before @)
-    const localPart = email.split('@')[0];
-    if (localPart.length > 64) {
-      return false;
+    if (elements.birthdayMonthSelect && elements.birthdayMonthSelect.value) {
+      data.birthdayMonth = Number(elements.birthdayMonthSelect.value);
     }
 
-    return true;
+    return data;
   }
 
   /**
-   * Check rate limiting
-   * @returns {boolean} True if submission is allowed
+   * Trim a name and collapse runs of whitespace
+   * @param {string} value - Name as typed
+   * @returns {string} Normalized name
    */
-  function checkRateLimit() {
-    const now = Date.now();
-    const timeSinceLastSubmission = now - state.lastSubmissionTime;
+  function normalizeName(value) {
+    return String(value).trim().replace(/\s+/g, ' ');
+  }
 
-    // Reset counter if outside window
-    if (timeSinceLastSubmission > state.rateLimitWindow) {
-      state.submissionCount = 0;
-    }
+  /**
+   * Validator for the first name
+   * @param {string} value - Field value
+   * @returns {boolean|string} True, or the error message
+   */
+  function validateFirstName(value) {
+    const rule = FIELD_RULES.FIRST_NAME;
+    const firstName = normalizeName(value);
 
-    // Check if limit exceeded
-    if (state.submissionCount >= state.maxSubmissionsPerWindow) {
-      return false;
+    if (firstName.length > rule.maxLength) {
+      return ERROR_MESSAGES[rule.lengthError];
     }
 
-    return true;
+    return rule.pattern.test(firstName) || ERROR_MESSAGES[rule.error];
   }
 
   /**
-   * Submit form data
-   * @param {Object} data - Form data to submit
+   * Validator for the birthday month
+   * @param {string} value - Selected option value
+   * @returns {boolean|string} True, or the error message
    */
-  async function submitForm(data) {
-    state.isSubmitting = true;
-    setSubmittingState(true);
-
-    try {
-      console.info('[Newsletter] Submitting subscription:', { email: data.email });
+  function validateBirthdayMonth(value) {
+    const rule = FIELD_RULES.BIRTHDAY_MONTH;
+    const month = Number(value);
 
-      // Simulate API call (replace with actual API endpoint)
-      const response = await simulateApiCall(data);
+    return (Number.isInteger(month) && month >= rule.min && month <= rule.max) || ERROR_MESSAGES[rule.error];
+  }
 
-      // Update rate limiting
-      state.lastSubmissionTime = Date.now();
-      state.submissionCount++;
+  /**
+   * Validator for interest groups; only the category cards' values are allowed
+   * @param {string[]} values - Checked values
+   * @returns {boolean|string} True, or the error message
+   */
+  function validateInterests(values) {
+    const allowedInterests = getInterestOptions().map(function(option) {
+      return option.value;
+    });
 
-      if (response.success) {
-        handleSubmissionSuccess(response);
-      } else {
-        handleSubmissionError(response);
-      }
-    } catch (error) {
-      console.error('[Newsletter] Submission failed:', error);
-      handleSubmissionError({ error: ERROR_MESSAGES.NETWORK_ERROR });
-    } finally {
-      state.isSubmitting = false;
-      setSubmittingState(false);
-    }
+    return values.every(function(interest) {
+      return allowedInterests.indexOf(interest) !== -1;
+    }) || ERROR_MESSAGES[FIELD_RULES.INTERESTS.error];
   }
 
   /**
-   * Simulate API call for newsletter subscription
-   * @param {Object} data - Subscription data
-   * @returns {Promise<Object>} API response
+   * Validator for the preference center's frequency
+   * @param {string[]} values - Checked radio value
+   * @returns {boolean|string} True, or the error message
    */
-  function simulateApiCall(data) {
-    return new Promise(function(resolve) {
-      // Simulate network delay
-      setTimeout(function() {
-        // Simulate success (90% success rate)
-        const isSuccess = Math.random() > 0.1;
-        
-        if (isSuccess) {
-          resolve({
-            success: true,
-            message: SUCCESS_MESSAGES.SUBSCRIPTION_SUCCESS,
-            subscriptionId: 'sub_' + Date.now()
-          });
-        } else {
-          resolve({
-            success: false,
-            error: ERROR_MESSAGES.GENERIC_ERROR
-          });
-        }
-      }, 1000);
-    });
+  function validateFrequency(values) {
+    return PREFERENCE_FREQUENCIES.indexOf(values[0]) !== -1 || ERROR_MESSAGES.INVALID_FREQUENCY;
   }
 
   /**
-   * Handle successful submission
-   * @param {Object} response - API response
+   * Values of the checked checkboxes with a name inside a container
+   * @param {HTMLElement|null} container - Element holding the checkboxes
+   * @param {string} name - Checkbox name
+   * @returns {string[]} Checked values
    */
-  function handleSubmissionSuccess(response) {
-    console.info('[Newsletter] Subscription successful:', response);
+  function getCheckedValues(container, name) {
+    if (!container) {
+      return [];
+    }
 
-    // Show success message
-    showSuccess(response.message || SUCCESS_MESSAGES.SUBSCRIPTION_SUCCESS);
+    return Array.from(container.querySelectorAll('input[name="' + name + '"]:checked')).map(function(input) {
+      return input.value;
+    });
+  }
 
-    // Reset form
-    elements.form.reset();
+  /**
+   * Remember the landing URL's UTM parameters for this session, so they
+   * still apply after in-page navigation changes the URL
+   */
+  function captureCampaign() {
+    const params = new URLSearchParams(window.location.search);
+    const campaign = {};
 
-    // Remove validation states
-    removeValidationState(elements.emailInput);
+    attributionConfig.utmParams.forEach(function(name) {
+      const value = (params.get(name) || '').trim();
 
-    // Track success metric
-    trackMetric('newsletter_signup_success', {
-      subscriptionId: response.subscriptionId
+      if (value) {
+        campaign[name] = value.slice(0, attributionConfig.maxValueLength);
+      }
     });
 
-    // Focus success message for screen readers
-    if (elements.successMessage) {
-      elements.successMessage.focus();
+    try {
+      if (Object.keys(campaign).length > 0) {
+        window.sessionStorage.setItem(attributionConfig.storageKey, JSON.stringify(campaign));
+      } else {
+        Object.assign(campaign, JSON.parse(window.sessionStorage.getItem(attributionConfig.storageKey) || '{}'));
+      }
+    } catch (error) {
+      console.warn('[Newsletter] Could not store campaign parameters:', error);
     }
+
+    state.campaign = campaign;
   }
 
   /**
-   * Handle submission error
-   * @param {Object} response - Error response
+   * Attribution sent with a subscription
+   * @returns {Object} UTM parameters and the active product filter
    */
-  function handleSubmissionError(response) {
-    console.error('[Newsletter] Subscription failed:', response);
+  function getAttribution() {
+    const attribution = {
+      utm: Object.assign({}, state.campaign)
+    };
 
-    const errorMessage = response.error || ERROR_MESSAGES.GENERIC_ERROR;
-    showError(errorMessage);
+    const products = window.FashionForwardProducts;
 
-    // Track error metric
-    trackMetric('newsletter_signup_error', {
-      error: errorMessage
-    });
+    if (products && typeof products.getFilters === 'function') {
+      attribution.productFilter = products.getFilters();
+    }
 
-    // Focus error message for screen readers
-    focusFirstError();
+    return attribution;
   }
 
   /**
-   * Handle email input blur event
-   * @param {Event} event - Blur event
+   * Consent policy version of the visitor's stored consent choices
+   * @returns {string|null} Consent version, or null before any choice
    */
-  function handleEmailBlur(event) {
-    const email = event.target.value.trim();
+  function getConsentVersion() {
+    const consent = window.FashionForwardConsent;
 
-    if (!email) {
-      removeValidationState(event.target);
-      return;
+    if (consent) {
+      return consent.hasDecided() ? consent.getVersion() : null;
     }
 
-    if (isValidEmail(email)) {
-      setValidState(event.target);
-    } else {
-      setInvalidState(event.target, ERROR_MESSAGES.INVALID_EMAIL);
-    }
+    return elements.form.dataset.consentVersion || null;
   }
 
   /**
-   * Handle email input event for real-time feedback
-   * @param {Event} event - Input event
+   * Validate email format
+   * @param {string} email - Email address to validate
+   * @returns {boolean} True if valid
    */
-  function handleEmailInput(event) {
-    // Clear error state while typing
-    if (event.target.classList.contains('is-invalid')) {
-      removeValidationState(event.target);
-      clearMessages();
-    }
+  function isValidEmail(email) {
+    return window.FashionForwardFormValidation.isValidEmail(email);
   }
 
   /**
-   * Handle privacy checkbox change
-   * @param {Event} event - Change event
+   * Suggest a correction for a likely typo in the email's domain, first
+   * against the full provider domains, then the provider name and
+   * top-level domain separately (so "jane@hotmial.co.uk" and
+   * "jane@company.con" are caught too). A corrected provider name must
+   * give a known domain, so "jane@mail.de" isn't turned into gmail.de.
+   * @param {string} email - Valid email address
+   * @returns {string|null} Corrected email, or null if the domain looks fine
    */
-  function handlePrivacyChange(event) {
-    if (event.target.checked) {
-      removeValidationState(event.target);
+  function suggestEmail(email) {
+    const atIndex = email.lastIndexOf('@');
+    const localPart = email.slice(0, atIndex);
+    const domain = email.slice(atIndex + 1).toLowerCase();
+
+    if (emailDomainConfig.domains.indexOf(domain) !== -1) {
+      return null;
+    }
+
+    let suggestion = findClosest(domain, emailDomainConfig.domains);
+
+    const dotIndex = domain.indexOf('.');
+
+    if (!suggestion && dotIndex !== -1) {
+      const name = domain.slice(0, dotIndex);
+      const topLevelDomain = domain.slice(dotIndex + 1);
+
+      const closestName = emailDomainConfig.secondLevelDomains.indexOf(name) !== -1
+        ? name
+        : findClosest(name, emailDomainConfig.secondLevelDomains);
+      const closestTopLevelDomain = emailDomainConfig.topLevelDomains.indexOf(topLevelDomain) !== -1
+        ? topLevelDomain
+        : findClosest(topLevelDomain, emailDomainConfig.topLevelDomains);
+
+      if (closestTopLevelDomain) {
+        const candidate = (closestName || name) + '.' + closestTopLevelDomain;
+        const isKnownCandidate = !closestName || closestName === name ||
+          emailDomainConfig.domains.indexOf(candidate) !== -1;
+
+        if (candidate !== domain && isKnownCandidate) {
+          suggestion = candidate;
+        }
+      }
     }
+
+    return suggestion ? localPart + '@' + suggestion : null;
   }
 
   /**
-   * Set input to valid state
-   * @param {HTMLElement} input - Input element
+   * Closest candidate within the allowed edit distance
+   * @param {string} value - Value to match
+   * @param {string[]} candidates - Known values
+   * @returns {string|null} Closest candidate (the first on a tie), or null
    */
-  function setValidState(input) {
-    if (!input) return;
+  function findClosest(value, candidates) {
+    const maxDistance = value.length < emailDomainConfig.shortNameLength ? 1 : emailDomainConfig.maxDistance;
+
+    let closest = null;
+    let closestDistance = maxDistance + 1;
+
+    candidates.forEach(function(candidate) {
+      const distance = getEditDistance(value, candidate);
+
+      if (distance > 0 && distance < closestDistance) {
+        closest = candidate;
+        closestDistance = distance;
+      }
+    });
 
-    input.classList.remove('is-invalid');
-    input.classList.add('is-valid');
-    input.setAttribute('aria-invalid', 'false');
+    return closest;
   }
 
   /**
-   * Set input to invalid state
-   * @param {HTMLElement} input - Input element
-   * @param {string} message - Error message
+   * Edit distance counting insertions, deletions, substitutions and
+   * swapped neighbours ("gmial" is one edit from "gmail")
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Number of edits
    */
-  function setInvalidState(input, message) {
-    if (!input) return;
+  function getEditDistance(a, b) {
+    const rows = [];
+
+    for (let i = 0; i <= a.length; i++) {
+      rows[i] = [i];
+    }
+
+    for (let j = 0; j <= b.length; j++) {
+      rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
 
-    input.classList.remove('is-valid');
-    input.classList.add('is-invalid');
-    input.setAttribute('aria-invalid', 'true');
+        rows[i][j] = Math.min(
+          rows[i - 1][j] + 1,
+          rows[i][j - 1] + 1,
+          rows[i - 1][j - 1] + cost
+        );
 
-    if (message) {
-      showError(message);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
     }
+
+    return rows[a.length][b.length];
   }
 
   /**
-   * Remove validation state from input
-   * @param {HTMLElement} input - Input element
+   * Check whether an email uses a disposable domain (or a subdomain of one)
+   * @param {string} email - Valid email address
+   * @returns {boolean} True if disposable
    */
-  function removeValidationState(input) {
-    if (!input) return;
+  function isDisposableEmail(email) {
+    const domain = email.slice(email.lastIndexOf('@') + 1).toLowerCase();
 
-    input.classList.remove('is-valid', 'is-invalid');
-    input.removeAttribute('aria-invalid');
+    return emailDomainConfig.disposableDomains.some(function(disposable) {
+      return domain === disposable || domain.endsWith('.' + disposable);
+    });
   }
 
   /**
-   * Set submitting state
-   * @param {boolean} isSubmitting - Submitting state
+   * Look for signs that a script filled in the form
+   * @returns {string|null} Reason ('honeypot' or 'too_fast'), or null
    */
-  function setSubmittingState(isSubmitting) {
-    if (!elements.submitButton) return;
+  function getBotSignal() {
+    if (elements.honeypot && elements.honeypot.value !== '') {
+      return 'honeypot';
+    }
 
-    if (isSubmitting) {
-      elements.submitButton.disabled = true;
-      elements.submitButton.classList.add('is-loading');
-      elements.submitButton.setAttribute('aria-busy', 'true');
-      
-      // Store original text
-      if (!elements.submitButton.dataset.originalText) {
-        elements.submitButton.dataset.originalText = elements.submitButton.textContent;
-      }
-      elements.submitButton.textContent = 'Subscribing...';
-    } else {
-      elements.submitButton.disabled = false;
-      elements.submitButton.classList.remove('is-loading');
-      elements.submitButton.setAttribute('aria-busy', 'false');
-      
-      // Restore original text
-      if (elements.submitButton.dataset.originalText) {
-        elements.submitButton.textContent = elements.submitButton.dataset.originalText;
-      }
+    if (Date.now() - state.initTime < protectionConfig.minFillTime) {
+      return 'too_fast';
     }
+
+    return null;
   }
 
   /**
-   * Show error message
-   * @param {string} message - Error message
+   * Respond to a blocked submission as if it had worked, so scripts
+   * don't learn which check caught them
+   * @param {string} reason - Reason from getBotSignal
    */
-  function showError(message) {
-    if (!elements.errorMessage) return;
+  function handleBlockedSubmission(reason) {
+    console.warn('[Newsletter] Submission blocked:', reason);
 
-    elements.errorMessage.textContent = message;
-    elements.errorMessage.classList.remove('is-hidden');
-    elements.errorMessage.setAttribute('aria-hidden', 'false');
+    trackMetric('newsletter_signup_blocked', {
+      reason: reason
+    });
 
-    console.debug('[Newsletter] Error displayed:', message);
+    showSuccess(SUCCESS_MESSAGES.SUBSCRIPTION_SUCCESS);
+    elements.form.reset();
+    state.validator.clearErrors();
+    hideEmailHint();
   }
 
   /**
-   * Show success message
-   * @param {string} message - Success message
+   * Proof-of-work difficulty set on the form
+   * @returns {number} Leading zero bits required (0 when off)
    */
-  function showSuccess(message) {
-    if (!elements.successMessage) return;
+  function getPowDifficulty() {
+    const difficulty = parseInt(elements.form.dataset.newsletterPowDifficulty, 10);
 
-    elements.successMessage.textContent = message;
-    elements.successMessage.classList.remove('is-hidden');
-    elements.successMessage.setAttribute('aria-hidden', 'false');
+    if (!isFinite(difficulty) || difficulty <= 0) {
+      return 0;
+    }
 
-    console.debug('[Newsletter] Success displayed:', message);
+    return Math.min(difficulty, protectionConfig.maxPowDifficulty);
   }
 
   /**
-   * Clear all messages
+   * Find a nonce whose hash has the required number of leading zero bits,
+   * for at most powTimeLimit
+   * @param {string} email - Subscriber email (binds the work to it)
+   * @param {AbortSignal|null} signal - Signal that stops the search
+   * @returns {Promise<Object|null>} { challenge, nonce, difficulty }, or null if off, unsolved or aborted
    */
-  function clearMessages() {
-    if (elements.errorMessage) {
-      elements.errorMessage.textContent = '';
-      elements.errorMessage.classList.add('is-hidden');
-      elements.errorMessage.setAttribute('aria-hidden', 'true');
+  async function solveProofOfWork(email, signal) {
+    const difficulty = getPowDifficulty();
+
+    if (!difficulty) {
+      return null;
     }
 
-    if (elements.successMessage) {
-      elements.successMessage.textContent = '';
-      elements.successMessage.classList.add('is-hidden');
-      elements.successMessage.setAttribute('aria-hidden', 'true');
+    if (!window.crypto || !window.crypto.subtle || !window.TextEncoder) {
+      // crypto.subtle needs a secure context
+      console.warn('[Newsletter] Proof of work unavailable in this browser');
+      return null;
+    }
+
+    const challenge = elements.form.dataset.newsletterPowChallenge || createChallenge();
+    const prefix = challenge + ':' + email.toLowerCase() + ':';
+    const encoder = new TextEncoder();
+    const startTime = Date.now();
+
+    for (let nonce = 0; ; nonce++) {
+      const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(prefix + nonce));
+
+      if (countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+        console.debug('[Newsletter] Proof of work found in', Date.now() - startTime, 'ms');
+        return {
+          challenge: challenge,
+          nonce: nonce,
+          difficulty: difficulty
+        };
+      }
+
+      if (nonce > 0 && nonce % protectionConfig.powYieldInterval === 0) {
+        await new Promise(function(resolve) {
+          setTimeout(resolve, 0);
+        });
+
+        if (signal && signal.aborted) {
+          return null;
+        }
+
+        if (Date.now() - startTime >= protectionConfig.powTimeLimit) {
+          console.warn('[Newsletter] Proof of work not found after', nonce, 'attempts; sending without it');
+          return null;
+        }
+      }
     }
   }
 
   /**
-   * Focus first error element
+   * Client-generated challenge: a timestamp (so servers can reject old
+   * work) and random bytes
+   * @returns {string} Challenge
    */
-  function focusFirstError() {
-    if (elements.errorMessage && !elements.errorMessage.classList.contains('is-hidden')) {
-      elements.errorMessage.setAttribute('tabindex', '-1');
-      elements.errorMessage.focus();
-      elements.errorMessage.removeAttribute('tabindex');
-    }
+  function createChallenge() {
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+
+    return Date.now().toString(36) + '.' + Array.from(bytes).map(function(byte) {
+      return byte.toString(16).padStart(2, '0');
+    }).join('');
   }
 
   /**
-   * Track metric for analytics
-   * @param {string} eventName - Event name
-   * @param {Object} data - Event data
+   * Count the zero bits at the start of a hash
+   * @param {Uint8Array} bytes - Hash bytes
+   * @returns {number} Leading zero bits
    */
-  function trackMetric(eventName, data) {
-    try {
-      console.info('[Newsletter] Metric:', eventName, data);
-      
-      // Integration point for analytics (Google Analytics, etc.)
-      if (window.gtag) {
-        window.gtag('event', eventName, data);
+  function countLeadingZeroBits(bytes) {
+    let count = 0;
+
+    for (let index = 0; index < bytes.length; index++) {
+      if (bytes[index] === 0) {
+        count += 8;
+        continue;
       }
+
+      count += Math.clz32(bytes[index]) - 24;
+      break;
+    }
+
+    return count;
+  }
+
+  /**
+   * Submit form data
+   * @param {Object} data - Form data to submit
+   */
+  async function submitForm(data) {
+    setSubmittingState(true);
+
+    // Created up front so abort() also stops the proof of work
+    state.abortController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const signal = state.abortController ? state.abortController.signal : null;
+
+    try {
+      let response;
+
+      // Queued replays reuse the work done here
+      if (!data.protection.proofOfWork) {
+        const proofOfWork = await solveProofOfWork(data.email, signal);
+
+        if (proofOfWork) {
+          data.protection.proofOfWork = proofOfWork;
+        }
+      }
+
+      if (signal && signal.aborted) {
+        response = { success: false, aborted: true, errorCode: 'ABORTED', status: 0 };
+      } else if (isOffline()) {
+        // No point waiting for the request to fail
+        response = transportClient.createErrorResponse('NETWORK_ERROR', 0);
+      } else {
+        console.info('[Newsletter] Submitting subscription:', { email: data.email });
+        response = await sendSubscription(createRequest(data, signal));
+      }
+
+      if (response.aborted) {
+        console.info('[Newsletter] Submission aborted');
+        return;
+      }
+
+      // Update rate limiting
+      rateLimiter.record(response.errorCode === 'RATE_LIMIT');
+
+      if (response.success) {
+        handleSubmissionSuccess(response);
+      } else if (queueConfig.queueableErrorCodes.indexOf(response.errorCode) !== -1) {
+        await queueSubmission(data);
+      } else {
+        handleSubmissionError(response);
+      }
+    } catch (error) {
+      // Transport failures were already turned into responses above, so
+      // this is a bug on our side: queueing would only repeat it
+      console.error('[Newsletter] Submission failed:', error);
+      handleSubmissionError(transportClient.createErrorResponse('GENERIC_ERROR', 0));
+    } finally {
+      state.abortController = null;
+      setSubmittingState(false);
+    }
+  }
+
+  /**
+   * Send a subscription through the current transport. A transport that
+   * rejects (custom transports may) counts as a connection failure.
+   * @param {Object} request - Transport request
+   * @returns {Promise<Object>} Normalized transport response
+   */
+  async function sendSubscription(request) {
+    try {
+      return await state.transport(request);
+    } catch (error) {
+      console.error('[Newsletter] Transport failed:', error);
+      return transportClient.createErrorResponse('NETWORK_ERROR', 0);
+    }
+  }
+
+  /**
+   * Create a transport request, by default for the subscription form's action
+   * @param {Object} data - Request data
+   * @param {AbortSignal|null} signal - Signal that cancels the request
+   * @param {Object} [overrides] - Request fields to replace (url, method, statusErrorCodes)
+   * @returns {Object} Transport request
+   */
+  function createRequest(data, signal, overrides) {
+    return Object.assign({
+      url: elements.form.getAttribute('action') || transportConfig.endpoint,
+      method: (elements.form.getAttribute('method') || 'POST').toUpperCase(),
+      encoding: elements.form.dataset.newsletterEncoding || transportConfig.encoding,
+      timeout: transportConfig.timeout,
+      signal: signal,
+      data: data
+    }, overrides);
+  }
+
+  /**
+   * Send queued subscriptions when the browser reconnects, and on load
+   * for subscriptions queued during an earlier visit
+   */
+  function setupOfflineQueue() {
+    window.addEventListener('online', function() {
+      // The connection just came back: don't wait out the backoff
+      replayQueuedSubmissions({ force: true });
+    });
+
+    migrateLegacyQueue().then(function() {
+      replayQueuedSubmissions();
+    });
+  }
+
+  /**
+   * Move subscriptions queued in localStorage by earlier versions of this
+   * module into the queue database. Without IndexedDB they stay where
+   * they are for a later visit. Never rejects.
+   * @returns {Promise} Resolves when done
+   */
+  async function migrateLegacyQueue() {
+    let stored;
+
+    try {
+      stored = JSON.parse(window.localStorage.getItem(queueConfig.legacyStorageKey) || 'null');
+    } catch (error) {
+      console.warn('[Newsletter] Could not read legacy queue:', error);
+      return;
+    }
+
+    if (!stored) {
+      return;
+    }
+
+    const items = stored.version === queueConfig.legacyStorageVersion && Array.isArray(stored.items)
+      ? stored.items.filter(function(item) {
+        return item && item.data && typeof item.data.email === 'string';
+      })
+      : [];
+
+    try {
+      if (items.length > 0 && !(await openQueueDatabase())) {
+        return;
+      }
+
+      for (let index = 0; index < items.length; index++) {
+        const item = items[index];
+        const key = getQueueKey(item.data.email);
+
+        // Anything already in the database is newer
+        if (await getQueuedItem(key)) {
+          continue;
+        }
+
+        await putQueuedItem({
+          key: key,
+          data: Object.assign({ protection: {} }, item.data),
+          queuedAt: item.queuedAt || Date.now(),
+          attempts: 0,
+          nextAttemptAt: 0
+        });
+      }
+
+      window.localStorage.removeItem(queueConfig.legacyStorageKey);
+
+      if (items.length > 0) {
+        console.info('[Newsletter] Migrated', items.length, 'queued subscriptions');
+      }
+    } catch (error) {
+      console.warn('[Newsletter] Could not migrate legacy queue:', error);
+    }
+  }
+
+  /**
+   * Check whether the browser reports no network connection
+   * @returns {boolean} True if offline
+   */
+  function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  /**
+   * Keep a subscription that couldn't be sent and tell the user it will
+   * be finished later. A newer subscription for the same email replaces
+   * the queued one.
+   * @param {Object} data - Validated subscription data
+   */
+  async function queueSubmission(data) {
+    const key = getQueueKey(data.email);
+    // Online, the request was sent and failed: that counts as an attempt
+    const attempts = isOffline() ? 0 : 1;
+
+    try {
+      const existing = await getQueuedItem(key);
+
+      await putQueuedItem({
+        key: key,
+        data: data,
+        queuedAt: existing ? existing.queuedAt : Date.now(),
+        attempts: attempts,
+        nextAttemptAt: Date.now() + (attempts > 0 ? getRetryDelay(attempts) : 0)
+      });
+    } catch (error) {
+      console.error('[Newsletter] Could not queue subscription:', error);
+      handleSubmissionError(transportClient.createErrorResponse('NETWORK_ERROR', 0));
+      return;
+    }
+
+    state.hasQueuedThisVisit = true;
+    console.info('[Newsletter] Subscription queued:', { email: data.email });
+
+    showPending(SUCCESS_MESSAGES.QUEUED_OFFLINE);
+    elements.form.reset();
+    state.validator.clearErrors();
+    hideEmailHint();
+
+    trackMetric('newsletter_signup_queued', {
+      offline: isOffline()
+    });
+
+    scheduleReplay();
+  }
+
+  /**
+   * Send queued subscriptions that are due through the current transport.
+   * Connection and server failures stay queued with a longer delay;
+   * the first connection failure ends the run.
+   * @param {Object} [options] - Replay options
+   * @param {boolean} [options.force] - Ignore the backoff delay
+   * @returns {Promise<number>} Number of subscriptions sent
+   */
+  async function replayQueuedSubmissions(options) {
+    const force = Boolean(options && options.force);
+
+    if (state.isReplaying || isOffline()) {
+      return 0;
+    }
+
+    state.isReplaying = true;
+    clearTimeout(state.replayTimer);
+
+    let sentCount = 0;
+
+    try {
+      const now = Date.now();
+      const dueItems = (await getQueuedItems()).filter(function(item) {
+        return force || item.nextAttemptAt <= now;
+      });
+
+      for (let index = 0; index < dueItems.length; index++) {
+        const item = dueItems[index];
+        const response = await sendQueuedItem(item);
+
+        if (response.success) {
+          sentCount++;
+          await deleteQueuedItem(item.key);
+          trackMetric('newsletter_signup_success', {
+            subscriptionId: response.subscriptionId,
+            queued: true,
+            attempts: item.attempts + 1
+          });
+          continue;
+        }
+
+        if (response.aborted || queueConfig.retryableErrorCodes.indexOf(response.errorCode) !== -1) {
+          item.attempts++;
+          item.nextAttemptAt = Date.now() + getRetryDelay(item.attempts);
+          await putQueuedItem(item);
+
+          console.warn('[Newsletter] Queued subscription failed, retrying in',
+            getRetryDelay(item.attempts), 'ms:', response.errorCode);
+
+          if (response.errorCode === 'NETWORK_ERROR') {
+            break;
+          }
+          continue;
+        }
+
+        await deleteQueuedItem(item.key);
+        console.warn('[Newsletter] Queued subscription rejected:', response.errorCode, { email: item.data.email });
+        trackMetric('newsletter_signup_error', {
+          error: response.error,
+          errorCode: response.errorCode || 'GENERIC_ERROR',
+          status: response.status || 0,
+          queued: true
+        });
+      }
+    } catch (error) {
+      console.error('[Newsletter] Could not send queued subscriptions:', error);
+    } finally {
+      state.isReplaying = false;
+    }
+
+    if (sentCount > 0) {
+      console.info('[Newsletter] Queued subscriptions sent:', sentCount);
+
+      if (state.hasQueuedThisVisit) {
+        state.hasQueuedThisVisit = false;
+        showSuccess(SUCCESS_MESSAGES.SUBSCRIPTION_SUCCESS);
+      }
+    }
+
+    scheduleReplay();
+    return sentCount;
+  }
+
+  /**
+   * Send one queued subscription
+   * @param {Object} item - Queued item
+   * @returns {Promise<Object>} Normalized transport response
+   */
+  async function sendQueuedItem(item) {
+    try {
+      return await state.transport(createRequest(item.data, null));
+    } catch (error) {
+      console.error('[Newsletter] Queued submission failed:', error);
+      return transportClient.createErrorResponse('NETWORK_ERROR', 0);
+    }
+  }
+
+  /**
+   * Wake up when the next queued subscription is due
+   */
+  async function scheduleReplay() {
+    clearTimeout(state.replayTimer);
+    state.replayTimer = null;
+
+    let items;
+
+    try {
+      items = await getQueuedItems();
+    } catch (error) {
+      return;
+    }
+
+    if (items.length === 0) {
+      return;
+    }
+
+    const nextAttemptAt = Math.min.apply(null, items.map(function(item) {
+      return item.nextAttemptAt;
+    }));
+
+    // While offline, the online event starts the next attempt
+    state.replayTimer = setTimeout(function() {
+      replayQueuedSubmissions();
+    }, Math.max(nextAttemptAt - Date.now(), 0));
+  }
+
+  /**
+   * Delay before the next attempt after a number of failed ones
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Delay in milliseconds
+   */
+  function getRetryDelay(attempts) {
+    const delay = queueConfig.retryBaseDelay * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, queueConfig.retryMaxDelay);
+  }
+
+  /**
+   * Queue key for an email; addresses differing only in case are the same
+   * @param {string} email - Email address
+   * @returns {string} Queue key
+   */
+  function getQueueKey(email) {
+    return String(email).trim().toLowerCase();
+  }
+
+  /**
+   * Open the queue database, creating the store on first use. Resolves
+   * with null when IndexedDB is unavailable.
+   * @returns {Promise<IDBDatabase|null>} Database
+   */
+  function openQueueDatabase() {
+    if (state.queueDatabase) {
+      return state.queueDatabase;
+    }
+
+    state.queueDatabase = new Promise(function(resolve) {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+
+      try {
+        const request = window.indexedDB.open(queueConfig.databaseName, queueConfig.databaseVersion);
+
+        request.onupgradeneeded = function() {
+          const database = request.result;
+
+          if (!database.objectStoreNames.contains(queueConfig.storeName)) {
+            database.createObjectStore(queueConfig.storeName, { keyPath: 'key' });
+          }
+        };
+
+        request.onsuccess = function() {
+          resolve(request.result);
+        };
+
+        request.onerror = function() {
+          console.warn('[Newsletter] IndexedDB unavailable, queueing in memory:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.warn('[Newsletter] IndexedDB unavailable, queueing in memory:', error);
+        resolve(null);
+      }
+    });
+
+    return state.queueDatabase;
+  }
+
+  /**
+   * Run one request against the queue store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the store, returns an IDBRequest
+   * @param {Function} fallback - Runs against the in-memory queue instead
+   * @returns {Promise<*>} Request result
+   */
+  async function runQueueRequest(mode, operation, fallback) {
+    const database = await openQueueDatabase();
+
+    if (!database) {
+      return fallback(state.memoryQueue);
+    }
+
+    return new Promise(function(resolve, reject) {
+      const transaction = database.transaction(queueConfig.storeName, mode);
+      const request = operation(transaction.objectStore(queueConfig.storeName));
+
+      transaction.oncomplete = function() {
+        resolve(request.result);
+      };
+
+      transaction.onerror = transaction.onabort = function() {
+        reject(transaction.error || request.error);
+      };
+    });
+  }
+
+  /**
+   * Read every queued subscription
+   * @returns {Promise<Object[]>} Queued items
+   */
+  function getQueuedItems() {
+    return runQueueRequest('readonly', function(store) {
+      return store.getAll();
+    }, function(queue) {
+      return Array.from(queue.values());
+    }).then(function(items) {
+      return (items || []).filter(function(item) {
+        return item && item.data && typeof item.data.email === 'string';
+      });
+    });
+  }
+
+  /**
+   * Read the queued subscription for a key
+   * @param {string} key - Queue key from getQueueKey
+   * @returns {Promise<Object|undefined>} Queued item
+   */
+  function getQueuedItem(key) {
+    return runQueueRequest('readonly', function(store) {
+      return store.get(key);
+    }, function(queue) {
+      return queue.get(key);
+    });
+  }
+
+  /**
+   * Add or replace a queued subscription
+   * @param {Object} item - Queued item
+   * @returns {Promise} Resolves when stored
+   */
+  function putQueuedItem(item) {
+    return runQueueRequest('readwrite', function(store) {
+      return store.put(item);
+    }, function(queue) {
+      queue.set(item.key, item);
+    });
+  }
+
+  /**
+   * Remove a queued subscription
+   * @param {string} key - Queue key from getQueueKey
+   * @returns {Promise} Resolves when removed
+   */
+  function deleteQueuedItem(key) {
+    return runQueueRequest('readwrite', function(store) {
+      return store.delete(key);
+    }, function(queue) {
+      queue.delete(key);
+    });
+  }
+
+  /**
+   * Wire up the preference center form and its buttons
+   */
+  function setupPreferenceCenter() {
+    if (!elements.preferencesForm) {
+      return;
+    }
+
+    renderInterestOptions(elements.interestsFieldset, true);
+
+    setErrorMessages(elements.interestsFieldset, {
+      required: 'INTERESTS_REQUIRED'
+    });
+    setErrorMessages(elements.frequencyFieldset, {
+      required: 'INVALID_FREQUENCY'
+    });
+
+    // Two groups at most: their own messages are enough
+    state.preferencesValidator = window.FashionForwardFormValidation.create(elements.preferencesForm, {
+      summary: false
+    });
+
+    elements.preferencesForm.addEventListener('submit', handlePreferencesSubmit);
+
+    if (elements.unsubscribeButton) {
+      elements.unsubscribeButton.addEventListener('click', handleUnsubscribe);
+    }
+
+    if (elements.manageButton) {
+      elements.manageButton.addEventListener('click', function() {
+        openPreferenceCenter(state.subscriberToken);
+      });
+    }
+  }
+
+  /**
+   * Act on a confirmation or preferences link from a subscription email
+   */
+  function handleLandingLink() {
+    const link = getLandingLink();
+
+    if (!link) {
+      return;
+    }
+
+    // Keep the token out of the address bar, history and analytics
+    clearLandingParams();
+
+    if (link.action === 'confirm') {
+      confirmSubscription(link.token);
+    } else if (link.action === 'preferences') {
+      openPreferenceCenter(link.token);
+    } else {
+      console.warn('[Newsletter] Unknown link action:', link.action);
+    }
+  }
+
+  /**
+   * Read the action and token from the page URL
+   * @returns {Object|null} { action, token } or null for ordinary visits
+   */
+  function getLandingLink() {
+    const params = new URLSearchParams(window.location.search);
+    const action = params.get(landingConfig.actionParam);
+
+    if (!action) {
+      return null;
+    }
+
+    return {
+      action: action.toLowerCase(),
+      token: (params.get(landingConfig.tokenParam) || '').trim()
+    };
+  }
+
+  /**
+   * Remove the link parameters from the URL, keeping any others
+   */
+  function clearLandingParams() {
+    if (!window.history || !window.history.replaceState) {
+      return;
+    }
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete(landingConfig.actionParam);
+    url.searchParams.delete(landingConfig.tokenParam);
+
+    window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+  }
+
+  /**
+   * Check a token's format before sending it anywhere
+   * @param {string} token - Token from the link
+   * @returns {string|null} ERROR_MESSAGES key, or null if the token looks valid
+   */
+  function validateToken(token) {
+    if (!token) {
+      return 'MISSING_TOKEN';
+    }
+
+    return landingConfig.tokenPattern.test(token) ? null : 'INVALID_TOKEN';
+  }
+
+  /**
+   * Send a token request (confirm, preferences, unsubscribe)
+   * @param {string} url - Endpoint
+   * @param {string} method - HTTP method
+   * @param {Object} data - Request data, including the token
+   * @returns {Promise<Object>} Normalized transport response
+   */
+  async function sendTokenRequest(url, method, data) {
+    try {
+      return await state.transport(createRequest(data, null, {
+        url: url,
+        method: method,
+        statusErrorCodes: TOKEN_STATUS_ERROR_CODES
+      }));
+    } catch (error) {
+      console.error('[Newsletter] Request failed:', error);
+      return transportClient.createErrorResponse('NETWORK_ERROR', 0);
+    }
+  }
+
+  /**
+   * Confirm a double opt-in subscription and show the result
+   * @param {string} token - Confirmation token
+   */
+  async function confirmSubscription(token) {
+    const tokenError = validateToken(token);
+
+    showLandingResult('Confirming your subscription…', '', false);
+
+    if (tokenError) {
+      showLandingResult('We couldn\'t confirm your subscription', ERROR_MESSAGES[tokenError], true);
+      trackMetric('newsletter_confirm_error', { errorCode: tokenError, status: 0 });
+      return;
+    }
+
+    elements.landingPanel.setAttribute('aria-busy', 'true');
+
+    const response = await sendTokenRequest(transportConfig.confirmEndpoint, 'POST', { token: token });
+
+    elements.landingPanel.setAttribute('aria-busy', 'false');
+
+    if (!response.success) {
+      console.warn('[Newsletter] Confirmation failed:', response.errorCode);
+      showLandingResult('We couldn\'t confirm your subscription', response.error || ERROR_MESSAGES.GENERIC_ERROR, true);
+      trackMetric('newsletter_confirm_error', {
+        errorCode: response.errorCode || 'GENERIC_ERROR',
+        status: response.status || 0
+      });
+      return;
+    }
+
+    // The service may issue a separate token for managing preferences
+    state.subscriberToken = (response.data && response.data.preferencesToken) || token;
+
+    setVisible(elements.form, false);
+    showLandingResult('You\'re on the list', SUCCESS_MESSAGES.SUBSCRIPTION_CONFIRMED, false);
+    setVisible(elements.manageButton, true);
+
+    console.info('[Newsletter] Subscription confirmed');
+    trackMetric('newsletter_confirm_success', {
+      subscriptionId: response.subscriptionId
+    });
+  }
+
+  /**
+   * Show the landing panel with a title and message, and bring it into view
+   * @param {string} title - Panel heading
+   * @param {string} message - Panel text
+   * @param {boolean} isError - Whether the message reports a failure
+   */
+  function showLandingResult(title, message, isError) {
+    if (!elements.landingPanel) {
+      return;
+    }
+
+    elements.landingTitle.textContent = title;
+    elements.landingText.textContent = message;
+    elements.landingPanel.classList.toggle('is-error', isError);
+    setVisible(elements.manageButton, false);
+    setVisible(elements.landingPanel, true);
+
+    if (typeof elements.landingPanel.scrollIntoView === 'function') {
+      elements.landingPanel.scrollIntoView({ block: 'center' });
+    }
+    elements.landingPanel.focus({ preventScroll: true });
+  }
+
+  /**
+   * Open the preference center and load the subscriber's current choices
+   * @param {string} token - Preferences token
+   */
+  async function openPreferenceCenter(token) {
+    if (!elements.preferencesForm) {
+      console.warn('[Newsletter] Preference center not found on page');
+      return;
+    }
+
+    const tokenError = validateToken(token);
+
+    if (tokenError) {
+      showLandingResult('We couldn\'t open your preferences', ERROR_MESSAGES[tokenError], true);
+      return;
+    }
+
+    state.subscriberToken = token;
+
+    setVisible(elements.form, false);
+    setVisible(elements.landingPanel, false);
+    setVisible(elements.preferencesForm, true);
+    clearPreferenceMessages();
+    state.preferencesValidator.clearErrors();
+
+    elements.preferencesForm.setAttribute('aria-busy', 'true');
+
+    const response = await sendTokenRequest(transportConfig.preferencesLookupEndpoint, 'POST', { token: token });
+
+    elements.preferencesForm.setAttribute('aria-busy', 'false');
+
+    if (response.success) {
+      applyPreferences(response.data || {});
+    } else if (response.errorCode === 'INVALID_TOKEN') {
+      setVisible(elements.preferencesForm, false);
+      showLandingResult('We couldn\'t open your preferences', response.error, true);
+      return;
+    } else {
+      // The form still works with the defaults; saving replaces everything
+      showError(response.error || ERROR_MESSAGES.GENERIC_ERROR, elements.preferencesError);
+    }
+
+    if (typeof elements.preferencesForm.scrollIntoView === 'function') {
+      elements.preferencesForm.scrollIntoView({ block: 'start' });
+    }
+
+    const firstInput = elements.preferencesForm.querySelector('input');
+
+    if (firstInput) {
+      firstInput.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Tick the stored interests and frequency
+   * @param {Object} preferences - { interests: string[], frequency: string }
+   */
+  function applyPreferences(preferences) {
+    const interests = Array.isArray(preferences.interests) ? preferences.interests : null;
+
+    if (interests) {
+      elements.preferencesForm.querySelectorAll('input[name="interests"]').forEach(function(input) {
+        input.checked = interests.indexOf(input.value) !== -1;
+      });
+    }
+
+    if (PREFERENCE_FREQUENCIES.indexOf(preferences.frequency) !== -1) {
+      const radio = elements.preferencesForm.querySelector('input[name="frequency"][value="' + preferences.frequency + '"]');
+
+      if (radio) {
+        radio.checked = true;
+      }
+    }
+  }
+
+  /**
+   * Interest options, one per category card on the page
+   * @returns {Object[]} Options ({ value, label })
+   */
+  function getInterestOptions() {
+    const options = [];
+
+    document.querySelectorAll('[data-category-card]').forEach(function(card) {
+      const value = card.getAttribute('data-category-card');
+      const heading = card.querySelector('h2, h3');
+
+      if (!value || options.some(function(option) { return option.value === value; })) {
+        return;
+      }
+
+      options.push({
+        value: value,
+        label: heading ? heading.textContent.trim() : value.charAt(0).toUpperCase() + value.slice(1)
+      });
+    });
+
+    return options;
+  }
+
+  /**
+   * Add a checkbox for each interest to a container
+   * @param {HTMLElement|null} container - Fieldset or group for the checkboxes
+   * @param {boolean} isChecked - Initial checked state
+   */
+  function renderInterestOptions(container, isChecked) {
+    if (!container) {
+      return;
+    }
+
+    getInterestOptions().forEach(function(option) {
+      const label = document.createElement('label');
+      label.className = 'newsletter-option';
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = 'interests';
+      input.value = option.value;
+      input.checked = isChecked;
+
+      const text = document.createElement('span');
+      text.textContent = option.label;
+
+      label.appendChild(input);
+      label.appendChild(text);
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * Validate the preference center
+   * @returns {Promise<Object>} Validation result with isValid flag and data/error
+   */
+  async function validatePreferences() {
+    const result = await state.preferencesValidator.validate();
+
+    if (!result.isValid) {
+      return {
+        isValid: false,
+        error: result.errors[0].message
+      };
+    }
+
+    const form = elements.preferencesForm;
+
+    return {
+      isValid: true,
+      data: {
+        token: state.subscriberToken,
+        interests: getCheckedValues(form, 'interests'),
+        frequency: getCheckedValues(form, 'frequency')[0]
+      }
+    };
+  }
+
+  /**
+   * Save the preference center
+   * @param {Event} event - Submit event
+   */
+  async function handlePreferencesSubmit(event) {
+    event.preventDefault();
+
+    if (state.isSubmitting) {
+      return;
+    }
+
+    state.isSubmitting = true;
+    clearPreferenceMessages();
+
+    try {
+      const validationResult = await validatePreferences();
+
+      if (!validationResult.isValid) {
+        console.warn('[Newsletter] Preferences validation failed:', validationResult.error);
+        return;
+      }
+
+      setSubmittingState(true, elements.preferencesSubmit, 'Saving...');
+
+      const response = await sendTokenRequest(
+        elements.preferencesForm.getAttribute('action') || transportConfig.preferencesEndpoint,
+        (elements.preferencesForm.getAttribute('method') || 'POST').toUpperCase(),
+        validationResult.data
+      );
+
+      if (response.success) {
+        showPreferenceStatus(SUCCESS_MESSAGES.PREFERENCES_SAVED);
+        trackMetric('newsletter_preferences_saved', {
+          interests: validationResult.data.interests,
+          frequency: validationResult.data.frequency
+        });
+      } else {
+        showError(response.error || ERROR_MESSAGES.GENERIC_ERROR, elements.preferencesError);
+        focusFirstError(elements.preferencesError);
+      }
+    } finally {
+      state.isSubmitting = false;
+      setSubmittingState(false, elements.preferencesSubmit);
+    }
+  }
+
+  /**
+   * Unsubscribe from all emails
+   */
+  async function handleUnsubscribe() {
+    if (state.isSubmitting) {
+      return;
+    }
+
+    clearPreferenceMessages();
+
+    state.isSubmitting = true;
+    setSubmittingState(true, elements.unsubscribeButton, 'Unsubscribing...');
+
+    try {
+      const response = await sendTokenRequest(transportConfig.unsubscribeEndpoint, 'POST', {
+        token: state.subscriberToken
+      });
+
+      if (response.success) {
+        state.subscriberToken = null;
+        setVisible(elements.preferencesForm, false);
+        showLandingResult('You\'ve been unsubscribed', SUCCESS_MESSAGES.UNSUBSCRIBED, false);
+        trackMetric('newsletter_unsubscribe', {});
+      } else {
+        showError(response.error || ERROR_MESSAGES.GENERIC_ERROR, elements.preferencesError);
+        focusFirstError(elements.preferencesError);
+      }
+    } finally {
+      state.isSubmitting = false;
+      setSubmittingState(false, elements.unsubscribeButton);
+    }
+  }
+
+  /**
+   * Show a confirmation message in the preference center
+   * @param {string} message - Status message
+   */
+  function showPreferenceStatus(message) {
+    if (!elements.preferencesStatus) return;
+
+    elements.preferencesStatus.textContent = message;
+    setVisible(elements.preferencesStatus, true);
+  }
+
+  /**
+   * Clear the preference center's error and status messages
+   */
+  function clearPreferenceMessages() {
+    [elements.preferencesError, elements.preferencesStatus].forEach(function(element) {
+      if (element) {
+        element.textContent = '';
+        setVisible(element, false);
+      }
+    });
+  }
+
+  /**
+   * Show or hide a panel
+   * @param {HTMLElement} element - Element to toggle
+   * @param {boolean} isVisible - Whether to show it
+   */
+  function setVisible(element, isVisible) {
+    if (!element) return;
+
+    element.classList.toggle('is-hidden', !isVisible);
+    element.setAttribute('aria-hidden', isVisible ? 'false' : 'true');
+  }
+
+  /**
+   * Handle successful submission
+   * @param {Object} response - API response
+   */
+  function handleSubmissionSuccess(response) {
+    console.info('[Newsletter] Subscription successful:', response);
+
+    // Show success message
+    showSuccess(response.message || SUCCESS_MESSAGES.SUBSCRIPTION_SUCCESS);
+
+    // Reset form
+    elements.form.reset();
+
+    // Remove validation states
+    state.validator.clearErrors();
+    hideEmailHint();
+
+    // Track success metric
+    trackMetric('newsletter_signup_success', {
+      subscriptionId: response.subscriptionId
+    });
+
+    // Focus success message for screen readers
+    if (elements.successMessage) {
+      elements.successMessage.focus();
+    }
+  }
+
+  /**
+   * Handle submission error
+   * @param {Object} response - Error response
+   */
+  function handleSubmissionError(response) {
+    console.error('[Newsletter] Subscription failed:', response);
+
+    const errorMessage = response.error || ERROR_MESSAGES.GENERIC_ERROR;
+    showError(errorMessage);
+
+    // Track error metric
+    trackMetric('newsletter_signup_error', {
+      error: errorMessage,
+      errorCode: response.errorCode || 'GENERIC_ERROR',
+      status: response.status || 0
+    });
+
+    // Focus error message for screen readers
+    focusFirstError();
+  }
+
+  /**
+   * Offer a correction for a mistyped domain, or warn about a disposable
+   * one, when the email field loses focus
+   * @param {Event} event - Blur event
+   */
+  function handleEmailBlur(event) {
+    const email = event.target.value.trim();
+
+    if (!isValidEmail(email)) {
+      hideEmailHint();
+      return;
+    }
+
+    const suggestion = suggestEmail(email);
+
+    if (suggestion) {
+      showEmailSuggestion(suggestion);
+      trackMetric('newsletter_email_suggestion_shown', {
+        domain: email.slice(email.lastIndexOf('@') + 1).toLowerCase(),
+        suggestedDomain: suggestion.slice(suggestion.lastIndexOf('@') + 1)
+      });
+      return;
+    }
+
+    if (isDisposableEmail(email)) {
+      showEmailHint(EMAIL_HINTS.DISPOSABLE, true);
+      trackMetric('newsletter_email_disposable_warning', {});
+      return;
+    }
+
+    hideEmailHint();
+  }
+
+  /**
+   * Hide the hint while the email is being edited; it's checked again on blur
+   */
+  function handleEmailInput() {
+    hideEmailHint();
+  }
+
+  /**
+   * Show "Did you mean ...?" with a button that applies the correction
+   * @param {string} suggestion - Corrected email
+   */
+  function showEmailSuggestion(suggestion) {
+    if (!elements.emailHint) return;
+
+    const parts = EMAIL_HINTS.SUGGESTION.split('{email}');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'newsletter-hint-action';
+    button.textContent = suggestion;
+    button.setAttribute('aria-label', 'Use ' + suggestion);
+    button.addEventListener('click', function() {
+      acceptEmailSuggestion(suggestion);
+    });
+
+    elements.emailHint.textContent = '';
+    elements.emailHint.appendChild(document.createTextNode(parts[0]));
+    elements.emailHint.appendChild(button);
+    elements.emailHint.appendChild(document.createTextNode(parts[1] || ''));
+
+    setEmailHintVisible(true, false);
+  }
+
+  /**
+   * Show a plain hint under the email input
+   * @param {string} message - Hint text
+   * @param {boolean} isWarning - Style it as a warning
+   */
+  function showEmailHint(message, isWarning) {
+    if (!elements.emailHint) return;
+
+    elements.emailHint.textContent = message;
+    setEmailHintVisible(true, isWarning);
+  }
+
+  /**
+   * Hide the email hint
+   */
+  function hideEmailHint() {
+    if (!elements.emailHint || elements.emailHint.classList.contains('is-hidden')) return;
+
+    elements.emailHint.textContent = '';
+    setEmailHintVisible(false, false);
+  }
+
+  /**
+   * Toggle the email hint and its place in the input's description
+   * @param {boolean} isVisible - Whether to show it
+   * @param {boolean} isWarning - Style it as a warning
+   */
+  function setEmailHintVisible(isVisible, isWarning) {
+    const hintId = elements.emailHint.id;
+    const describedBy = (elements.emailInput.getAttribute('aria-describedby') || '').split(/\s+/).filter(function(id) {
+      return id && id !== hintId;
+    });
+
+    if (isVisible) {
+      describedBy.push(hintId);
+    }
+
+    if (describedBy.length > 0) {
+      elements.emailInput.setAttribute('aria-describedby', describedBy.join(' '));
+    } else {
+      elements.emailInput.removeAttribute('aria-describedby');
+    }
+
+    elements.emailHint.classList.toggle('is-warning', isVisible && isWarning);
+    setVisible(elements.emailHint, isVisible);
+  }
+
+  /**
+   * Replace the email with the suggested correction and check it again
+   * @param {string} suggestion - Corrected email
+   */
+  function acceptEmailSuggestion(suggestion) {
+    const original = elements.emailInput.value.trim();
+
+    elements.emailInput.value = suggestion;
+    hideEmailHint();
+    state.validator.validateField(elements.emailInput);
+    elements.emailInput.focus();
+
+    trackMetric('newsletter_email_suggestion_accepted', {
+      domain: original.slice(original.lastIndexOf('@') + 1).toLowerCase(),
+      suggestedDomain: suggestion.slice(suggestion.lastIndexOf('@') + 1)
+    });
+  }
+
+  /**
+   * Set submitting state
+   * @param {boolean} isSubmitting - Submitting state
+   * @param {HTMLButtonElement} [button=elements.submitButton] - Button to update
+   * @param {string} [loadingText='Subscribing...'] - Text while submitting
+   */
+  function setSubmittingState(isSubmitting, button, loadingText) {
+    const submitButton = button || elements.submitButton;
+
+    if (!submitButton) return;
+
+    if (isSubmitting) {
+      submitButton.disabled = true;
+      submitButton.classList.add('is-loading');
+      submitButton.setAttribute('aria-busy', 'true');
+      
+      // Store original text
+      if (!submitButton.dataset.originalText) {
+        submitButton.dataset.originalText = submitButton.textContent;
+      }
+      submitButton.textContent = loadingText || 'Subscribing...';
+    } else {
+      submitButton.disabled = false;
+      submitButton.classList.remove('is-loading');
+      submitButton.setAttribute('aria-busy', 'false');
+      
+      // Restore original text
+      if (submitButton.dataset.originalText) {
+        submitButton.textContent = submitButton.dataset.originalText;
+      }
+    }
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Error message
+   * @param {HTMLElement} [errorElement=elements.errorMessage] - Element to show it in
+   */
+  function showError(message, errorElement) {
+    const target = errorElement || elements.errorMessage;
+
+    if (!target) return;
+
+    target.textContent = message;
+    target.classList.remove('is-hidden');
+    target.setAttribute('aria-hidden', 'false');
+
+    console.debug('[Newsletter] Error displayed:', message);
+  }
+
+  /**
+   * Show success message
+   * @param {string} message - Success message
+   */
+  function showSuccess(message) {
+    if (!elements.successMessage) return;
+
+    elements.successText.textContent = message;
+    elements.successMessage.classList.remove('is-hidden', 'is-queued');
+    elements.successMessage.classList.add('active');
+    elements.successMessage.setAttribute('aria-hidden', 'false');
+
+    console.debug('[Newsletter] Success displayed:', message);
+  }
+
+  /**
+   * Show the "subscription will be finished later" state
+   * @param {string} message - Pending message
+   */
+  function showPending(message) {
+    showSuccess(message);
+
+    if (elements.successMessage) {
+      elements.successMessage.classList.add('is-queued');
+    }
+  }
+
+  /**
+   * Clear all messages
+   */
+  function clearMessages() {
+    if (elements.errorMessage) {
+      elements.errorMessage.textContent = '';
+      elements.errorMessage.classList.add('is-hidden');
+      elements.errorMessage.setAttribute('aria-hidden', 'true');
+    }
+
+    if (elements.successMessage) {
+      elements.successText.textContent = '';
+      elements.successMessage.classList.remove('active', 'is-queued');
+      elements.successMessage.classList.add('is-hidden');
+      elements.successMessage.setAttribute('aria-hidden', 'true');
+    }
+  }
+
+  /**
+   * Focus first error element
+   * @param {HTMLElement} [errorElement=elements.errorMessage] - Error element to focus
+   */
+  function focusFirstError(errorElement) {
+    const target = errorElement || elements.errorMessage;
+
+    if (target && !target.classList.contains('is-hidden')) {
+      target.setAttribute('tabindex', '-1');
+      target.focus();
+      target.removeAttribute('tabindex');
+    }
+  }
+
+  /**
+   * Track metric for analytics
+   * @param {string} eventName - Event name
+   * @param {Object} data - Event data
+   */
+  function trackMetric(eventName, data) {
+    try {
+      console.info('[Newsletter] Metric:', eventName, data);
       
-      // Integration point for custom analytics
-      if (window.analytics && typeof window.analytics.track === 'function') {
-        window.analytics.track(eventName, data);
+      // Vendors (gtag, Segment, etc.) are wired up in the analytics bus
+      if (window.FashionForwardAnalytics) {
+        window.FashionForwardAnalytics.track(eventName, data, { source: 'newsletter' });
       }
     } catch (error) {
       console.error('[Newsletter] Metric tracking failed:', error);
@@ -594,13 +2276,55 @@
       return state.isInitialized;
     },
     validateEmail: isValidEmail,
+    suggestEmail: function(email) {
+      return isValidEmail(email) ? suggestEmail(email) : null;
+    },
+    setDisposableDomains: function(domains) {
+      if (!Array.isArray(domains)) {
+        console.warn('[Newsletter] Disposable domains must be an array');
+        return;
+      }
+      emailDomainConfig.disposableDomains = domains.map(function(domain) {
+        return String(domain).trim().toLowerCase();
+      }).filter(Boolean);
+    },
+    setTransport: function(transport, options) {
+      if (typeof transport === 'function') {
+        state.transport = transport;
+      } else if (transport === 'mock') {
+        state.transport = transportClient.createMock(options);
+      } else if (transport === 'fetch') {
+        state.transport = transportClient.fetch;
+      } else {
+        console.warn('[Newsletter] Unknown transport:', transport);
+        return;
+      }
+      console.info('[Newsletter] Transport set:', typeof transport === 'function' ? 'custom' : transport);
+    },
+    createMockTransport: function(options) {
+      return transportClient.createMock(options);
+    },
+    replayQueue: function() {
+      return replayQueuedSubmissions({ force: true });
+    },
+    getQueueLength: function() {
+      return getQueuedItems().then(function(items) {
+        return items.length;
+      });
+    },
+    abort: function() {
+      if (state.abortController) {
+        state.abortController.abort();
+      }
+    },
     clearForm: function() {
       if (elements.form) {
         elements.form.reset();
         clearMessages();
-        if (elements.emailInput) {
-          removeValidationState(elements.emailInput);
+        if (state.validator) {
+          state.validator.clearErrors();
         }
+        hideEmailHint();
       }
     }
   };
@@ -2,15 +2,16 @@
  * Fashion Forward Landing Page - Performance Optimization Module
  * 
  * Implements comprehensive performance optimizations including:
- * - Intersection Observer-based lazy loading for images
- * - Performance timing measurements and monitoring
+ * - Core Web Vitals (LCP, CLS, INP, TTFB) with attribution
+ * - Web Vitals beacon reporting to a configurable endpoint
+ * - Performance budgets with a dev-only violations overlay
  * - Touch event optimizations for mobile devices
  * - Efficient DOM manipulation techniques
  * - Resource loading optimization
  * 
  * @generated-from: task-id:TASK-006
  * @modifies: none
- * @dependencies: []
+ * @dependencies: ["js/analytics.js"]
  */
 
 (function() {
@@ -19,34 +20,99 @@
   // Performance state management
   const performanceState = {
     isInitialized: false,
-    lazyLoadObserver: null,
     performanceMetrics: {
-      navigationStart: 0,
+      timeToFirstByte: 0,
       domContentLoaded: 0,
       loadComplete: 0,
       firstPaint: 0,
       firstContentfulPaint: 0,
       largestContentfulPaint: 0,
       cumulativeLayoutShift: 0,
-      firstInputDelay: 0
+      interactionToNextPaint: 0,
+      attribution: {
+        largestContentfulPaint: null,
+        cumulativeLayoutShift: null,
+        interactionToNextPaint: null
+      }
+    },
+    vitals: {
+      observers: [],
+      layoutShiftSession: { value: 0, entries: [] },
+      // Slowest entry per interaction, pruned to the INP candidates
+      interactions: new Map(),
+      // Every interaction seen, so pruned ones aren't counted twice
+      interactionIds: new Set(),
+      interactionCount: 0
     },
     touchOptimizations: {
       enabled: false,
       passiveSupported: false
     },
-    lazyLoadConfig: {
-      rootMargin: '50px',
-      threshold: 0.01,
-      loadedClass: 'is-loaded',
-      loadingClass: 'is-loading',
-      errorClass: 'has-error'
+    reportingConfig: {
+      endpoint: null,
+      sampleRate: 1
+    },
+    reporting: {
+      // Rolled once per page view; sampleRate changes compare against it
+      sampleRoll: Math.random(),
+      isSampled: false,
+      reportCount: 0,
+      hasReportedSinceVisible: false
+    },
+    budgetConfig: {
+      maxLargestContentfulPaint: 2500,
+      maxCumulativeLayoutShift: 0.1,
+      maxImageBytes: 1500000,
+      maxLazyImagesAboveFold: 0,
+      overlay: 'auto'
+    },
+    budget: {
+      images: new Map(),
+      report: null,
+      overlay: null,
+      isOverlayDismissed: false,
+      evaluationTimer: null
     }
   };
 
+  // Budget rules: config key, the value it limits and the <html>
+  // attribute that can override it
+  const BUDGET_RULES = [
+    {
+      key: 'maxLargestContentfulPaint',
+      metric: 'largestContentfulPaint',
+      label: 'Largest Contentful Paint',
+      unit: 'ms',
+      attribute: 'data-perf-budget-lcp'
+    },
+    {
+      key: 'maxCumulativeLayoutShift',
+      metric: 'cumulativeLayoutShift',
+      label: 'Cumulative Layout Shift',
+      unit: '',
+      attribute: 'data-perf-budget-cls'
+    },
+    {
+      key: 'maxImageBytes',
+      metric: 'imageBytes',
+      label: 'Total image bytes',
+      unit: 'bytes',
+      attribute: 'data-perf-budget-image-bytes'
+    },
+    {
+      key: 'maxLazyImagesAboveFold',
+      metric: 'lazyImagesAboveFold',
+      label: 'Lazy images above the fold',
+      unit: 'images',
+      attribute: 'data-perf-budget-lazy-above-fold'
+    }
+  ];
+
+  // Hosts where the budget overlay shows by default ('' is file://)
+  const DEV_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]', ''];
+
   // DOM element cache for performance
   const elements = {
-    lazyImages: null,
-    lazyBackgrounds: null,
     touchElements: null
   };
 
@@ -62,10 +128,11 @@
     try {
       detectFeatureSupport();
       cacheElements();
-      initLazyLoading();
       initTouchOptimizations();
       measurePerformanceMetrics();
       setupPerformanceObservers();
+      setupVitalsReporting();
+      setupBudget();
       
       performanceState.isInitialized = true;
       console.info('[Performance] Optimizations initialized successfully');
@@ -100,336 +167,983 @@
   }
 
   /**
-   * Cache DOM elements for lazy loading and touch optimization
+   * Cache DOM elements for touch optimization
    */
   function cacheElements() {
-    elements.lazyImages = document.querySelectorAll('img[data-src], img[loading="lazy"]');
-    elements.lazyBackgrounds = document.querySelectorAll('[data-bg]');
     elements.touchElements = document.querySelectorAll('button, a, [role="button"]');
 
     console.debug('[Performance] Cached elements:', {
-      lazyImages: elements.lazyImages.length,
-      lazyBackgrounds: elements.lazyBackgrounds.length,
       touchElements: elements.touchElements.length
     });
   }
 
   /**
-   * Initialize Intersection Observer for lazy loading
+   * Initialize touch event optimizations for mobile
    */
-  function initLazyLoading() {
-    if (!('IntersectionObserver' in window)) {
-      console.warn('[Performance] IntersectionObserver not supported, loading all images');
-      loadAllImagesImmediately();
+  function initTouchOptimizations() {
+    if (!elements.touchElements || elements.touchElements.length === 0) {
+      console.warn('[Performance] No touch elements found');
       return;
     }
 
-    const config = performanceState.lazyLoadConfig;
+    const eventOptions = performanceState.touchOptimizations.passiveSupported
+      ? { passive: true }
+      : false;
 
-    performanceState.lazyLoadObserver = new IntersectionObserver(
-      handleLazyLoadIntersection,
-      {
-        root: null,
-        rootMargin: config.rootMargin,
-        threshold: config.threshold
-      }
-    );
+    // Add touch-action CSS property via JavaScript for better control
+    elements.touchElements.forEach(function(element) {
+      // Prevent 300ms tap delay
+      element.style.touchAction = 'manipulation';
+      
+      // Add visual feedback for touch
+      element.addEventListener('touchstart', handleTouchStart, eventOptions);
+      element.addEventListener('touchend', handleTouchEnd, eventOptions);
+      element.addEventListener('touchcancel', handleTouchEnd, eventOptions);
+    });
+
+    // Optimize scroll performance
+    const scrollElements = document.querySelectorAll('[data-scroll-optimize]');
+    scrollElements.forEach(function(element) {
+      element.style.willChange = 'transform';
+      element.style.webkitOverflowScrolling = 'touch';
+    });
+
+    performanceState.touchOptimizations.enabled = true;
+    console.info('[Performance] Touch optimizations enabled for', 
+      elements.touchElements.length, 'elements');
+  }
+
+  /**
+   * Handle touch start for visual feedback
+   * @param {TouchEvent} event - Touch event
+   */
+  function handleTouchStart(event) {
+    const element = event.currentTarget;
+    element.classList.add('is-touching');
+  }
+
+  /**
+   * Handle touch end to remove visual feedback
+   * @param {TouchEvent} event - Touch event
+   */
+  function handleTouchEnd(event) {
+    const element = event.currentTarget;
+    element.classList.remove('is-touching');
+  }
+
+  /**
+   * Read navigation timing (TTFB, DOMContentLoaded, load) from the
+   * Navigation Timing Level 2 entry
+   */
+  function measurePerformanceMetrics() {
+    if (!('performance' in window) || typeof performance.getEntriesByType !== 'function') {
+      console.warn('[Performance] Performance API not supported');
+      return;
+    }
 
-    // Observe lazy images
-    elements.lazyImages.forEach(function(img) {
-      if (img.dataset.src || img.loading === 'lazy') {
-        performanceState.lazyLoadObserver.observe(img);
+    try {
+      const navigation = performance.getEntriesByType('navigation')[0];
+      const metrics = performanceState.performanceMetrics;
+
+      if (!navigation) {
+        return;
       }
+
+      // Prerendered pages start counting when they are activated
+      const activationStart = navigation.activationStart || 0;
+
+      metrics.timeToFirstByte = Math.max(navigation.responseStart - activationStart, 0);
+      metrics.domContentLoaded = navigation.domContentLoadedEventEnd;
+      metrics.loadComplete = navigation.loadEventEnd;
+
+      console.info('[Performance] Metrics:', {
+        timeToFirstByte: metrics.timeToFirstByte.toFixed(2) + 'ms',
+        domContentLoaded: metrics.domContentLoaded ? metrics.domContentLoaded.toFixed(2) + 'ms' : 'pending',
+        loadComplete: metrics.loadComplete ? metrics.loadComplete.toFixed(2) + 'ms' : 'pending'
+      });
+    } catch (error) {
+      console.error('[Performance] Error measuring metrics:', error);
+    }
+  }
+
+  /**
+   * Setup Performance Observers for Core Web Vitals. Each observer uses
+   * the single-type form with buffered: true so entries recorded before
+   * this script ran are included.
+   */
+  function setupPerformanceObservers() {
+    if (!('PerformanceObserver' in window)) {
+      console.warn('[Performance] PerformanceObserver not supported');
+      return;
+    }
+
+    observeEntries('paint', handlePaintEntries);
+    observeEntries('largest-contentful-paint', handleLargestContentfulPaintEntries);
+    observeEntries('layout-shift', handleLayoutShiftEntries);
+
+    // Interactions shorter than 40ms can't be the INP candidate, but the
+    // p98 pick needs every interaction counted: without
+    // performance.interactionCount, observe down to the 16ms minimum.
+    // first-input makes sure the first interaction is seen even when fast
+    observeEntries('event', handleInteractionEntries, {
+      durationThreshold: hasNativeInteractionCount() ? 40 : 16
     });
+    observeEntries('first-input', handleInteractionEntries);
+    observeEntries('resource', handleResourceEntries);
+
+    console.info('[Performance] Performance observers initialized');
+  }
+
+  /**
+   * Observe one entry type, skipping types the browser doesn't support
+   * @param {string} type - Performance entry type
+   * @param {Function} callback - Receives the list of entries
+   * @param {Object} [options] - Extra observer options
+   */
+  function observeEntries(type, callback, options) {
+    const supportedTypes = PerformanceObserver.supportedEntryTypes;
+
+    if (supportedTypes && supportedTypes.indexOf(type) === -1) {
+      console.debug('[Performance] Entry type not supported:', type);
+      return;
+    }
+
+    try {
+      const observer = new PerformanceObserver(function(entryList) {
+        callback(entryList.getEntries());
+      });
+
+      observer.observe(Object.assign({ type: type, buffered: true }, options));
+      performanceState.vitals.observers.push(observer);
+    } catch (error) {
+      console.error('[Performance] Error observing ' + type + ':', error);
+    }
+  }
 
-    // Observe lazy background images
-    elements.lazyBackgrounds.forEach(function(element) {
-      if (element.dataset.bg) {
-        performanceState.lazyLoadObserver.observe(element);
+  /**
+   * Record first paint and first contentful paint
+   * @param {PerformanceEntry[]} entries - Paint entries
+   */
+  function handlePaintEntries(entries) {
+    const metrics = performanceState.performanceMetrics;
+
+    entries.forEach(function(entry) {
+      if (entry.name === 'first-paint') {
+        metrics.firstPaint = entry.startTime;
+      } else if (entry.name === 'first-contentful-paint') {
+        metrics.firstContentfulPaint = entry.startTime;
       }
     });
+  }
+
+  /**
+   * Record LCP and the element responsible for it
+   * @param {PerformanceEntry[]} entries - largest-contentful-paint entries
+   */
+  function handleLargestContentfulPaintEntries(entries) {
+    const lastEntry = entries[entries.length - 1];
+    const metrics = performanceState.performanceMetrics;
+
+    if (!lastEntry) {
+      return;
+    }
+
+    metrics.largestContentfulPaint = lastEntry.startTime;
+    metrics.attribution.largestContentfulPaint = {
+      element: getElementSelector(lastEntry.element),
+      url: lastEntry.url || null,
+      size: lastEntry.size,
+      loadTime: lastEntry.loadTime || null,
+      renderTime: lastEntry.renderTime || null
+    };
 
-    console.info('[Performance] Lazy loading initialized for', 
-      elements.lazyImages.length + elements.lazyBackgrounds.length, 'elements');
+    console.debug('[Performance] LCP:', metrics.largestContentfulPaint.toFixed(2), 'ms',
+      metrics.attribution.largestContentfulPaint.element);
   }
 
   /**
-   * Handle intersection observer callback for lazy loading
-   * @param {IntersectionObserverEntry[]} entries - Observed entries
+   * Group layout shifts into session windows (shifts less than 1s apart,
+   * at most 5s long) and report the worst window as CLS
+   * @param {PerformanceEntry[]} entries - layout-shift entries
    */
-  function handleLazyLoadIntersection(entries) {
+  function handleLayoutShiftEntries(entries) {
+    const metrics = performanceState.performanceMetrics;
+    const session = performanceState.vitals.layoutShiftSession;
+
     entries.forEach(function(entry) {
-      if (!entry.isIntersecting) {
+      // Shifts right after user input are expected
+      if (entry.hadRecentInput) {
         return;
       }
 
-      const element = entry.target;
-      const config = performanceState.lazyLoadConfig;
+      const firstEntry = session.entries[0];
+      const lastEntry = session.entries[session.entries.length - 1];
 
-      try {
-        if (element.tagName === 'IMG') {
-          loadLazyImage(element);
-        } else if (element.dataset.bg) {
-          loadLazyBackground(element);
-        }
+      if (firstEntry &&
+          entry.startTime - lastEntry.startTime < 1000 &&
+          entry.startTime - firstEntry.startTime < 5000) {
+        session.value += entry.value;
+        session.entries.push(entry);
+      } else {
+        session.value = entry.value;
+        session.entries = [entry];
+      }
 
-        // Stop observing once loaded
-        performanceState.lazyLoadObserver.unobserve(element);
-      } catch (error) {
-        console.error('[Performance] Error loading lazy element:', error);
-        element.classList.add(config.errorClass);
+      if (session.value > metrics.cumulativeLayoutShift) {
+        metrics.cumulativeLayoutShift = session.value;
+        metrics.attribution.cumulativeLayoutShift = getLayoutShiftAttribution(session.entries);
       }
     });
+
+    console.debug('[Performance] CLS:', metrics.cumulativeLayoutShift.toFixed(4));
+    scheduleBudgetEvaluation();
   }
 
   /**
-   * Load lazy image with proper error handling
-   * @param {HTMLImageElement} img - Image element to load
+   * Describe what moved in a layout shift session
+   * @param {PerformanceEntry[]} entries - Entries in the worst session
+   * @returns {Object} CLS attribution
    */
-  function loadLazyImage(img) {
-    const config = performanceState.lazyLoadConfig;
-    const startTime = performance.now();
+  function getLayoutShiftAttribution(entries) {
+    const largest = entries.reduce(function(worst, entry) {
+      return !worst || entry.value > worst.value ? entry : worst;
+    }, null);
 
-    img.classList.add(config.loadingClass);
+    return {
+      largestShiftTime: largest.startTime,
+      largestShiftValue: largest.value,
+      sources: (largest.sources || []).map(function(source) {
+        return {
+          element: getElementSelector(source.node),
+          previousRect: source.previousRect ? rectToObject(source.previousRect) : null,
+          currentRect: source.currentRect ? rectToObject(source.currentRect) : null
+        };
+      })
+    };
+  }
 
-    // Handle data-src attribute
-    if (img.dataset.src) {
-      const tempImg = new Image();
+  /**
+   * Track the slowest event per interaction and derive INP: the 98th
+   * percentile interaction (the worst one, ignoring one per 50)
+   * @param {PerformanceEntry[]} entries - event and first-input entries
+   */
+  function handleInteractionEntries(entries) {
+    const vitals = performanceState.vitals;
+    const metrics = performanceState.performanceMetrics;
 
-      tempImg.onload = function() {
-        img.src = img.dataset.src;
-        
-        // Handle srcset if present
-        if (img.dataset.srcset) {
-          img.srcset = img.dataset.srcset;
-        }
+    entries.forEach(function(entry) {
+      if (!entry.interactionId) {
+        return;
+      }
 
-        img.classList.remove(config.loadingClass);
-        img.classList.add(config.loadedClass);
+      const existing = vitals.interactions.get(entry.interactionId);
 
-        const loadTime = performance.now() - startTime;
-        console.debug('[Performance] Image loaded:', img.dataset.src, 'in', loadTime.toFixed(2), 'ms');
+      if (!vitals.interactionIds.has(entry.interactionId)) {
+        vitals.interactionIds.add(entry.interactionId);
+        vitals.interactionCount++;
+      }
 
-        // Clean up data attributes
-        delete img.dataset.src;
-        delete img.dataset.srcset;
-      };
+      if (!existing || entry.duration > existing.duration) {
+        vitals.interactions.set(entry.interactionId, entry);
+      }
+    });
 
-      tempImg.onerror = function() {
-        img.classList.remove(config.loadingClass);
-        img.classList.add(config.errorClass);
-        console.error('[Performance] Failed to load image:', img.dataset.src);
-      };
+    // Only the slowest few interactions can ever be the INP candidate
+    const slowest = Array.from(vitals.interactions.values()).sort(function(a, b) {
+      return b.duration - a.duration;
+    }).slice(0, 10);
 
-      tempImg.src = img.dataset.src;
-    } else if (img.loading === 'lazy') {
-      // Native lazy loading fallback
-      img.classList.remove(config.loadingClass);
-      img.classList.add(config.loadedClass);
+    vitals.interactions = new Map(slowest.map(function(entry) {
+      return [entry.interactionId, entry];
+    }));
+
+    const interactionCount = getInteractionCount();
+    const candidate = slowest[Math.min(Math.floor(interactionCount / 50), slowest.length - 1)];
+
+    if (!candidate) {
+      return;
     }
+
+    metrics.interactionToNextPaint = candidate.duration;
+    metrics.attribution.interactionToNextPaint = {
+      target: getElementSelector(candidate.target),
+      eventType: candidate.name,
+      startTime: candidate.startTime,
+      inputDelay: candidate.processingStart - candidate.startTime,
+      processingDuration: candidate.processingEnd - candidate.processingStart,
+      presentationDelay: Math.max(candidate.startTime + candidate.duration - candidate.processingEnd, 0),
+      interactionCount: interactionCount
+    };
+
+    console.debug('[Performance] INP:', metrics.interactionToNextPaint, 'ms',
+      metrics.attribution.interactionToNextPaint.target);
+  }
+
+  /**
+   * Check whether the browser counts interactions itself
+   * @returns {boolean} True if performance.interactionCount is available
+   */
+  function hasNativeInteractionCount() {
+    return typeof window.performance.interactionCount === 'number';
+  }
+
+  /**
+   * Interactions on the page so far, including fast ones the event
+   * observer never reports
+   * @returns {number} Interaction count
+   */
+  function getInteractionCount() {
+    const counted = performanceState.vitals.interactionCount;
+
+    return hasNativeInteractionCount() ? Math.max(window.performance.interactionCount, counted) : counted;
   }
 
   /**
-   * Load lazy background image
-   * @param {HTMLElement} element - Element with background image
+   * Build a short CSS selector that identifies an element in reports
+   * @param {Element|null} element - Element
+   * @returns {string|null} Selector such as 'section#featured > article.product-card > img'
    */
-  function loadLazyBackground(element) {
-    const config = performanceState.lazyLoadConfig;
-    const bgUrl = element.dataset.bg;
-    const startTime = performance.now();
+  function getElementSelector(element) {
+    const parts = [];
+    let current = element;
 
-    element.classList.add(config.loadingClass);
+    while (current && current.nodeType === 1 && parts.length < 5) {
+      let part = current.tagName.toLowerCase();
 
-    const tempImg = new Image();
+      if (current.id) {
+        parts.unshift(part + '#' + current.id);
+        break;
+      }
 
-    tempImg.onload = function() {
-      element.style.backgroundImage = 'url(' + bgUrl + ')';
-      element.classList.remove(config.loadingClass);
-      element.classList.add(config.loadedClass);
+      if (current.classList && current.classList.length > 0) {
+        part += '.' + Array.from(current.classList).slice(0, 2).join('.');
+      }
 
-      const loadTime = performance.now() - startTime;
-      console.debug('[Performance] Background loaded:', bgUrl, 'in', loadTime.toFixed(2), 'ms');
+      parts.unshift(part);
+      current = current.parentElement;
+    }
 
-      delete element.dataset.bg;
+    return parts.length > 0 ? parts.join(' > ') : null;
+  }
+
+  /**
+   * Copy a DOMRectReadOnly into a plain object
+   * @param {DOMRectReadOnly} rect - Rectangle
+   * @returns {Object} Plain rectangle
+   */
+  function rectToObject(rect) {
+    return {
+      x: rect.x,
+      y: rect.y,
+      width: rect.width,
+      height: rect.height
     };
+  }
+
+  /**
+   * Send Web Vitals to the reporting endpoint when the page is hidden.
+   * The endpoint and sample rate come from data-vitals-endpoint and
+   * data-vitals-sample-rate on <html>, or from configureReporting().
+   */
+  function setupVitalsReporting() {
+    const root = document.documentElement;
+
+    configureReporting({
+      endpoint: root.getAttribute('data-vitals-endpoint') || performanceState.reportingConfig.endpoint,
+      sampleRate: root.hasAttribute('data-vitals-sample-rate')
+        ? parseFloat(root.getAttribute('data-vitals-sample-rate'))
+        : performanceState.reportingConfig.sampleRate
+    });
+
+    // visibilitychange is the last reliable event on mobile; pagehide
+    // covers browsers that skip it on unload
+    document.addEventListener('visibilitychange', function() {
+      if (document.visibilityState === 'hidden') {
+        sendVitalsReport('visibilitychange');
+      } else {
+        performanceState.reporting.hasReportedSinceVisible = false;
+      }
+    });
+
+    window.addEventListener('pagehide', function(event) {
+      sendVitalsReport(event.persisted ? 'pagehide-bfcache' : 'pagehide');
+    });
+  }
+
+  /**
+   * Update reporting settings. The page view stays in or out of the
+   * sample as long as the rate allows, since the roll happens once.
+   * @param {Object} options - Reporting options
+   * @param {string|null} [options.endpoint] - URL that receives the beacon
+   * @param {number} [options.sampleRate] - Fraction of page views to report (0-1)
+   */
+  function configureReporting(options) {
+    const reportingConfig = performanceState.reportingConfig;
+    const settings = options || {};
+
+    if (settings.endpoint !== undefined) {
+      reportingConfig.endpoint = settings.endpoint || null;
+    }
+
+    if (settings.sampleRate !== undefined) {
+      const rate = Number(settings.sampleRate);
+      reportingConfig.sampleRate = isFinite(rate) ? Math.min(Math.max(rate, 0), 1) : 1;
+    }
 
-    tempImg.onerror = function() {
-      element.classList.remove(config.loadingClass);
-      element.classList.add(config.errorClass);
-      console.error('[Performance] Failed to load background:', bgUrl);
+    performanceState.reporting.isSampled = performanceState.reporting.sampleRoll < reportingConfig.sampleRate;
+
+    console.debug('[Performance] Vitals reporting:', {
+      endpoint: reportingConfig.endpoint,
+      sampleRate: reportingConfig.sampleRate,
+      sampled: performanceState.reporting.isSampled
+    });
+  }
+
+  /**
+   * Build the Web Vitals report payload
+   * @param {string} reason - What triggered the report
+   * @returns {Object} Report payload
+   */
+  function buildVitalsReport(reason) {
+    return {
+      metrics: getMetrics(),
+      page: {
+        url: window.location.origin + window.location.pathname,
+        path: window.location.pathname,
+        title: document.title,
+        referrer: document.referrer || null
+      },
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        devicePixelRatio: window.devicePixelRatio || 1
+      },
+      connection: getConnectionInfo(),
+      sampling: {
+        rate: performanceState.reportingConfig.sampleRate
+      },
+      reason: reason,
+      sequence: performanceState.reporting.reportCount + 1,
+      timestamp: new Date().toISOString()
     };
+  }
 
-    tempImg.src = bgUrl;
+  /**
+   * Read Network Information API details where supported
+   * @returns {Object|null} Connection info
+   */
+  function getConnectionInfo() {
+    const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+
+    if (!connection) {
+      return null;
+    }
+
+    return {
+      effectiveType: connection.effectiveType || null,
+      type: connection.type || null,
+      rtt: typeof connection.rtt === 'number' ? connection.rtt : null,
+      downlink: typeof connection.downlink === 'number' ? connection.downlink : null,
+      saveData: Boolean(connection.saveData)
+    };
   }
 
   /**
-   * Fallback: Load all images immediately if IntersectionObserver not supported
+   * Beacon the current metrics, once per hidden period
+   * @param {string} reason - What triggered the report
+   * @returns {boolean} True if a report was queued
    */
-  function loadAllImagesImmediately() {
-    elements.lazyImages.forEach(function(img) {
-      if (img.dataset.src) {
-        img.src = img.dataset.src;
-        if (img.dataset.srcset) {
-          img.srcset = img.dataset.srcset;
-        }
-        delete img.dataset.src;
-        delete img.dataset.srcset;
+  function sendVitalsReport(reason) {
+    const reporting = performanceState.reporting;
+    const endpoint = performanceState.reportingConfig.endpoint;
+
+    if (!endpoint || !reporting.isSampled || reporting.hasReportedSinceVisible) {
+      return false;
+    }
+
+    // The analytics bus owns the beacon transport and the consent check
+    const analytics = window.FashionForwardAnalytics;
+
+    if (!analytics) {
+      return false;
+    }
+
+    const isQueued = analytics.sendBeacon(endpoint, buildVitalsReport(reason));
+
+    if (isQueued) {
+      reporting.hasReportedSinceVisible = true;
+      reporting.reportCount++;
+      console.debug('[Performance] Vitals report sent:', reason);
+    }
+
+    return isQueued;
+  }
+
+  /**
+   * Read budget overrides from <html> data attributes. Limits use
+   * data-perf-budget-lcp, -cls, -image-bytes and -lazy-above-fold
+   * ("none" turns a check off); data-perf-budget-overlay forces the
+   * overlay on or off.
+   */
+  function setupBudget() {
+    const root = document.documentElement;
+    const options = {};
+
+    BUDGET_RULES.forEach(function(rule) {
+      if (root.hasAttribute(rule.attribute)) {
+        options[rule.key] = root.getAttribute(rule.attribute);
       }
     });
 
-    elements.lazyBackgrounds.forEach(function(element) {
-      if (element.dataset.bg) {
-        element.style.backgroundImage = 'url(' + element.dataset.bg + ')';
-        delete element.dataset.bg;
+    if (root.hasAttribute('data-perf-budget-overlay')) {
+      options.overlay = root.getAttribute('data-perf-budget-overlay');
+    }
+
+    setBudget(options);
+  }
+
+  /**
+   * Update budget limits. A limit of null (or "none") disables that check.
+   * @param {Object} options - Budget options
+   * @param {number|null} [options.maxLargestContentfulPaint] - LCP limit in ms
+   * @param {number|null} [options.maxCumulativeLayoutShift] - CLS limit
+   * @param {number|null} [options.maxImageBytes] - Limit for all image bytes loaded
+   * @param {number|null} [options.maxLazyImagesAboveFold] - Lazy images allowed in the first viewport
+   * @param {boolean|string} [options.overlay] - true, false or 'auto' (dev hosts only)
+   */
+  function setBudget(options) {
+    const budgetConfig = performanceState.budgetConfig;
+    const settings = options || {};
+
+    BUDGET_RULES.forEach(function(rule) {
+      const value = settings[rule.key];
+
+      if (value === undefined) {
+        return;
+      }
+
+      if (value === null || value === 'none') {
+        budgetConfig[rule.key] = null;
+        return;
       }
+
+      const limit = Number(value);
+
+      if (value === '' || !isFinite(limit) || limit < 0) {
+        console.warn('[Performance] Invalid budget for ' + rule.key + ':', value);
+        return;
+      }
+
+      budgetConfig[rule.key] = limit;
     });
+
+    if (settings.overlay !== undefined) {
+      if (settings.overlay === true || settings.overlay === 'true') {
+        budgetConfig.overlay = true;
+      } else if (settings.overlay === false || settings.overlay === 'false') {
+        budgetConfig.overlay = false;
+      } else {
+        budgetConfig.overlay = 'auto';
+      }
+    }
+
+    console.debug('[Performance] Budget:', Object.assign({}, budgetConfig));
+
+    // Re-check with the new limits once the page has been evaluated
+    if (performanceState.budget.report) {
+      evaluateBudget();
+    }
   }
 
   /**
-   * Initialize touch event optimizations for mobile
+   * Record image downloads from resource timing
+   * @param {PerformanceEntry[]} entries - resource entries
    */
-  function initTouchOptimizations() {
-    if (!elements.touchElements || elements.touchElements.length === 0) {
-      console.warn('[Performance] No touch elements found');
-      return;
-    }
+  function handleResourceEntries(entries) {
+    const images = performanceState.budget.images;
+    let hasImages = false;
 
-    const eventOptions = performanceState.touchOptimizations.passiveSupported
-      ? { passive: true }
-      : false;
+    entries.forEach(function(entry) {
+      if (!isImageResource(entry)) {
+        return;
+      }
 
-    // Add touch-action CSS property via JavaScript for better control
-    elements.touchElements.forEach(function(element) {
-      // Prevent 300ms tap delay
-      element.style.touchAction = 'manipulation';
-      
-      // Add visual feedback for touch
-      element.addEventListener('touchstart', handleTouchStart, eventOptions);
-      element.addEventListener('touchend', handleTouchEnd, eventOptions);
-      element.addEventListener('touchcancel', handleTouchEnd, eventOptions);
+      // Cached responses have no transferSize but still report the body size;
+      // both are 0 for cross-origin images sent without Timing-Allow-Origin
+      images.set(entry.name, {
+        url: entry.name,
+        bytes: entry.encodedBodySize || entry.transferSize || 0,
+        duration: entry.duration,
+        initiatorType: entry.initiatorType
+      });
+      hasImages = true;
     });
 
-    // Optimize scroll performance
-    const scrollElements = document.querySelectorAll('[data-scroll-optimize]');
-    scrollElements.forEach(function(element) {
-      element.style.willChange = 'transform';
-      element.style.webkitOverflowScrolling = 'touch';
+    if (hasImages) {
+      scheduleBudgetEvaluation();
+    }
+  }
+
+  /**
+   * Check whether a resource timing entry is an image download
+   * @param {PerformanceResourceTiming} entry - Resource entry
+   * @returns {boolean} True for images
+   */
+  function isImageResource(entry) {
+    if (entry.initiatorType === 'img' || entry.initiatorType === 'image') {
+      return true;
+    }
+
+    if (entry.contentType) {
+      return entry.contentType.indexOf('image/') === 0;
+    }
+
+    return /\.(avif|webp|jpe?g|png|gif|svg)(\?|#|$)/i.test(entry.name);
+  }
+
+  /**
+   * Summarize image downloads seen so far
+   * @returns {Object} Image count, total bytes and the heaviest images
+   */
+  function getImageStats() {
+    const images = Array.from(performanceState.budget.images.values());
+
+    const totalBytes = images.reduce(function(total, image) {
+      return total + image.bytes;
+    }, 0);
+
+    const heaviest = images.slice().sort(function(a, b) {
+      return b.bytes - a.bytes;
+    }).slice(0, 5).filter(function(image) {
+      return image.bytes > 0;
     });
 
-    performanceState.touchOptimizations.enabled = true;
-    console.info('[Performance] Touch optimizations enabled for', 
-      elements.touchElements.length, 'elements');
+    return {
+      count: images.length,
+      totalBytes: totalBytes,
+      unmeasured: images.filter(function(image) {
+        return image.bytes === 0;
+      }).length,
+      heaviest: heaviest.map(function(image) {
+        return { url: image.url, bytes: image.bytes };
+      })
+    };
   }
 
   /**
-   * Handle touch start for visual feedback
-   * @param {TouchEvent} event - Touch event
+   * Find lazy-loaded images that sit in the first viewport. These delay
+   * LCP because the browser waits for layout before fetching them.
+   * @returns {Object[]} Selector and source of each offending image
    */
-  function handleTouchStart(event) {
-    const element = event.currentTarget;
-    element.classList.add('is-touching');
+  function findLazyImagesAboveFold() {
+    const lazyImages = document.querySelectorAll('img[loading="lazy"], img[data-image-state]');
+    const foldHeight = window.innerHeight || document.documentElement.clientHeight;
+    const scrollY = window.pageYOffset || 0;
+
+    return Array.from(lazyImages).filter(function(img) {
+      const rect = img.getBoundingClientRect();
+
+      if (rect.width === 0 || rect.height === 0) {
+        return false;
+      }
+
+      const top = rect.top + scrollY;
+      return top < foldHeight && rect.bottom + scrollY > 0;
+    }).map(function(img) {
+      return {
+        element: getElementSelector(img),
+        src: img.currentSrc || img.getAttribute('src') || img.dataset.src || null
+      };
+    });
   }
 
   /**
-   * Handle touch end to remove visual feedback
-   * @param {TouchEvent} event - Touch event
+   * Compare collected metrics against the budget
+   * @returns {Object} Budget report
    */
-  function handleTouchEnd(event) {
-    const element = event.currentTarget;
-    element.classList.remove('is-touching');
+  function buildBudgetReport() {
+    const budgetConfig = performanceState.budgetConfig;
+    const metrics = performanceState.performanceMetrics;
+    const images = getImageStats();
+    const lazyImagesAboveFold = findLazyImagesAboveFold();
+
+    // LCP is 0 until the first candidate is observed
+    const values = {
+      largestContentfulPaint: metrics.largestContentfulPaint || null,
+      cumulativeLayoutShift: metrics.cumulativeLayoutShift,
+      imageBytes: images.totalBytes,
+      lazyImagesAboveFold: lazyImagesAboveFold.length
+    };
+
+    const results = BUDGET_RULES.filter(function(rule) {
+      return budgetConfig[rule.key] !== null;
+    }).map(function(rule) {
+      const value = values[rule.metric];
+      const limit = budgetConfig[rule.key];
+
+      return {
+        metric: rule.metric,
+        label: rule.label,
+        value: value,
+        limit: limit,
+        unit: rule.unit,
+        passed: value === null || value <= limit
+      };
+    });
+
+    const violations = results.filter(function(result) {
+      return !result.passed;
+    });
+
+    return {
+      passed: violations.length === 0,
+      results: results,
+      violations: violations,
+      images: images,
+      lazyImagesAboveFold: lazyImagesAboveFold,
+      budget: Object.assign({}, budgetConfig),
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
-   * Measure and log performance metrics
+   * Evaluate the budget, update the dev overlay and warn when the set of
+   * violations changes
+   * @returns {Object} Budget report
    */
-  function measurePerformanceMetrics() {
-    if (!('performance' in window)) {
-      console.warn('[Performance] Performance API not supported');
+  function evaluateBudget() {
+    const budget = performanceState.budget;
+
+    clearTimeout(budget.evaluationTimer);
+    budget.evaluationTimer = null;
+
+    const previousViolations = budget.report ? budget.report.violations : [];
+    const report = buildBudgetReport();
+    const violations = report.violations;
+
+    budget.report = report;
+
+    if (getViolationKey(violations) !== getViolationKey(previousViolations) && violations.length > 0) {
+      console.warn('[Performance] Budget exceeded:', violations.map(function(violation) {
+        return violation.label + ' ' + formatBudgetValue(violation.value, violation.unit) +
+          ' (budget ' + formatBudgetValue(violation.limit, violation.unit) + ')';
+      }).join('; '));
+    }
+
+    if (violations.length > 0 && isBudgetOverlayEnabled() && !budget.isOverlayDismissed) {
+      renderBudgetOverlay(report);
+    } else {
+      removeBudgetOverlay();
+    }
+
+    return report;
+  }
+
+  /**
+   * Re-evaluate shortly after new images or layout shifts arrive, but
+   * only once the initial evaluation after load has run
+   */
+  function scheduleBudgetEvaluation() {
+    const budget = performanceState.budget;
+
+    if (!budget.report) {
       return;
     }
 
-    try {
-      const perfData = performance.timing;
-      const metrics = performanceState.performanceMetrics;
+    clearTimeout(budget.evaluationTimer);
+    budget.evaluationTimer = setTimeout(evaluateBudget, 500);
+  }
 
-      // Navigation timing
-      metrics.navigationStart = perfData.navigationStart;
-      metrics.domContentLoaded = perfData.domContentLoadedEventEnd - perfData.navigationStart;
-      metrics.loadComplete = perfData.loadEventEnd - perfData.navigationStart;
-
-      // Paint timing
-      if ('PerformancePaintTiming' in window) {
-        const paintEntries = performance.getEntriesByType('paint');
-        paintEntries.forEach(function(entry) {
-          if (entry.name === 'first-paint') {
-            metrics.firstPaint = entry.startTime;
-          } else if (entry.name === 'first-contentful-paint') {
-            metrics.firstContentfulPaint = entry.startTime;
-          }
-        });
-      }
+  /**
+   * Build a key that identifies which budgets are exceeded
+   * @param {Object[]} violations - Failed budget results
+   * @returns {string} Comma-separated metric names
+   */
+  function getViolationKey(violations) {
+    return violations.map(function(violation) {
+      return violation.metric;
+    }).join(',');
+  }
 
-      console.info('[Performance] Metrics:', {
-        domContentLoaded: metrics.domContentLoaded + 'ms',
-        loadComplete: metrics.loadComplete + 'ms',
-        firstPaint: metrics.firstPaint ? metrics.firstPaint.toFixed(2) + 'ms' : 'N/A',
-        firstContentfulPaint: metrics.firstContentfulPaint ? metrics.firstContentfulPaint.toFixed(2) + 'ms' : 'N/A'
-      });
-    } catch (error) {
-      console.error('[Performance] Error measuring metrics:', error);
+  /**
+   * Decide whether the budget overlay may be shown. In 'auto' mode it only
+   * appears on local hosts or when ?perf-budget=1 is in the URL, so
+   * visitors never see it.
+   * @returns {boolean} True if the overlay is enabled
+   */
+  function isBudgetOverlayEnabled() {
+    const overlay = performanceState.budgetConfig.overlay;
+
+    if (overlay !== 'auto') {
+      return overlay;
+    }
+
+    const param = new URLSearchParams(window.location.search).get('perf-budget');
+
+    if (param !== null) {
+      return param !== '0' && param !== 'false';
     }
+
+    const hostname = window.location.hostname;
+    return DEV_HOSTNAMES.indexOf(hostname) !== -1 || /\.(local|test|localhost)$/.test(hostname);
   }
 
   /**
-   * Setup Performance Observers for Core Web Vitals
+   * Show budget violations in a fixed overlay
+   * @param {Object} report - Budget report
    */
-  function setupPerformanceObservers() {
-    if (!('PerformanceObserver' in window)) {
-      console.warn('[Performance] PerformanceObserver not supported');
-      return;
+  function renderBudgetOverlay(report) {
+    const budget = performanceState.budget;
+
+    if (!budget.overlay) {
+      budget.overlay = createBudgetOverlay();
+      document.body.appendChild(budget.overlay);
     }
 
-    try {
-      // Largest Contentful Paint (LCP)
-      const lcpObserver = new PerformanceObserver(function(entryList) {
-        const entries = entryList.getEntries();
-        const lastEntry = entries[entries.length - 1];
-        performanceState.performanceMetrics.largestContentfulPaint = lastEntry.renderTime || lastEntry.loadTime;
-        
-        console.debug('[Performance] LCP:', 
-          performanceState.performanceMetrics.largestContentfulPaint.toFixed(2), 'ms');
-      });
-      lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-
-      // Cumulative Layout Shift (CLS)
-      const clsObserver = new PerformanceObserver(function(entryList) {
-        const entries = entryList.getEntries();
-        entries.forEach(function(entry) {
-          if (!entry.hadRecentInput) {
-            performanceState.performanceMetrics.cumulativeLayoutShift += entry.value;
-          }
+    const count = report.violations.length;
+    const title = budget.overlay.querySelector('.perf-budget-title');
+    const list = budget.overlay.querySelector('.perf-budget-list');
+    const note = budget.overlay.querySelector('.perf-budget-note');
+
+    title.textContent = 'Performance budget: ' + count + (count === 1 ? ' violation' : ' violations');
+    list.innerHTML = '';
+
+    report.violations.forEach(function(violation) {
+      const item = document.createElement('li');
+      item.className = 'perf-budget-item';
+
+      const label = document.createElement('strong');
+      label.className = 'perf-budget-label';
+      label.textContent = violation.label;
+
+      const value = document.createElement('span');
+      value.className = 'perf-budget-value';
+      value.textContent = formatBudgetValue(violation.value, violation.unit) +
+        ' / budget ' + formatBudgetValue(violation.limit, violation.unit);
+
+      item.appendChild(label);
+      item.appendChild(value);
+
+      let details = [];
+
+      if (violation.metric === 'imageBytes') {
+        details = report.images.heaviest.slice(0, 3).map(function(image) {
+          return formatBudgetValue(image.bytes, 'bytes') + ' ' + shortenUrl(image.url);
         });
-        
-        console.debug('[Performance] CLS:', 
-          performanceState.performanceMetrics.cumulativeLayoutShift.toFixed(4));
-      });
-      clsObserver.observe({ entryTypes: ['layout-shift'] });
-
-      // First Input Delay (FID)
-      const fidObserver = new PerformanceObserver(function(entryList) {
-        const entries = entryList.getEntries();
-        entries.forEach(function(entry) {
-          performanceState.performanceMetrics.firstInputDelay = entry.processingStart - entry.startTime;
-          
-          console.debug('[Performance] FID:', 
-            performanceState.performanceMetrics.firstInputDelay.toFixed(2), 'ms');
+      } else if (violation.metric === 'lazyImagesAboveFold') {
+        details = report.lazyImagesAboveFold.map(function(image) {
+          return image.element;
+        });
+      } else if (violation.metric === 'largestContentfulPaint' &&
+                 performanceState.performanceMetrics.attribution.largestContentfulPaint) {
+        details = [performanceState.performanceMetrics.attribution.largestContentfulPaint.element];
+      }
+
+      if (details.length > 0) {
+        const detailList = document.createElement('ul');
+        detailList.className = 'perf-budget-details';
+
+        details.forEach(function(detail) {
+          const detailItem = document.createElement('li');
+          detailItem.textContent = detail;
+          detailList.appendChild(detailItem);
         });
-      });
-      fidObserver.observe({ entryTypes: ['first-input'] });
 
-      console.info('[Performance] Performance observers initialized');
+        item.appendChild(detailList);
+      }
+
+      list.appendChild(item);
+    });
+
+    note.hidden = report.images.unmeasured === 0;
+    note.textContent = report.images.unmeasured +
+      (report.images.unmeasured === 1 ? ' cross-origin image was' : ' cross-origin images were') +
+      ' not measured (missing Timing-Allow-Origin).';
+  }
+
+  /**
+   * Build the overlay shell
+   * @returns {HTMLElement} Overlay element
+   */
+  function createBudgetOverlay() {
+    const overlay = document.createElement('aside');
+    overlay.className = 'perf-budget-overlay';
+    overlay.setAttribute('role', 'status');
+    overlay.setAttribute('aria-live', 'polite');
+    overlay.setAttribute('aria-labelledby', 'perf-budget-title');
+    overlay.setAttribute('data-perf-budget-overlay', '');
+    overlay.innerHTML =
+      '<div class="perf-budget-header">' +
+        '<p id="perf-budget-title" class="perf-budget-title"></p>' +
+        '<button type="button" class="perf-budget-dismiss" aria-label="Dismiss performance budget warnings" data-perf-budget-dismiss>' +
+          '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">' +
+            '<line x1="18" y1="6" x2="6" y2="18"></line>' +
+            '<line x1="6" y1="6" x2="18" y2="18"></line>' +
+          '</svg>' +
+        '</button>' +
+      '</div>' +
+      '<ul class="perf-budget-list" role="list"></ul>' +
+      '<p class="perf-budget-note" hidden></p>';
+
+    overlay.querySelector('[data-perf-budget-dismiss]').addEventListener('click', function() {
+      performanceState.budget.isOverlayDismissed = true;
+      removeBudgetOverlay();
+    });
+
+    return overlay;
+  }
+
+  /**
+   * Remove the budget overlay if it is showing
+   */
+  function removeBudgetOverlay() {
+    const budget = performanceState.budget;
+
+    if (budget.overlay) {
+      budget.overlay.remove();
+      budget.overlay = null;
+    }
+  }
+
+  /**
+   * Format a budget value for display
+   * @param {number|null} value - Value
+   * @param {string} unit - 'ms', 'bytes', 'images' or '' for CLS
+   * @returns {string} Formatted value
+   */
+  function formatBudgetValue(value, unit) {
+    if (value === null) {
+      return 'N/A';
+    }
+
+    if (unit === 'bytes') {
+      return value >= 1000000
+        ? (value / 1000000).toFixed(2) + ' MB'
+        : Math.round(value / 1000) + ' KB';
+    }
+
+    if (unit === 'ms') {
+      return Math.round(value) + ' ms';
+    }
+
+    if (unit === 'images') {
+      return String(value);
+    }
+
+    return value.toFixed(3);
+  }
+
+  /**
+   * Shorten a resource URL to host and path for the overlay
+   * @param {string} url - Resource URL
+   * @returns {string} Short URL
+   */
+  function shortenUrl(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return parsed.host + parsed.pathname;
     } catch (error) {
-      console.error('[Performance] Error setting up observers:', error);
+      return url;
     }
   }
 
@@ -438,7 +1152,22 @@
    * @returns {Object} Current performance metrics
    */
   function getMetrics() {
-    return Object.assign({}, performanceState.performanceMetrics);
+    const metrics = performanceState.performanceMetrics;
+
+    return Object.assign({}, metrics, {
+      attribution: JSON.parse(JSON.stringify(metrics.attribution))
+    });
+  }
+
+  /**
+   * Send the collected metrics through the shared analytics bus
+   */
+  function reportMetrics() {
+    if (!window.FashionForwardAnalytics) {
+      return;
+    }
+
+    window.FashionForwardAnalytics.track('performance_metrics', getMetrics(), { source: 'performance' });
   }
 
   /**
@@ -447,14 +1176,22 @@
   function logPerformanceSummary() {
     const metrics = performanceState.performanceMetrics;
     
+    const attribution = metrics.attribution;
+    
     console.group('[Performance] Summary');
-    console.log('DOM Content Loaded:', metrics.domContentLoaded, 'ms');
-    console.log('Load Complete:', metrics.loadComplete, 'ms');
+    console.log('Time to First Byte:', metrics.timeToFirstByte ? metrics.timeToFirstByte.toFixed(2) + ' ms' : 'N/A');
+    console.log('DOM Content Loaded:', metrics.domContentLoaded ? metrics.domContentLoaded.toFixed(2) + ' ms' : 'N/A');
+    console.log('Load Complete:', metrics.loadComplete ? metrics.loadComplete.toFixed(2) + ' ms' : 'N/A');
     console.log('First Paint:', metrics.firstPaint ? metrics.firstPaint.toFixed(2) + ' ms' : 'N/A');
     console.log('First Contentful Paint:', metrics.firstContentfulPaint ? metrics.firstContentfulPaint.toFixed(2) + ' ms' : 'N/A');
-    console.log('Largest Contentful Paint:', metrics.largestContentfulPaint ? metrics.largestContentfulPaint.toFixed(2) + ' ms' : 'N/A');
-    console.log('Cumulative Layout Shift:', metrics.cumulativeLayoutShift ? metrics.cumulativeLayoutShift.toFixed(4) : 'N/A');
-    console.log('First Input Delay:', metrics.firstInputDelay ? metrics.firstInputDelay.toFixed(2) + ' ms' : 'N/A');
+    console.log('Largest Contentful Paint:', metrics.largestContentfulPaint ? metrics.largestContentfulPaint.toFixed(2) + ' ms' : 'N/A',
+      attribution.largestContentfulPaint ? attribution.largestContentfulPaint.element : '');
+    console.log('Cumulative Layout Shift:', metrics.cumulativeLayoutShift ? metrics.cumulativeLayoutShift.toFixed(4) : 'N/A',
+      attribution.cumulativeLayoutShift ? attribution.cumulativeLayoutShift.sources.map(function(source) {
+        return source.element;
+      }).join(', ') : '');
+    console.log('Interaction to Next Paint:', metrics.interactionToNextPaint ? metrics.interactionToNextPaint + ' ms' : 'N/A',
+      attribution.interactionToNextPaint ? attribution.interactionToNextPaint.eventType + ' on ' + attribution.interactionToNextPaint.target : '');
     console.groupEnd();
   }
 
@@ -462,10 +1199,13 @@
    * Cleanup and disconnect observers
    */
   function cleanup() {
-    if (performanceState.lazyLoadObserver) {
-      performanceState.lazyLoadObserver.disconnect();
-      performanceState.lazyLoadObserver = null;
-    }
+    performanceState.vitals.observers.forEach(function(observer) {
+      observer.disconnect();
+    });
+    performanceState.vitals.observers = [];
+
+    clearTimeout(performanceState.budget.evaluationTimer);
+    removeBudgetOverlay();
 
     performanceState.isInitialized = false;
     console.info('[Performance] Cleanup complete');
@@ -478,6 +1218,12 @@
     init: init,
     getMetrics: getMetrics,
     logSummary: logPerformanceSummary,
+    configureReporting: configureReporting,
+    getVitalsReport: function() {
+      return buildVitalsReport('manual');
+    },
+    setBudget: setBudget,
+    getBudgetReport: buildBudgetReport,
     cleanup: cleanup,
     isInitialized: function() {
       return performanceState.isInitialized;
@@ -491,9 +1237,15 @@
     init();
   }
 
-  // Log performance summary on page load
+  // Log and report performance summary on page load
   window.addEventListener('load', function() {
-    setTimeout(logPerformanceSummary, 1000);
+    setTimeout(function() {
+      // loadEventEnd is only known once the load event has finished
+      measurePerformanceMetrics();
+      logPerformanceSummary();
+      reportMetrics();
+      evaluateBudget();
+    }, 1000);
   });
 
 })();
\ No newline at end of file
@@ -1,12 +1,14 @@
 /**
  * Fashion Forward Landing Page - Products JavaScript
  * 
- * Handles product showcase interactions including hover animations,
- * category filtering, lazy loading, and engagement tracking.
+ * Renders the featured products grid from a JSON catalog and handles
+ * product showcase interactions including hover animations, category
+ * filtering with URL-synchronized state, image load tracking, and engagement
+ * tracking.
  * 
  * @generated-from: task-id:TASK-004
  * @modifies: none
- * @dependencies: []
+ * @dependencies: ["js/image-loader.js"]
  */
 
 (function() {
@@ -16,6 +18,17 @@
   const state = {
     isInitialized: false,
     activeFilter: 'all',
+    filters: {
+      categories: [],
+      minPrice: null,
+      maxPrice: null,
+      inStockOnly: false,
+      favoritesOnly: false,
+      sort: 'featured'
+    },
+    selectedProductId: null,
+    favorites: new Set(),
+    catalog: [],
     visibleProducts: new Set(),
     interactionMetrics: {
       cardHovers: 0,
@@ -24,7 +37,6 @@
       imageLoads: 0
     },
     observers: {
-      intersection: null,
       performance: null
     }
   };
@@ -34,23 +46,91 @@
     productsSection: null,
     productCards: null,
     filterButtons: null,
-    productGrid: null,
-    images: null
+    filterBar: null,
+    productGrid: null
   };
 
   // Configuration
   const config = {
     animationDuration: 300,
     hoverDebounceMs: 100,
-    lazyLoadRootMargin: '50px',
-    lazyLoadThreshold: 0.1,
-    trackingDebounceMs: 500
+    trackingDebounceMs: 500,
+    filterDebounceMs: 300,
+    catalogUrl: null,
+    locale: 'en-US',
+    defaultCurrency: 'USD',
+    imageWidth: 600,
+    imageHeight: 600,
+    favoritesStorageKey: 'ff-favorites-products',
+    favoritesStorageVersion: 1
+  };
+
+  // schema.org availability values and their display labels
+  const AVAILABILITY_LABELS = {
+    InStock: 'In stock',
+    LimitedAvailability: 'Limited availability',
+    PreOrder: 'Pre-order',
+    BackOrder: 'Back order',
+    OutOfStock: 'Out of stock',
+    SoldOut: 'Sold out',
+    Discontinued: 'Discontinued'
+  };
+
+  const SCHEMA_ORG_PREFIX = 'https://schema.org/';
+
+  // Sort options for the filter bar; 'featured' keeps catalog order
+  const SORT_OPTIONS = {
+    'featured': {
+      label: 'Featured',
+      compare: null
+    },
+    'price-asc': {
+      label: 'Price: Low to High',
+      compare: function(a, b) { return a.price - b.price; }
+    },
+    'price-desc': {
+      label: 'Price: High to Low',
+      compare: function(a, b) { return b.price - a.price; }
+    },
+    'name-asc': {
+      label: 'Name: A to Z',
+      compare: function(a, b) { return a.name.localeCompare(b.name); }
+    },
+    'name-desc': {
+      label: 'Name: Z to A',
+      compare: function(a, b) { return b.name.localeCompare(a.name); }
+    }
+  };
+
+  // Query parameters used to deep-link product state
+  const URL_PARAMS = {
+    category: 'category',
+    minPrice: 'minPrice',
+    maxPrice: 'maxPrice',
+    inStock: 'inStock',
+    sort: 'sort',
+    favorites: 'favorites',
+    product: 'product'
   };
 
+  // Filter value for the favorites view in the filter bar and filterProducts()
+  const FAVORITES_FILTER = 'favorites';
+
+  // Pending hide timers per card so a quick re-show isn't undone
+  const hideTimers = new WeakMap();
+
+  // Filter controls that already have listeners attached
+  const boundControls = new WeakSet();
+
+  // Events go through the shared analytics bus (js/analytics.js, loaded first)
+  const trackEvent = window.FashionForwardAnalytics
+    ? window.FashionForwardAnalytics.createTracker('products')
+    : function() {};
+
   /**
    * Initialize products module when DOM is ready
    */
-  function init() {
+  async function init() {
     if (state.isInitialized) {
       console.warn('[Products] Already initialized');
       return;
@@ -64,9 +144,15 @@
         return;
       }
 
+      await renderCatalog();
+
+      loadFavorites();
       setupProductCardInteractions();
+      setupFavoritesSync();
       setupCategoryFiltering();
-      setupLazyLoading();
+      restoreStateFromUrl();
+      setupHistorySync();
+      setupImageLoadTracking();
       setupEngagementTracking();
       
       state.isInitialized = true;
@@ -91,19 +177,331 @@
     elements.productGrid = elements.productsSection.querySelector('[data-product-grid]') ||
                           elements.productsSection.querySelector('.product-grid');
     
-    elements.productCards = elements.productsSection.querySelectorAll('[data-product-card]') ||
-                           elements.productsSection.querySelectorAll('.product-card');
-    
     elements.filterButtons = elements.productsSection.querySelectorAll('[data-filter]') ||
                             elements.productsSection.querySelectorAll('.filter-button');
-    
-    elements.images = elements.productsSection.querySelectorAll('img[data-src]');
+
+    cacheProductElements();
+  }
+
+  /**
+   * Cache product cards (re-run after the grid is rendered)
+   */
+  function cacheProductElements() {
+    elements.productCards = elements.productsSection.querySelectorAll('[data-product-card]') ||
+                           elements.productsSection.querySelectorAll('.product-card');
+
 
     console.debug('[Products] Cached elements:', {
       cards: elements.productCards.length,
-      filters: elements.filterButtons.length,
-      images: elements.images.length
+      filters: elements.filterButtons.length
+    });
+  }
+
+  /**
+   * Load the product catalog and render it into the grid.
+   * Falls back to any static markup already in the grid when no
+   * catalog source is configured.
+   */
+  async function renderCatalog() {
+    if (!elements.productGrid) {
+      return;
+    }
+
+    const catalogUrl = elements.productGrid.dataset.catalogSrc || config.catalogUrl;
+
+    if (!catalogUrl) {
+      console.debug('[Products] No catalog source configured, using static markup');
+      return;
+    }
+
+    try {
+      const products = await fetchCatalog(catalogUrl);
+      renderProducts(products);
+    } catch (error) {
+      console.error('[Products] Failed to load catalog:', error);
+
+      if (!elements.productCards || elements.productCards.length === 0) {
+        renderEmptyState();
+      }
+    } finally {
+      elements.productGrid.setAttribute('aria-busy', 'false');
+    }
+  }
+
+  /**
+   * Fetch and normalize the product catalog
+   * @param {string} url - Catalog JSON URL
+   * @returns {Promise<Object[]>} Normalized products
+   */
+  async function fetchCatalog(url) {
+    const response = await fetch(url, {
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+      throw new Error('Catalog request failed with status ' + response.status);
+    }
+
+    const catalog = await response.json();
+    const rawProducts = Array.isArray(catalog) ? catalog : catalog && catalog.products;
+
+    if (!Array.isArray(rawProducts)) {
+      throw new Error('Catalog is missing a products array');
+    }
+
+    const products = rawProducts.map(normalizeProduct).filter(Boolean);
+
+    console.debug('[Products] Catalog loaded:', {
+      url: url,
+      products: products.length,
+      skipped: rawProducts.length - products.length
+    });
+
+    return products;
+  }
+
+  /**
+   * Validate a raw catalog entry and fill in defaults
+   * @param {Object} raw - Catalog entry
+   * @param {number} index - Position in the catalog
+   * @returns {Object|null} Normalized product, or null if invalid
+   */
+  function normalizeProduct(raw, index) {
+    if (!raw || typeof raw !== 'object') {
+      console.warn('[Products] Skipping invalid catalog entry at index', index);
+      return null;
+    }
+
+    const price = Number(raw.price);
+    const images = Array.isArray(raw.images) ? raw.images.filter(function(image) {
+      return image && typeof image.src === 'string' && image.src;
+    }) : [];
+
+    if (!raw.id || !raw.name || !isFinite(price) || images.length === 0) {
+      console.warn('[Products] Skipping catalog entry missing id, name, price or images:', raw.id || index);
+      return null;
+    }
+
+    const category = String(raw.category || '').toLowerCase();
+    const availability = String(raw.availability || 'InStock').replace(SCHEMA_ORG_PREFIX, '');
+
+    return {
+      id: String(raw.id),
+      name: String(raw.name),
+      category: category,
+      categoryLabel: raw.categoryLabel || category.charAt(0).toUpperCase() + category.slice(1),
+      description: raw.description || '',
+      price: price,
+      currency: String(raw.currency || config.defaultCurrency).toUpperCase(),
+      availability: availability,
+      url: raw.url || '#' + raw.id,
+      images: images.map(function(image) {
+        return {
+          src: image.src,
+          alt: image.alt || raw.name,
+          width: image.width || config.imageWidth,
+          height: image.height || config.imageHeight,
+          lqip: typeof image.lqip === 'string' && image.lqip ? image.lqip : null,
+          fallbacks: Array.isArray(image.fallbacks) ? image.fallbacks.filter(function(src) {
+            return typeof src === 'string' && src;
+          }) : []
+        };
+      })
+    };
+  }
+
+  /**
+   * Render product cards into the grid, replacing existing content
+   * @param {Object[]} products - Normalized products
+   */
+  function renderProducts(products) {
+    const fragment = document.createDocumentFragment();
+
+    products.forEach(function(product) {
+      fragment.appendChild(createProductCard(product));
+    });
+
+    elements.productGrid.textContent = '';
+    elements.productGrid.appendChild(fragment);
+
+    state.catalog = products.slice();
+    cacheProductElements();
+
+    if (products.length === 0) {
+      renderEmptyState();
+    }
+
+    elements.productGrid.dispatchEvent(new CustomEvent('productsRendered', {
+      detail: {
+        count: products.length
+      },
+      bubbles: true
+    }));
+
+    console.info('[Products] Rendered', products.length, 'products from catalog');
+  }
+
+  /**
+   * Build a product card with schema.org Product microdata
+   * @param {Object} product - Normalized product
+   * @returns {HTMLElement} Product card element
+   */
+  function createProductCard(product) {
+    const primaryImage = product.images[0];
+    const isAvailable = product.availability === 'InStock' ||
+                        product.availability === 'LimitedAvailability';
+
+    const card = createElement('article', {
+      'class': 'product-card',
+      'role': 'listitem',
+      'data-product-card': '',
+      'data-category': product.category,
+      'data-product-id': product.id,
+      'itemscope': '',
+      'itemtype': SCHEMA_ORG_PREFIX + 'Product'
+    });
+
+    if (!isAvailable) {
+      card.classList.add('is-unavailable');
+    }
+
+    const imageWrapper = createElement('div', { 'class': 'product-image aspect-square' });
+    const imageAttributes = {
+      'data-src': primaryImage.src,
+      'alt': primaryImage.alt,
+      'loading': 'lazy',
+      'decoding': 'async',
+      'width': primaryImage.width,
+      'height': primaryImage.height,
+      'itemprop': 'image'
+    };
+
+    // Tiny base64 image or dominant color shown until the image loads
+    if (primaryImage.lqip) {
+      imageAttributes['data-lqip'] = primaryImage.lqip;
+    }
+
+    // Tried in order by js/image-recovery.js if the image fails
+    if (primaryImage.fallbacks.length > 0) {
+      imageAttributes['data-fallback-src'] = primaryImage.fallbacks.join(' ');
+    }
+
+    imageWrapper.appendChild(createElement('img', imageAttributes));
+
+    // Additional gallery images stay machine-readable without rendering
+    product.images.slice(1).forEach(function(image) {
+      imageWrapper.appendChild(createElement('link', {
+        'itemprop': 'image',
+        'href': image.src,
+        'data-alt': image.alt
+      }));
+    });
+
+    const info = createElement('div', { 'class': 'product-info' });
+    info.appendChild(createElement('p', {
+      'class': 'product-category',
+      'itemprop': 'category'
+    }, product.categoryLabel));
+    info.appendChild(createElement('h3', {
+      'itemprop': 'name',
+      'data-product-name': ''
+    }, product.name));
+
+    if (product.description) {
+      info.appendChild(createElement('meta', {
+        'itemprop': 'description',
+        'content': product.description
+      }));
+    }
+
+    const offer = createElement('p', {
+      'class': 'product-price',
+      'itemprop': 'offers',
+      'itemscope': '',
+      'itemtype': SCHEMA_ORG_PREFIX + 'Offer'
+    });
+    offer.appendChild(createElement('span', {
+      'itemprop': 'price',
+      'content': product.price.toFixed(2)
+    }, formatPrice(product.price, product.currency)));
+    offer.appendChild(createElement('meta', {
+      'itemprop': 'priceCurrency',
+      'content': product.currency
+    }));
+    offer.appendChild(createElement('meta', {
+      'itemprop': 'availability',
+      'content': SCHEMA_ORG_PREFIX + product.availability
+    }));
+
+    if (!isAvailable) {
+      offer.appendChild(createElement('span', {
+        'class': 'product-availability'
+      }, AVAILABILITY_LABELS[product.availability] || product.availability));
+    }
+
+    info.appendChild(offer);
+    info.appendChild(createElement('a', {
+      'href': product.url,
+      'class': 'btn btn-primary btn-sm btn-block touch-target',
+      'aria-label': 'View details for ' + product.name
+    }, 'View Details'));
+
+    card.appendChild(imageWrapper);
+    card.appendChild(info);
+
+    return card;
+  }
+
+  /**
+   * Render a message when no products are available
+   */
+  function renderEmptyState() {
+    const empty = createElement('div', { 'class': 'products-empty', 'role': 'status' });
+    empty.appendChild(createElement('h3', { 'class': 'products-empty-title' }, 'No products available'));
+    empty.appendChild(createElement('p', {
+      'class': 'products-empty-description'
+    }, 'Our latest arrivals are on their way. Please check back soon.'));
+
+    elements.productGrid.textContent = '';
+    elements.productGrid.appendChild(empty);
+  }
+
+  /**
+   * Create an element with attributes and optional text content
+   * @param {string} tagName - Element tag name
+   * @param {Object} attributes - Attribute name/value pairs
+   * @param {string} [text] - Text content
+   * @returns {HTMLElement} Created element
+   */
+  function createElement(tagName, attributes, text) {
+    const element = document.createElement(tagName);
+
+    Object.keys(attributes || {}).forEach(function(name) {
+      element.setAttribute(name, String(attributes[name]));
     });
+
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+
+    return element;
+  }
+
+  /**
+   * Format a price for display in the configured locale
+   * @param {number} amount - Price amount
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {string} Formatted price
+   */
+  function formatPrice(amount, currency) {
+    try {
+      return new Intl.NumberFormat(config.locale, {
+        style: 'currency',
+        currency: currency
+      }).format(amount);
+    } catch (error) {
+      return currency + ' ' + amount.toFixed(2);
+    }
   }
 
   /**
@@ -134,17 +532,25 @@
 
       // Click tracking
       card.addEventListener('click', function(event) {
+        if (isCardAction(event.target)) {
+          return;
+        }
         handleCardClick(card, event);
       });
 
       // Keyboard accessibility
       card.addEventListener('keydown', function(event) {
+        if (isCardAction(event.target)) {
+          return;
+        }
         if (event.key === 'Enter' || event.key === ' ') {
           event.preventDefault();
           handleCardClick(card, event);
         }
       });
 
+      setupFavoriteToggle(card);
+
       // Ensure cards are keyboard focusable
       if (!card.hasAttribute('tabindex')) {
         card.setAttribute('tabindex', '0');
@@ -159,6 +565,16 @@
     console.debug('[Products] Product card interactions enabled for', elements.productCards.length, 'cards');
   }
 
+  /**
+   * Check whether an event target is a card action control (such as an
+   * add-to-bag button) that handles its own activation
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True if the target is inside a [data-card-action]
+   */
+  function isCardAction(target) {
+    return Boolean(target && target.closest && target.closest('[data-card-action]'));
+  }
+
   /**
    * Handle card hover enter with animation
    * @param {HTMLElement} card - Product card element
@@ -230,6 +646,12 @@
 
       state.interactionMetrics.cardClicks++;
 
+      trackEvent('product_card_click', {
+        productId: productId,
+        productName: productName,
+        category: category
+      });
+
       console.info('[Products] Product card clicked:', {
         productId: productId,
         productName: productName,
@@ -237,7 +659,8 @@
         timestamp: new Date().toISOString()
       });
 
-      // Dispatch custom event for analytics integration
+      // Dispatch custom event for analytics and quick view integration;
+      // a listener that cancels it has handled the click (e.g. opened a dialog)
       const clickEvent = new CustomEvent('productCardClick', {
         detail: {
           productId: productId,
@@ -245,241 +668,1032 @@
           category: category,
           element: card
         },
-        bubbles: true
+        bubbles: true,
+        cancelable: true
       });
       
-      card.dispatchEvent(clickEvent);
+      if (!card.dispatchEvent(clickEvent)) {
+        event.preventDefault();
+        return;
+      }
+
+      selectProduct(productId, { history: 'replace' });
     } catch (error) {
       console.error('[Products] Error handling card click:', error);
     }
   }
 
   /**
-   * Setup category filtering functionality
+   * Add a favorite (heart) toggle to a product card
+   * @param {HTMLElement} card - Product card element
    */
-  function setupCategoryFiltering() {
-    if (!elements.filterButtons || elements.filterButtons.length === 0) {
-      console.debug('[Products] No filter buttons found, skipping filter setup');
+  function setupFavoriteToggle(card) {
+    const productId = card.dataset.productId;
+
+    if (!productId || card.querySelector('[data-favorite-toggle]')) {
       return;
     }
 
-    elements.filterButtons.forEach(function(button) {
-      button.addEventListener('click', function(event) {
-        event.preventDefault();
-        handleFilterChange(button);
-      });
+    const button = createElement('button', {
+      'type': 'button',
+      'class': 'favorite-toggle touch-target',
+      'aria-pressed': 'false',
+      'data-favorite-toggle': '',
+      'data-card-action': ''
+    });
+    button.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">' +
+      '<path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>' +
+      '</svg>';
 
-      // Keyboard accessibility
-      button.addEventListener('keydown', function(event) {
-        if (event.key === 'Enter' || event.key === ' ') {
-          event.preventDefault();
-          handleFilterChange(button);
-        }
-      });
+    button.addEventListener('click', function(event) {
+      event.preventDefault();
+      toggleFavorite(card);
     });
 
-    console.debug('[Products] Category filtering enabled for', elements.filterButtons.length, 'filters');
+    card.appendChild(button);
+    updateFavoriteToggle(card);
   }
 
   /**
-   * Handle category filter change
-   * @param {HTMLElement} button - Filter button element
+   * Reflect a card's favorite state on its toggle
+   * @param {HTMLElement} card - Product card element
    */
-  function handleFilterChange(button) {
+  function updateFavoriteToggle(card) {
+    const button = card.querySelector('[data-favorite-toggle]');
+
+    if (!button) {
+      return;
+    }
+
+    const isFavorite = state.favorites.has(card.dataset.productId);
+    const name = getCardData(card).name || 'product';
+
+    button.setAttribute('aria-pressed', String(isFavorite));
+    button.setAttribute('aria-label', isFavorite
+      ? 'Remove ' + name + ' from favorites'
+      : 'Add ' + name + ' to favorites');
+    card.classList.toggle('is-favorite', isFavorite);
+  }
+
+  /**
+   * Add or remove a product from favorites
+   * @param {HTMLElement} card - Product card element
+   */
+  function toggleFavorite(card) {
     try {
-      const filterValue = button.dataset.filter || 'all';
-      
-      if (state.activeFilter === filterValue) {
-        console.debug('[Products] Filter already active:', filterValue);
-        return;
+      const productId = card.dataset.productId;
+      const data = getCardData(card);
+      const isFavorite = !state.favorites.has(productId);
+
+      if (isFavorite) {
+        state.favorites.add(productId);
+      } else {
+        state.favorites.delete(productId);
       }
 
-      state.activeFilter = filterValue;
-      state.interactionMetrics.filterChanges++;
+      saveFavorites();
+      updateFavoriteToggle(card);
+
+      console.info('[Products] Favorite ' + (isFavorite ? 'added' : 'removed') + ':', productId);
 
-      // Update button states
-      elements.filterButtons.forEach(function(btn) {
-        btn.classList.remove('is-active');
-        btn.setAttribute('aria-pressed', 'false');
+      trackEvent(isFavorite ? 'product_favorite_add' : 'product_favorite_remove', {
+        productId: productId,
+        productName: data.name,
+        category: data.category,
+        favoriteCount: state.favorites.size
       });
 
-      button.classList.add('is-active');
-      button.setAttribute('aria-pressed', 'true');
+      // Dispatch custom event for analytics integration
+      card.dispatchEvent(new CustomEvent('productFavoriteChange', {
+        detail: {
+          productId: productId,
+          productName: data.name,
+          category: data.category,
+          isFavorite: isFavorite,
+          favoriteCount: state.favorites.size,
+          element: card
+        },
+        bubbles: true
+      }));
+
+      // A removed favorite leaves the favorites view
+      if (state.filters.favoritesOnly) {
+        applyFilters();
+      }
+    } catch (error) {
+      console.error('[Products] Error toggling favorite:', error);
+    }
+  }
 
-      // Filter products
-      filterProducts(filterValue);
+  /**
+   * Load favorite product ids from localStorage
+   */
+  function loadFavorites() {
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(config.favoritesStorageKey) || 'null');
 
-      console.info('[Products] Filter changed to:', filterValue);
+      state.favorites = new Set(
+        stored && stored.version === config.favoritesStorageVersion && Array.isArray(stored.ids)
+          ? stored.ids.filter(function(id) { return typeof id === 'string' && id; })
+          : []
+      );
     } catch (error) {
-      console.error('[Products] Error handling filter change:', error);
+      console.warn('[Products] Could not read stored favorites:', error);
+      state.favorites = new Set();
     }
   }
 
   /**
-   * Filter products based on category
-   * @param {string} category - Category to filter by ('all' or specific category)
+   * Save favorite product ids to localStorage
    */
-  function filterProducts(category) {
-    if (!elements.productCards || elements.productCards.length === 0) {
-      return;
+  function saveFavorites() {
+    try {
+      window.localStorage.setItem(config.favoritesStorageKey, JSON.stringify({
+        version: config.favoritesStorageVersion,
+        ids: Array.from(state.favorites)
+      }));
+    } catch (error) {
+      console.warn('[Products] Could not save favorites:', error);
     }
+  }
 
-    let visibleCount = 0;
+  /**
+   * Keep favorites in sync with other tabs and with favorite collections
+   */
+  function setupFavoritesSync() {
+    window.addEventListener('storage', function(event) {
+      if (event.key !== config.favoritesStorageKey && event.key !== null) {
+        return;
+      }
 
-    elements.productCards.forEach(function(card) {
-      const cardCategory = card.dataset.category || '';
-      const shouldShow = category === 'all' || cardCategory === category;
+      loadFavorites();
 
-      if (shouldShow) {
-        card.style.display = '';
-        card.classList.remove('is-filtered-out');
-        card.setAttribute('aria-hidden', 'false');
-        visibleCount++;
-        
-        // Animate in
-        setTimeout(function() {
-          card.classList.add('is-visible');
-        }, 50);
-      } else {
-        card.classList.add('is-filtered-out');
-        card.classList.remove('is-visible');
-        card.setAttribute('aria-hidden', 'true');
-        
-        // Hide after animation
-        setTimeout(function() {
-          card.style.display = 'none';
-        }, config.animationDuration);
+      if (elements.productCards) {
+        elements.productCards.forEach(updateFavoriteToggle);
       }
-    });
 
-    console.debug('[Products] Filtered products:', {
-      category: category,
-      visible: visibleCount,
-      total: elements.productCards.length
+      if (state.filters.favoritesOnly) {
+        applyFilters();
+      }
     });
 
-    // Announce to screen readers
-    announceFilterResults(visibleCount, category);
+    // Products in a favorited collection belong to the favorites view
+    document.addEventListener('categoryFavoriteChange', function() {
+      if (state.filters.favoritesOnly) {
+        applyFilters();
+      }
+    });
   }
 
   /**
-   * Announce filter results to screen readers
-   * @param {number} count - Number of visible products
-   * @param {string} category - Active category
+   * Check whether a product is a favorite, directly or through its collection
+   * @param {Object} data - Card data from getCardData
+   * @returns {boolean} True if the product belongs in the favorites view
    */
-  function announceFilterResults(count, category) {
-    const announcement = category === 'all' 
-      ? `Showing all ${count} products`
-      : `Showing ${count} products in ${category} category`;
-
-    const liveRegion = document.createElement('div');
-    liveRegion.setAttribute('role', 'status');
-    liveRegion.setAttribute('aria-live', 'polite');
-    liveRegion.className = 'sr-only';
-    liveRegion.textContent = announcement;
+  function isFavoriteProduct(data) {
+    if (state.favorites.has(data.id)) {
+      return true;
+    }
 
-    document.body.appendChild(liveRegion);
+    const categories = window.FashionForwardCategories;
+    return Boolean(data.category && categories && typeof categories.isFavorite === 'function' &&
+                   categories.isFavorite(data.category));
+  }
 
-    setTimeout(function() {
-      document.body.removeChild(liveRegion);
-    }, 1000);
+  /**
+   * Setup category filtering functionality
+   */
+  function setupCategoryFiltering() {
+    buildFilterBar();
+
+    if (!elements.filterButtons || elements.filterButtons.length === 0) {
+      console.debug('[Products] No filter buttons found, skipping filter setup');
+      return;
+    }
+
+    elements.filterButtons.forEach(function(button) {
+      if (boundControls.has(button)) {
+        return;
+      }
+      boundControls.add(button);
+
+      button.addEventListener('click', function(event) {
+        event.preventDefault();
+        handleFilterChange(button);
+      });
+
+      // Keyboard accessibility
+      button.addEventListener('keydown', function(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          handleFilterChange(button);
+        }
+      });
+    });
+
+    setupFacetControls();
+
+    console.debug('[Products] Category filtering enabled for', elements.filterButtons.length, 'filters');
   }
 
   /**
-   * Setup lazy loading for product images
+   * Read filterable data from a card's schema.org microdata
+   * @param {HTMLElement} card - Product card element
+   * @returns {Object} Card data
    */
-  function setupLazyLoading() {
-    if (!('IntersectionObserver' in window)) {
-      console.warn('[Products] IntersectionObserver not supported, loading all images');
-      loadAllImages();
+  function getCardData(card) {
+    const priceElement = card.querySelector('[itemprop="price"]');
+    const availabilityElement = card.querySelector('[itemprop="availability"]');
+    const nameElement = card.querySelector('[data-product-name]') || card.querySelector('[itemprop="name"]');
+    const categoryElement = card.querySelector('[itemprop="category"]');
+    const price = priceElement ? parseFloat(priceElement.getAttribute('content') || priceElement.textContent.replace(/[^0-9.]/g, '')) : NaN;
+    const availability = availabilityElement
+      ? (availabilityElement.getAttribute('content') || availabilityElement.getAttribute('href') || '').replace(SCHEMA_ORG_PREFIX, '')
+      : 'InStock';
+
+    return {
+      id: card.dataset.productId || '',
+      category: card.dataset.category || '',
+      categoryLabel: categoryElement ? categoryElement.textContent.trim() : card.dataset.category || '',
+      name: nameElement ? nameElement.textContent.trim() : '',
+      price: price,
+      inStock: availability === 'InStock' || availability === 'LimitedAvailability'
+    };
+  }
+
+  /**
+   * Generate the filter bar from the rendered product data.
+   * Skipped when the page already provides its own [data-filter] markup.
+   */
+  function buildFilterBar() {
+    const existingBar = elements.productsSection.querySelector('[data-product-filters]');
+
+    if (existingBar && !existingBar.hasAttribute('data-generated')) {
+      elements.filterBar = existingBar;
       return;
     }
 
-    if (!elements.images || elements.images.length === 0) {
-      console.debug('[Products] No lazy-loadable images found');
+    if (!existingBar && elements.filterButtons && elements.filterButtons.length > 0) {
       return;
     }
 
-    const observerOptions = {
-      root: null,
-      rootMargin: config.lazyLoadRootMargin,
-      threshold: config.lazyLoadThreshold
-    };
+    if (existingBar) {
+      existingBar.parentNode.removeChild(existingBar);
+    }
 
-    state.observers.intersection = new IntersectionObserver(handleImageIntersection, observerOptions);
+    if (!elements.productGrid || !elements.productCards || elements.productCards.length === 0) {
+      return;
+    }
+
+    const categories = [];
+    const labels = {};
+    let minPrice = Infinity;
+    let maxPrice = 0;
 
-    elements.images.forEach(function(img) {
-      state.observers.intersection.observe(img);
+    elements.productCards.forEach(function(card) {
+      const data = getCardData(card);
+
+      if (data.category && categories.indexOf(data.category) === -1) {
+        categories.push(data.category);
+        labels[data.category] = data.categoryLabel || data.category;
+      }
+
+      if (isFinite(data.price)) {
+        minPrice = Math.min(minPrice, data.price);
+        maxPrice = Math.max(maxPrice, data.price);
+      }
+    });
+
+    const priceFloor = isFinite(minPrice) ? Math.floor(minPrice) : 0;
+    const priceCeiling = Math.ceil(maxPrice);
+
+    const bar = createElement('div', {
+      'class': 'product-filters',
+      'role': 'search',
+      'aria-label': 'Filter and sort products',
+      'data-product-filters': '',
+      'data-generated': ''
+    });
+
+    // Category toggles
+    const categoryGroup = createElement('div', {
+      'class': 'category-filter',
+      'role': 'group',
+      'aria-label': 'Filter by category'
+    });
+    categoryGroup.appendChild(createFilterButton('all', 'All'));
+    categories.forEach(function(category) {
+      categoryGroup.appendChild(createFilterButton(category, labels[category]));
+    });
+    categoryGroup.appendChild(createFilterButton(FAVORITES_FILTER, 'Favorites'));
+    bar.appendChild(categoryGroup);
+
+    // Price range, stock and sort controls
+    const controls = createElement('div', { 'class': 'product-filters-controls' });
+    controls.appendChild(createNumberField('min', 'Min price', priceFloor, priceCeiling, priceFloor));
+    controls.appendChild(createNumberField('max', 'Max price', priceFloor, priceCeiling, priceCeiling));
+
+    const stockLabel = createElement('label', { 'class': 'product-filters-field product-filters-checkbox' });
+    stockLabel.appendChild(createElement('input', {
+      'type': 'checkbox',
+      'data-filter-in-stock': ''
+    }));
+    stockLabel.appendChild(document.createTextNode(' In stock only'));
+    controls.appendChild(stockLabel);
+
+    const sortLabel = createElement('label', { 'class': 'product-filters-field' });
+    sortLabel.appendChild(createElement('span', { 'class': 'product-filters-label' }, 'Sort by'));
+    const sortSelect = createElement('select', {
+      'class': 'product-filters-select',
+      'data-sort': ''
     });
+    Object.keys(SORT_OPTIONS).forEach(function(value) {
+      sortSelect.appendChild(createElement('option', { 'value': value }, SORT_OPTIONS[value].label));
+    });
+    sortLabel.appendChild(sortSelect);
+    controls.appendChild(sortLabel);
+
+    bar.appendChild(controls);
+
+    elements.productGrid.parentNode.insertBefore(bar, elements.productGrid);
+    elements.filterBar = bar;
+    elements.filterButtons = bar.querySelectorAll('[data-filter]');
 
-    console.debug('[Products] Lazy loading enabled for', elements.images.length, 'images');
+    syncFilterControls();
   }
 
   /**
-   * Handle image intersection for lazy loading
-   * @param {IntersectionObserverEntry[]} entries - Observed entries
+   * Create a category filter toggle button
+   * @param {string} value - Category value ('all' or category slug)
+   * @param {string} label - Visible label
+   * @returns {HTMLButtonElement} Filter button
    */
-  function handleImageIntersection(entries) {
-    entries.forEach(function(entry) {
-      if (entry.isIntersecting) {
-        const img = entry.target;
-        loadImage(img);
-        state.observers.intersection.unobserve(img);
-      }
-    });
+  function createFilterButton(value, label) {
+    return createElement('button', {
+      'type': 'button',
+      'class': 'category-filter-btn',
+      'aria-pressed': 'false',
+      'data-filter': value
+    }, label);
   }
 
   /**
-   * Load a single image
-   * @param {HTMLImageElement} img - Image element to load
+   * Create a labelled price input
+   * @param {string} bound - 'min' or 'max'
+   * @param {string} label - Visible label
+   * @param {number} min - Lowest allowed value
+   * @param {number} max - Highest allowed value
+   * @param {number} placeholder - Placeholder value
+   * @returns {HTMLLabelElement} Labelled field
    */
-  function loadImage(img) {
-    const src = img.dataset.src;
-    
-    if (!src) {
-      console.warn('[Products] Image missing data-src attribute');
+  function createNumberField(bound, label, min, max, placeholder) {
+    const field = createElement('label', { 'class': 'product-filters-field' });
+    field.appendChild(createElement('span', { 'class': 'product-filters-label' }, label));
+    field.appendChild(createElement('input', {
+      'type': 'number',
+      'class': 'product-filters-input',
+      'inputmode': 'numeric',
+      'min': min,
+      'max': max,
+      'step': '1',
+      'placeholder': placeholder,
+      'data-filter-price': bound
+    }));
+    return field;
+  }
+
+  /**
+   * Bind price, stock and sort controls in the filter bar
+   */
+  function setupFacetControls() {
+    if (!elements.filterBar || boundControls.has(elements.filterBar)) {
       return;
     }
 
-    const startTime = performance.now();
+    boundControls.add(elements.filterBar);
 
-    img.addEventListener('load', function() {
-      const loadTime = performance.now() - startTime;
-      img.classList.add('is-loaded');
-      img.removeAttribute('data-src');
-      
-      state.interactionMetrics.imageLoads++;
+    let priceTimeout = null;
 
-      console.debug('[Products] Image loaded:', {
-        src: src,
-        loadTime: Math.round(loadTime) + 'ms'
+    elements.filterBar.querySelectorAll('[data-filter-price]').forEach(function(input) {
+      input.addEventListener('input', function() {
+        clearTimeout(priceTimeout);
+        priceTimeout = setTimeout(handlePriceChange, config.filterDebounceMs);
+      });
+      input.addEventListener('change', function() {
+        clearTimeout(priceTimeout);
+        handlePriceChange();
       });
     });
 
-    img.addEventListener('error', function() {
-      console.error('[Products] Image failed to load:', src);
-      img.classList.add('is-error');
-      
-      // Set fallback image if available
-      const fallback = img.dataset.fallback;
-      if (fallback && img.src !== fallback) {
-        img.src = fallback;
+    const stockInput = elements.filterBar.querySelector('[data-filter-in-stock]');
+    if (stockInput) {
+      stockInput.addEventListener('change', function() {
+        updateFilters({ inStockOnly: stockInput.checked }, { history: 'push' });
+      });
+    }
+
+    const sortSelect = elements.filterBar.querySelector('[data-sort]');
+    if (sortSelect) {
+      sortSelect.addEventListener('change', function() {
+        updateFilters({ sort: sortSelect.value }, { history: 'push' });
+      });
+    }
+  }
+
+  /**
+   * Handle price range input changes
+   */
+  function handlePriceChange() {
+    const minInput = elements.filterBar.querySelector('[data-filter-price="min"]');
+    const maxInput = elements.filterBar.querySelector('[data-filter-price="max"]');
+
+    // Replace rather than push so typing a price doesn't flood history
+    updateFilters({
+      minPrice: parsePriceInput(minInput),
+      maxPrice: parsePriceInput(maxInput)
+    }, { history: 'replace' });
+  }
+
+  /**
+   * Parse a price input value
+   * @param {HTMLInputElement} input - Price input
+   * @returns {number|null} Price or null when empty/invalid
+   */
+  function parsePriceInput(input) {
+    if (!input || input.value === '') {
+      return null;
+    }
+
+    const value = parseFloat(input.value);
+    return isFinite(value) && value >= 0 ? value : null;
+  }
+
+  /**
+   * Handle category filter change (multi-select toggle)
+   * @param {HTMLElement} button - Filter button element
+   */
+  function handleFilterChange(button) {
+    try {
+      const filterValue = button.dataset.filter || 'all';
+      let changes;
+
+      if (filterValue === 'all') {
+        if (state.filters.categories.length === 0 && !state.filters.favoritesOnly) {
+          console.debug('[Products] Filter already active:', filterValue);
+          return;
+        }
+        changes = { categories: [], favoritesOnly: false };
+      } else if (filterValue === FAVORITES_FILTER) {
+        changes = { favoritesOnly: !state.filters.favoritesOnly };
+      } else if (state.filters.categories.indexOf(filterValue) === -1) {
+        changes = { categories: state.filters.categories.concat(filterValue) };
+      } else {
+        changes = {
+          categories: state.filters.categories.filter(function(category) {
+            return category !== filterValue;
+          })
+        };
+      }
+
+      updateFilters(changes, { history: 'push' });
+
+      console.info('[Products] Filter changed to:', getActiveFilterLabel());
+    } catch (error) {
+      console.error('[Products] Error handling filter change:', error);
+    }
+  }
+
+  /**
+   * Merge filter changes into state and re-apply them
+   * @param {Object} changes - Partial filter state
+   * @param {Object} [options] - Update options
+   * @param {string} [options.history] - 'push', 'replace' or 'none' (default)
+   */
+  function updateFilters(changes, options) {
+    const historyMode = (options && options.history) || 'none';
+
+    state.filters = normalizeFilters(Object.assign({}, state.filters, changes));
+    state.activeFilter = getActiveFilterLabel();
+
+    syncFilterControls();
+    applyFilters();
+    writeStateToUrl(historyMode);
+
+    // Restoring from the URL isn't a user interaction
+    if (historyMode !== 'none') {
+      state.interactionMetrics.filterChanges++;
+      trackEvent('products_filter', {
+        filters: getFilters(),
+        activeFilter: state.activeFilter
+      });
+    }
+  }
+
+  /**
+   * Validate filter state
+   * @param {Object} filters - Raw filter state
+   * @returns {Object} Normalized filter state
+   */
+  function normalizeFilters(filters) {
+    const categories = Array.isArray(filters.categories) ? filters.categories : [];
+    let minPrice = typeof filters.minPrice === 'number' && isFinite(filters.minPrice) ? filters.minPrice : null;
+    let maxPrice = typeof filters.maxPrice === 'number' && isFinite(filters.maxPrice) ? filters.maxPrice : null;
+
+    // Swap an inverted range rather than showing nothing
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+      const swap = minPrice;
+      minPrice = maxPrice;
+      maxPrice = swap;
+    }
+
+    return {
+      categories: categories.filter(function(category, index) {
+        return category && category !== 'all' && category !== FAVORITES_FILTER &&
+               categories.indexOf(category) === index;
+      }),
+      minPrice: minPrice,
+      maxPrice: maxPrice,
+      inStockOnly: Boolean(filters.inStockOnly),
+      favoritesOnly: Boolean(filters.favoritesOnly),
+      sort: SORT_OPTIONS[filters.sort] ? filters.sort : 'featured'
+    };
+  }
+
+  /**
+   * Reflect filter state in the filter bar controls
+   */
+  function syncFilterControls() {
+    const filters = state.filters;
+
+    if (elements.filterButtons) {
+      elements.filterButtons.forEach(function(button) {
+        const value = button.dataset.filter || 'all';
+        let isActive;
+
+        if (value === 'all') {
+          isActive = filters.categories.length === 0 && !filters.favoritesOnly;
+        } else if (value === FAVORITES_FILTER) {
+          isActive = filters.favoritesOnly;
+        } else {
+          isActive = filters.categories.indexOf(value) !== -1;
+        }
+
+        button.classList.toggle('is-active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+      });
+    }
+
+    if (!elements.filterBar) {
+      return;
+    }
+
+    const minInput = elements.filterBar.querySelector('[data-filter-price="min"]');
+    const maxInput = elements.filterBar.querySelector('[data-filter-price="max"]');
+    const stockInput = elements.filterBar.querySelector('[data-filter-in-stock]');
+    const sortSelect = elements.filterBar.querySelector('[data-sort]');
+
+    // Don't rewrite a price field the user is typing in
+    if (minInput && document.activeElement !== minInput) {
+      minInput.value = filters.minPrice === null ? '' : filters.minPrice;
+    }
+    if (maxInput && document.activeElement !== maxInput) {
+      maxInput.value = filters.maxPrice === null ? '' : filters.maxPrice;
+    }
+    if (stockInput) {
+      stockInput.checked = filters.inStockOnly;
+    }
+    if (sortSelect) {
+      sortSelect.value = filters.sort;
+    }
+  }
+
+  /**
+   * Filter products based on category
+   * @param {string} category - Category to filter by ('all', 'favorites' or specific category)
+   */
+  function filterProducts(category) {
+    if (category === FAVORITES_FILTER) {
+      updateFilters({ categories: [], favoritesOnly: true }, { history: 'push' });
+      return;
+    }
+
+    updateFilters({
+      categories: !category || category === 'all' ? [] : [category],
+      favoritesOnly: false
+    }, { history: 'push' });
+  }
+
+  /**
+   * Show, hide and order product cards according to the active filters
+   */
+  function applyFilters() {
+    if (!elements.productCards || elements.productCards.length === 0) {
+      return;
+    }
+
+    const filters = state.filters;
+    let visibleCount = 0;
+
+    elements.productCards.forEach(function(card) {
+      const data = getCardData(card);
+      const shouldShow = matchesFilters(data, filters);
+
+      clearTimeout(hideTimers.get(card));
+
+      if (shouldShow) {
+        card.style.display = '';
+        card.classList.remove('is-filtered-out');
+        card.setAttribute('aria-hidden', 'false');
+        visibleCount++;
+        
+        // Animate in
+        setTimeout(function() {
+          card.classList.add('is-visible');
+        }, 50);
+      } else {
+        card.classList.add('is-filtered-out');
+        card.classList.remove('is-visible');
+        card.setAttribute('aria-hidden', 'true');
+        
+        // Hide after animation
+        hideTimers.set(card, setTimeout(function() {
+          card.style.display = 'none';
+        }, config.animationDuration));
       }
     });
 
-    img.src = src;
+    sortProductCards(filters.sort);
+
+    console.debug('[Products] Filtered products:', {
+      filters: filters,
+      visible: visibleCount,
+      total: elements.productCards.length
+    });
+
+    // Announce to screen readers
+    announceFilterResults(visibleCount, describeFilters(filters));
+
+    elements.productsSection.dispatchEvent(new CustomEvent('productsFiltered', {
+      detail: {
+        filters: getFilters(),
+        visible: visibleCount,
+        total: elements.productCards.length
+      },
+      bubbles: true
+    }));
   }
 
   /**
-   * Load all images immediately (fallback for no IntersectionObserver)
+   * Check card data against the filters
+   * @param {Object} data - Card data from getCardData
+   * @param {Object} filters - Filter state
+   * @returns {boolean} True if the card should be shown
    */
-  function loadAllImages() {
-    if (!elements.images || elements.images.length === 0) {
+  function matchesFilters(data, filters) {
+    if (filters.categories.length > 0 && filters.categories.indexOf(data.category) === -1) {
+      return false;
+    }
+
+    if (filters.minPrice !== null && !(data.price >= filters.minPrice)) {
+      return false;
+    }
+
+    if (filters.maxPrice !== null && !(data.price <= filters.maxPrice)) {
+      return false;
+    }
+
+    if (filters.inStockOnly && !data.inStock) {
+      return false;
+    }
+
+    if (filters.favoritesOnly && !isFavoriteProduct(data)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Reorder product cards in the grid
+   * @param {string} sortKey - Key of SORT_OPTIONS
+   */
+  function sortProductCards(sortKey) {
+    const option = SORT_OPTIONS[sortKey] || SORT_OPTIONS.featured;
+    const cards = Array.from(elements.productCards);
+    const sorted = option.compare
+      ? cards.slice().sort(function(a, b) {
+        return option.compare(getCardData(a), getCardData(b));
+      })
+      : cards;
+
+    const isSameOrder = sorted.every(function(card, index) {
+      return card === elements.productGrid.children[index];
+    });
+
+    if (isSameOrder) {
       return;
     }
 
-    elements.images.forEach(function(img) {
-      loadImage(img);
+    const fragment = document.createDocumentFragment();
+    sorted.forEach(function(card) {
+      fragment.appendChild(card);
+    });
+    elements.productGrid.appendChild(fragment);
+  }
+
+  /**
+   * Get a short label for the active category filter
+   * @returns {string} 'all' or comma-separated categories (with 'favorites')
+   */
+  function getActiveFilterLabel() {
+    const labels = (state.filters.favoritesOnly ? [FAVORITES_FILTER] : []).concat(state.filters.categories);
+    return labels.length === 0 ? 'all' : labels.join(',');
+  }
+
+  /**
+   * Describe the active filters in words
+   * @param {Object} filters - Filter state
+   * @returns {string} Human-readable description
+   */
+  function describeFilters(filters) {
+    const parts = [];
+
+    if (filters.favoritesOnly) {
+      parts.push('in favorites');
+    }
+
+    if (filters.categories.length > 0) {
+      parts.push('in ' + filters.categories.join(', ') + ' ' +
+        (filters.categories.length === 1 ? 'category' : 'categories'));
+    }
+
+    if (filters.minPrice !== null && filters.maxPrice !== null) {
+      parts.push('priced ' + filters.minPrice + ' to ' + filters.maxPrice);
+    } else if (filters.minPrice !== null) {
+      parts.push('priced from ' + filters.minPrice);
+    } else if (filters.maxPrice !== null) {
+      parts.push('priced up to ' + filters.maxPrice);
+    }
+
+    if (filters.inStockOnly) {
+      parts.push('in stock only');
+    }
+
+    if (filters.sort !== 'featured') {
+      parts.push('sorted by ' + SORT_OPTIONS[filters.sort].label.toLowerCase());
+    }
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Get a copy of the filter state
+   * @returns {Object} Filter state
+   */
+  function getFilters() {
+    return Object.assign({}, state.filters, {
+      categories: state.filters.categories.slice()
+    });
+  }
+
+  /**
+   * Parse product state from the current URL's query parameters
+   * @returns {Object} Filter state and selected product id
+   */
+  function readStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const categories = (params.get(URL_PARAMS.category) || '')
+      .split(',')
+      .map(function(category) {
+        return category.trim().toLowerCase();
+      })
+      .filter(Boolean);
+
+    return {
+      filters: normalizeFilters({
+        categories: categories,
+        minPrice: parsePriceParam(params.get(URL_PARAMS.minPrice)),
+        maxPrice: parsePriceParam(params.get(URL_PARAMS.maxPrice)),
+        inStockOnly: params.get(URL_PARAMS.inStock) === '1' || params.get(URL_PARAMS.inStock) === 'true',
+        favoritesOnly: params.get(URL_PARAMS.favorites) === '1' || params.get(URL_PARAMS.favorites) === 'true',
+        sort: params.get(URL_PARAMS.sort) || 'featured'
+      }),
+      productId: params.get(URL_PARAMS.product)
+    };
+  }
+
+  /**
+   * Compare two normalized filter states
+   * @param {Object} a - Filter state
+   * @param {Object} b - Filter state
+   * @returns {boolean} True if equivalent
+   */
+  function isSameFilters(a, b) {
+    return a.categories.join(',') === b.categories.join(',') &&
+           a.minPrice === b.minPrice &&
+           a.maxPrice === b.maxPrice &&
+           a.inStockOnly === b.inStockOnly &&
+           a.favoritesOnly === b.favoritesOnly &&
+           a.sort === b.sort;
+  }
+
+  /**
+   * Parse a price query parameter
+   * @param {string|null} value - Raw parameter value
+   * @returns {number|null} Price or null when absent/invalid
+   */
+  function parsePriceParam(value) {
+    if (value === null || value === '') {
+      return null;
+    }
+
+    const price = parseFloat(value);
+    return isFinite(price) && price >= 0 ? price : null;
+  }
+
+  /**
+   * Encode product state into the URL, preserving unrelated parameters
+   * and the hash
+   * @param {string} historyMode - 'push', 'replace' or 'none'
+   */
+  function writeStateToUrl(historyMode) {
+    if (historyMode === 'none' || !window.history || !history.pushState) {
+      return;
+    }
+
+    const filters = state.filters;
+    const params = new URLSearchParams(window.location.search);
+
+    Object.keys(URL_PARAMS).forEach(function(key) {
+      params.delete(URL_PARAMS[key]);
+    });
+
+    if (filters.categories.length > 0) {
+      params.set(URL_PARAMS.category, filters.categories.join(','));
+    }
+    if (filters.minPrice !== null) {
+      params.set(URL_PARAMS.minPrice, filters.minPrice);
+    }
+    if (filters.maxPrice !== null) {
+      params.set(URL_PARAMS.maxPrice, filters.maxPrice);
+    }
+    if (filters.inStockOnly) {
+      params.set(URL_PARAMS.inStock, '1');
+    }
+    if (filters.favoritesOnly) {
+      params.set(URL_PARAMS.favorites, '1');
+    }
+    if (filters.sort !== 'featured') {
+      params.set(URL_PARAMS.sort, filters.sort);
+    }
+    if (state.selectedProductId) {
+      params.set(URL_PARAMS.product, state.selectedProductId);
+    }
+
+    // URLSearchParams encodes commas; keep category lists readable
+    const query = params.toString().replace(/%2C/gi, ',');
+    const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+
+    if (url === window.location.pathname + window.location.search + window.location.hash) {
+      return;
+    }
+
+    try {
+      if (historyMode === 'push') {
+        history.pushState({ products: true }, '', url);
+      } else {
+        history.replaceState({ products: true }, '', url);
+      }
+    } catch (error) {
+      console.error('[Products] Failed to update URL:', error);
+    }
+  }
+
+  /**
+   * Apply filter and selection state from the URL on load
+   */
+  function restoreStateFromUrl() {
+    const urlState = readStateFromUrl();
+
+    if (!isSameFilters(urlState.filters, state.filters)) {
+      updateFilters(urlState.filters, { history: 'none' });
+    }
+
+    if (urlState.productId) {
+      selectProduct(urlState.productId, { history: 'none', scroll: true });
+    }
+
+    console.debug('[Products] State restored from URL:', urlState);
+  }
+
+  /**
+   * Restore state on back/forward navigation
+   */
+  function setupHistorySync() {
+    window.addEventListener('popstate', function() {
+      const urlState = readStateFromUrl();
+
+      // Hash-only navigation also fires popstate; leave the grid alone
+      if (!isSameFilters(urlState.filters, state.filters)) {
+        updateFilters(urlState.filters, { history: 'none' });
+      }
+
+      if (urlState.productId !== state.selectedProductId) {
+        selectProduct(urlState.productId, { history: 'none' });
+      }
+
+      console.debug('[Products] State restored from history:', urlState);
+    });
+  }
+
+  /**
+   * Mark a product card as selected and record it in the URL
+   * @param {string|null} productId - Product id, or null to clear
+   * @param {Object} [options] - Selection options
+   * @param {string} [options.history] - 'push', 'replace' or 'none' (default)
+   * @param {boolean} [options.scroll] - Scroll the card into view
+   * @returns {HTMLElement|null} Selected card
+   */
+  function selectProduct(productId, options) {
+    const settings = options || {};
+    let selectedCard = null;
+
+    if (elements.productCards) {
+      elements.productCards.forEach(function(card) {
+        const isSelected = Boolean(productId) && card.dataset.productId === productId;
+        card.classList.toggle('is-selected', isSelected);
+
+        if (isSelected) {
+          selectedCard = card;
+        }
+      });
+    }
+
+    if (productId && !selectedCard) {
+      console.warn('[Products] Selected product not found:', productId);
+      productId = null;
+    }
+
+    state.selectedProductId = productId || null;
+    writeStateToUrl(settings.history || 'none');
+
+    if (selectedCard && settings.scroll) {
+      selectedCard.scrollIntoView({ block: 'center' });
+    }
+
+    return selectedCard;
+  }
+
+  /**
+   * Announce filter results to screen readers
+   * @param {number} count - Number of visible products
+   * @param {string} description - Description of the active filters
+   */
+  function announceFilterResults(count, description) {
+    const announcement = !description
+      ? `Showing all ${count} products`
+      : `Showing ${count} products ${description}`;
+
+    const liveRegion = document.createElement('div');
+    liveRegion.setAttribute('role', 'status');
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.className = 'sr-only';
+    liveRegion.textContent = announcement;
+
+    document.body.appendChild(liveRegion);
+
+    setTimeout(function() {
+      document.body.removeChild(liveRegion);
+    }, 1000);
+  }
+
+  /**
+   * Follow product image loads reported by the shared image loader
+   * (js/image-loader.js), which does the lazy loading itself
+   */
+  function setupImageLoadTracking() {
+    elements.productsSection.addEventListener('imageLoaded', function(event) {
+      if (!event.target.closest('[data-product-card]')) {
+        return;
+      }
+
+      state.interactionMetrics.imageLoads++;
+
+      console.debug('[Products] Image loaded:', {
+        src: event.detail.src,
+        loadTime: event.detail.loadTime + 'ms'
+      });
+    });
+
+    elements.productsSection.addEventListener('imageLoadError', function(event) {
+      const img = event.target;
+
+      if (!img.closest('[data-product-card]')) {
+        return;
+      }
+
+      // Fallback sources and the Retry placeholder come from js/image-recovery.js
+      console.error('[Products] Image failed to load:', event.detail.src);
     });
   }
 
@@ -527,11 +1741,14 @@
       filterChanges: state.interactionMetrics.filterChanges,
       imageLoads: state.interactionMetrics.imageLoads,
       activeFilter: state.activeFilter,
+      filters: getFilters(),
       timestamp: new Date().toISOString()
     };
 
     console.info('[Products] Engagement metrics:', metrics);
 
+    trackEvent('products_engagement', metrics);
+
     // Dispatch custom event for analytics integration
     const metricsEvent = new CustomEvent('productsEngagement', {
       detail: metrics,
@@ -553,6 +1770,59 @@
       }
       filterProducts(category);
     },
+    setFilters: function(filters) {
+      if (!state.isInitialized) {
+        console.warn('[Products] Module not initialized');
+        return;
+      }
+      updateFilters(filters || {}, { history: 'push' });
+    },
+    resetFilters: function() {
+      if (!state.isInitialized) {
+        console.warn('[Products] Module not initialized');
+        return;
+      }
+      updateFilters({
+        categories: [],
+        minPrice: null,
+        maxPrice: null,
+        inStockOnly: false,
+        favoritesOnly: false,
+        sort: 'featured'
+      }, { history: 'push' });
+    },
+    getFilters: getFilters,
+    getFavorites: function() {
+      return Array.from(state.favorites);
+    },
+    isFavorite: function(productId) {
+      return state.favorites.has(productId);
+    },
+    selectProduct: function(productId, options) {
+      if (!state.isInitialized) {
+        console.warn('[Products] Module not initialized');
+        return;
+      }
+      selectProduct(productId, options);
+    },
+    renderProducts: function(products) {
+      if (!state.isInitialized || !elements.productGrid) {
+        console.warn('[Products] Module not initialized');
+        return;
+      }
+      renderProducts((products || []).map(normalizeProduct).filter(Boolean));
+      setupProductCardInteractions();
+      setupCategoryFiltering();
+      applyFilters();
+    },
+    getAvailabilityLabel: function(availability) {
+      return AVAILABILITY_LABELS[String(availability || '').replace(SCHEMA_ORG_PREFIX, '')] || '';
+    },
+    getCatalog: function() {
+      return state.catalog.map(function(product) {
+        return Object.assign({}, product);
+      });
+    },
     getMetrics: function() {
       return Object.assign({}, state.interactionMetrics);
     },
@@ -0,0 +1,566 @@
+/**
+ * Fashion Forward Landing Page - Product Quick View
+ *
+ * Opens an accessible product detail dialog from product card clicks,
+ * showing an image gallery, description, price and availability read
+ * from the card's schema.org microdata. Supports deep links through
+ * the ?product= query parameter.
+ *
+ * @generated-from: task-id:user-005
+ * @modifies: none
+ * @dependencies: ["js/main.js", "js/products.js", "js/responsive-images.js"]
+ */
+
+(function() {
+  'use strict';
+
+  // State management
+  const state = {
+    isInitialized: false,
+    isOpen: false,
+    activeCard: null,
+    activeProductId: null,
+    returnFocusElement: null,
+    images: [],
+    activeImageIndex: 0,
+    // Whether opening pushed a history entry that closing should pop
+    hasHistoryEntry: false
+  };
+
+  // DOM element cache
+  const elements = {
+    root: null,
+    dialog: null,
+    closeButton: null,
+    mainImage: null,
+    thumbnails: null,
+    category: null,
+    title: null,
+    price: null,
+    availability: null,
+    description: null,
+    body: null
+  };
+
+  // Configuration
+  const config = {
+    productParam: 'product',
+    largeImageSize: 1200,
+    thumbnailSize: 160
+  };
+
+  const SCHEMA_ORG_PREFIX = 'https://schema.org/';
+
+  // Events go through the shared analytics bus (js/analytics.js, loaded first)
+  const trackEvent = window.FashionForwardAnalytics
+    ? window.FashionForwardAnalytics.createTracker('quick-view')
+    : function() {};
+
+  /**
+   * Initialize quick view when DOM is ready
+   */
+  function init() {
+    if (state.isInitialized) {
+      console.warn('[QuickView] Already initialized');
+      return;
+    }
+
+    try {
+      elements.body = document.body;
+
+      buildDialog();
+      setupEventListeners();
+
+      state.isInitialized = true;
+      console.info('[QuickView] Module initialized successfully');
+
+      openFromUrl();
+    } catch (error) {
+      console.error('[QuickView] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Build the dialog markup once and append it to the body
+   */
+  function buildDialog() {
+    const root = document.createElement('div');
+    root.className = 'quick-view';
+    root.hidden = true;
+    root.setAttribute('data-quick-view', '');
+    root.innerHTML =
+      '<div class="quick-view-backdrop" data-quick-view-close></div>' +
+      '<div class="quick-view-dialog" role="dialog" aria-modal="true" aria-labelledby="quick-view-title" aria-describedby="quick-view-description" tabindex="-1">' +
+        '<button type="button" class="quick-view-close touch-target" aria-label="Close product details" data-quick-view-close>' +
+          '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">' +
+            '<line x1="18" y1="6" x2="6" y2="18"></line>' +
+            '<line x1="6" y1="6" x2="18" y2="18"></line>' +
+          '</svg>' +
+        '</button>' +
+        '<div class="quick-view-gallery">' +
+          '<div class="quick-view-main-image aspect-square">' +
+            '<img src="" alt="" decoding="async" data-quick-view-image>' +
+          '</div>' +
+          '<div class="quick-view-thumbnails" role="group" aria-label="Product images" data-quick-view-thumbnails></div>' +
+        '</div>' +
+        '<div class="quick-view-details">' +
+          '<p class="quick-view-category" data-quick-view-category></p>' +
+          '<h2 id="quick-view-title" class="quick-view-title" data-quick-view-title></h2>' +
+          '<p class="quick-view-price" data-quick-view-price></p>' +
+          '<p class="quick-view-availability" data-quick-view-availability></p>' +
+          '<p id="quick-view-description" class="quick-view-description" data-quick-view-description></p>' +
+        '</div>' +
+      '</div>';
+
+    elements.body.appendChild(root);
+
+    elements.root = root;
+    elements.dialog = root.querySelector('[role="dialog"]');
+    elements.closeButton = root.querySelector('.quick-view-close');
+    elements.mainImage = root.querySelector('[data-quick-view-image]');
+    elements.thumbnails = root.querySelector('[data-quick-view-thumbnails]');
+    elements.category = root.querySelector('[data-quick-view-category]');
+    elements.title = root.querySelector('[data-quick-view-title]');
+    elements.price = root.querySelector('[data-quick-view-price]');
+    elements.availability = root.querySelector('[data-quick-view-availability]');
+    elements.description = root.querySelector('[data-quick-view-description]');
+  }
+
+  /**
+   * Setup all event listeners
+   */
+  function setupEventListeners() {
+    // Product cards dispatch productCardClick from handleCardClick
+    document.addEventListener('productCardClick', handleProductCardClick);
+
+    elements.root.querySelectorAll('[data-quick-view-close]').forEach(function(element) {
+      element.addEventListener('click', function(event) {
+        event.preventDefault();
+        close();
+      });
+    });
+
+    elements.dialog.addEventListener('keydown', handleDialogKeydown);
+
+    elements.thumbnails.addEventListener('click', function(event) {
+      const thumbnail = event.target.closest('[data-image-index]');
+      if (thumbnail) {
+        showImage(parseInt(thumbnail.dataset.imageIndex, 10));
+      }
+    });
+
+    window.addEventListener('popstate', handlePopState);
+  }
+
+  /**
+   * Open quick view for a clicked product card
+   * @param {CustomEvent} event - productCardClick event
+   */
+  function handleProductCardClick(event) {
+    const card = event.detail && event.detail.element;
+
+    if (!card) {
+      return;
+    }
+
+    if (open(card)) {
+      // Tell products.js the click was handled so the details link
+      // doesn't navigate to its fallback URL
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Handle keyboard interaction inside the dialog
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  function handleDialogKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+      return;
+    }
+
+    if (event.key === 'Tab') {
+      if (window.FashionForward) {
+        window.FashionForward.trapFocus(elements.dialog, event);
+      }
+      return;
+    }
+
+    if (state.images.length > 1 && (event.key === 'ArrowRight' || event.key === 'ArrowLeft')) {
+      const step = event.key === 'ArrowRight' ? 1 : -1;
+      const nextIndex = (state.activeImageIndex + step + state.images.length) % state.images.length;
+
+      event.preventDefault();
+      showImage(nextIndex);
+
+      const thumbnail = elements.thumbnails.querySelector('[data-image-index="' + nextIndex + '"]');
+      if (thumbnail && elements.thumbnails.contains(document.activeElement)) {
+        thumbnail.focus();
+      }
+    }
+  }
+
+  /**
+   * Sync the dialog with the URL on back/forward navigation
+   */
+  function handlePopState() {
+    const productId = new URLSearchParams(window.location.search).get(config.productParam);
+
+    if (!productId) {
+      if (state.isOpen) {
+        close({ updateUrl: false });
+      }
+      return;
+    }
+
+    if (productId !== state.activeProductId) {
+      const card = findCard(productId);
+      if (card) {
+        open(card, { updateUrl: false });
+      }
+    }
+  }
+
+  /**
+   * Open the dialog for a product linked from the URL
+   */
+  function openFromUrl() {
+    const productId = new URLSearchParams(window.location.search).get(config.productParam);
+
+    if (!productId) {
+      return;
+    }
+
+    const card = findCard(productId);
+
+    if (card) {
+      open(card, { updateUrl: false });
+      return;
+    }
+
+    // The catalog may still be rendering
+    document.addEventListener('productsRendered', function handleRendered() {
+      document.removeEventListener('productsRendered', handleRendered);
+
+      const renderedCard = findCard(productId);
+      if (renderedCard) {
+        open(renderedCard, { updateUrl: false });
+      } else {
+        console.warn('[QuickView] Linked product not found:', productId);
+      }
+    });
+  }
+
+  /**
+   * Find a product card by its data-product-id
+   * @param {string} productId - Product id
+   * @returns {HTMLElement|null} Product card
+   */
+  function findCard(productId) {
+    const cards = document.querySelectorAll('[data-product-card]');
+
+    for (let i = 0; i < cards.length; i++) {
+      if (cards[i].dataset.productId === productId) {
+        return cards[i];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read product details from a card's schema.org microdata
+   * @param {HTMLElement} card - Product card element
+   * @returns {Object} Product details
+   */
+  function readProduct(card) {
+    const nameElement = card.querySelector('[itemprop="name"]');
+    const categoryElement = card.querySelector('[itemprop="category"]');
+    const descriptionElement = card.querySelector('[itemprop="description"]');
+    const priceElement = card.querySelector('[itemprop="price"]');
+    const currencyElement = card.querySelector('[itemprop="priceCurrency"]');
+    const availabilityElement = card.querySelector('[itemprop="availability"]');
+    const name = nameElement ? nameElement.textContent.trim() : '';
+
+    const images = [];
+    card.querySelectorAll('[itemprop="image"]').forEach(function(imageElement) {
+      const src = imageElement.tagName === 'IMG'
+        ? imageElement.getAttribute('src') || imageElement.dataset.src
+        : imageElement.getAttribute('href') || imageElement.getAttribute('content');
+
+      if (src) {
+        images.push({
+          src: src,
+          alt: imageElement.getAttribute('alt') || imageElement.dataset.alt || name
+        });
+      }
+    });
+
+    const availability = availabilityElement
+      ? (availabilityElement.getAttribute('content') || availabilityElement.getAttribute('href') || '').replace(SCHEMA_ORG_PREFIX, '')
+      : '';
+
+    return {
+      id: card.dataset.productId || '',
+      name: name,
+      category: categoryElement ? categoryElement.textContent.trim() : '',
+      description: descriptionElement
+        ? (descriptionElement.getAttribute('content') || descriptionElement.textContent).trim()
+        : '',
+      priceText: priceElement ? priceElement.textContent.trim() : '',
+      price: priceElement ? priceElement.getAttribute('content') : '',
+      currency: currencyElement ? currencyElement.getAttribute('content') : '',
+      availability: availability,
+      images: images
+    };
+  }
+
+  /**
+   * Open the quick view dialog for a product card
+   * @param {HTMLElement} card - Product card element
+   * @param {Object} [options] - Open options
+   * @param {boolean} [options.updateUrl=true] - Record the product in the URL
+   * @returns {boolean} True if the dialog opened
+   */
+  function open(card, options) {
+    if (!state.isInitialized || !card) {
+      return false;
+    }
+
+    const settings = Object.assign({ updateUrl: true }, options);
+
+    try {
+      const product = readProduct(card);
+
+      if (!product.name) {
+        console.warn('[QuickView] Card has no product microdata:', product.id);
+        return false;
+      }
+
+      const wasOpen = state.isOpen;
+
+      if (!wasOpen) {
+        state.returnFocusElement = card;
+      }
+
+      populateDialog(product);
+
+      state.activeCard = card;
+      state.activeProductId = product.id;
+      state.isOpen = true;
+
+      elements.root.hidden = false;
+      elements.root.classList.add('is-open');
+      elements.body.style.overflow = 'hidden';
+      elements.closeButton.focus();
+
+      // Switching products in an open dialog reuses its history entry
+      if (settings.updateUrl) {
+        selectProductInUrl(product.id, wasOpen ? 'replace' : 'push');
+      }
+      if (!wasOpen) {
+        state.hasHistoryEntry = settings.updateUrl;
+      }
+
+      card.dispatchEvent(new CustomEvent('quickViewOpen', {
+        detail: {
+          productId: product.id,
+          productName: product.name,
+          category: card.dataset.category || 'unknown'
+        },
+        bubbles: true
+      }));
+
+      trackEvent('quick_view_open', {
+        productId: product.id,
+        productName: product.name,
+        category: card.dataset.category || 'unknown'
+      });
+
+      console.debug('[QuickView] Opened:', product.id);
+      return true;
+    } catch (error) {
+      console.error('[QuickView] Error opening quick view:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Close the dialog and return focus to the originating card
+   * @param {Object} [options] - Close options
+   * @param {boolean} [options.updateUrl=true] - Remove the product from the URL
+   */
+  function close(options) {
+    if (!state.isOpen) {
+      return;
+    }
+
+    const settings = Object.assign({ updateUrl: true }, options);
+    const productId = state.activeProductId;
+    const card = state.activeCard;
+    const hasHistoryEntry = state.hasHistoryEntry;
+
+    state.isOpen = false;
+    state.activeCard = null;
+    state.activeProductId = null;
+    state.hasHistoryEntry = false;
+
+    elements.root.classList.remove('is-open');
+    elements.root.hidden = true;
+    elements.body.style.overflow = '';
+
+    // Pop the entry open() pushed so Back doesn't land on the same URL;
+    // the popstate that follows finds the dialog already closed
+    if (settings.updateUrl) {
+      if (hasHistoryEntry) {
+        window.history.back();
+      } else {
+        selectProductInUrl(null, 'replace');
+      }
+    }
+
+    if (state.returnFocusElement && document.contains(state.returnFocusElement)) {
+      state.returnFocusElement.focus();
+    }
+    state.returnFocusElement = null;
+
+    if (card) {
+      card.dispatchEvent(new CustomEvent('quickViewClose', {
+        detail: { productId: productId },
+        bubbles: true
+      }));
+    }
+
+    console.debug('[QuickView] Closed:', productId);
+  }
+
+  /**
+   * Record the selected product through the products module
+   * @param {string|null} productId - Product id or null to clear
+   * @param {string} historyMode - 'push' or 'replace'
+   */
+  function selectProductInUrl(productId, historyMode) {
+    const products = window.FashionForwardProducts;
+
+    if (products && typeof products.selectProduct === 'function') {
+      products.selectProduct(productId, { history: historyMode });
+    }
+  }
+
+  /**
+   * Fill the dialog with product details
+   * @param {Object} product - Product details from readProduct
+   */
+  function populateDialog(product) {
+    elements.category.textContent = product.category;
+    elements.title.textContent = product.name;
+    elements.price.textContent = product.priceText;
+    elements.description.textContent = product.description;
+    elements.description.hidden = !product.description;
+
+    const products = window.FashionForwardProducts;
+    const availabilityLabel = products ? products.getAvailabilityLabel(product.availability) : '';
+    const isAvailable = product.availability === 'InStock' || product.availability === 'LimitedAvailability';
+    elements.availability.textContent = availabilityLabel;
+    elements.availability.hidden = !availabilityLabel;
+    elements.availability.classList.toggle('is-available', isAvailable);
+    elements.availability.classList.toggle('is-unavailable', !isAvailable);
+
+    state.images = product.images;
+    renderThumbnails();
+    showImage(0);
+  }
+
+  /**
+   * Render gallery thumbnails for the current product
+   */
+  function renderThumbnails() {
+    elements.thumbnails.textContent = '';
+    elements.thumbnails.hidden = state.images.length < 2;
+
+    if (state.images.length < 2) {
+      return;
+    }
+
+    state.images.forEach(function(image, index) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'quick-view-thumbnail';
+      button.dataset.imageIndex = index;
+      button.setAttribute('aria-label', 'Show image ' + (index + 1) + ' of ' + state.images.length);
+      button.setAttribute('aria-pressed', 'false');
+
+      const thumbnail = document.createElement('img');
+      thumbnail.src = resizeImageUrl(image.src, config.thumbnailSize);
+      thumbnail.alt = '';
+      thumbnail.loading = 'lazy';
+      thumbnail.decoding = 'async';
+
+      button.appendChild(thumbnail);
+      elements.thumbnails.appendChild(button);
+    });
+  }
+
+  /**
+   * Show a gallery image in the main view
+   * @param {number} index - Image index
+   */
+  function showImage(index) {
+    const image = state.images[index];
+
+    if (!image) {
+      elements.mainImage.removeAttribute('src');
+      elements.mainImage.alt = '';
+      return;
+    }
+
+    state.activeImageIndex = index;
+    elements.mainImage.src = resizeImageUrl(image.src, config.largeImageSize);
+    elements.mainImage.alt = image.alt;
+
+    elements.thumbnails.querySelectorAll('[data-image-index]').forEach(function(thumbnail) {
+      thumbnail.setAttribute('aria-pressed', String(parseInt(thumbnail.dataset.imageIndex, 10) === index));
+    });
+  }
+
+  /**
+   * Request a square size through the responsive images module
+   * @param {string} src - Image URL
+   * @param {number} size - Target width and height in pixels
+   * @returns {string} Resized image URL
+   */
+  function resizeImageUrl(src, size) {
+    const images = window.FashionForwardResponsiveImages;
+    return images ? images.resizeImageUrl(src, size, size) : src;
+  }
+
+  /**
+   * Public API for external access
+   */
+  window.FashionForwardQuickView = {
+    init: init,
+    open: function(productIdOrCard) {
+      const card = typeof productIdOrCard === 'string' ? findCard(productIdOrCard) : productIdOrCard;
+      return open(card);
+    },
+    close: function() {
+      close();
+    },
+    isOpen: function() {
+      return state.isOpen;
+    },
+    isInitialized: function() {
+      return state.isInitialized;
+    }
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -0,0 +1,361 @@
+/**
+ * Fashion Forward Landing Page - Responsive Images
+ *
+ * Builds srcset, sizes and AVIF/WebP <picture> sources from a single base
+ * image URL so each device downloads an image close to its rendered size.
+ * Candidate widths come from the --breakpoint-* tokens in css/variables.css
+ * and are applied to the lazy product and category card images; the
+ * eager hero image has the same sources written out in index.html.
+ *
+ * @generated-from: task-id:user-013
+ * @modifies: index.html
+ * @dependencies: ["js/products.js"]
+ */
+
+(function() {
+  'use strict';
+
+  // State management
+  const state = {
+    isInitialized: false,
+    breakpoints: null,
+    containerWidth: null
+  };
+
+  // Configuration
+  const config = {
+    breakpointNames: ['xs', 'sm', 'md', 'lg', 'xl', '2xl'],
+    defaultBreakpoints: { xs: 320, sm: 640, md: 768, lg: 1024, xl: 1280, '2xl': 1536 },
+    containerToken: '--container-xl',
+    defaultContainerWidth: 1280,
+    resizableHosts: ['images.unsplash.com'],
+    formats: [
+      { type: 'image/avif', param: 'avif' },
+      { type: 'image/webp', param: 'webp' }
+    ],
+    pictureClass: 'responsive-picture'
+  };
+
+  /**
+   * Image contexts. columns maps a breakpoint name to the number of grid
+   * columns from that width up, mirroring the grid rules in layout.css.
+   * Full-bleed images span the viewport instead of the section container.
+   */
+  const IMAGE_CONTEXTS = {
+    product: {
+      selector: '[data-product-card] .product-image img',
+      columns: { xs: 1, sm: 2, lg: 4 },
+      fullBleed: false
+    },
+    category: {
+      selector: '[data-category-card] img',
+      columns: { xs: 1, sm: 2, lg: 3 },
+      fullBleed: false
+    },
+    hero: {
+      selector: '#hero img, [data-hero-image]',
+      columns: { xs: 1 },
+      fullBleed: true
+    }
+  };
+
+  /**
+   * Initialize responsive images
+   */
+  function init() {
+    if (state.isInitialized) {
+      console.warn('[ResponsiveImages] Already initialized');
+      return;
+    }
+
+    try {
+      state.breakpoints = readBreakpoints();
+      state.containerWidth = readContainerWidth();
+
+      apply(document);
+
+      // Product cards are rendered from the catalog after load
+      document.addEventListener('productsRendered', function(event) {
+        apply(event.target);
+      });
+
+      state.isInitialized = true;
+      console.info('[ResponsiveImages] Initialized with breakpoints', state.breakpoints);
+    } catch (error) {
+      console.error('[ResponsiveImages] Initialization failed:', error);
+    }
+  }
+
+  /**
+   * Read the breakpoint tokens from css/variables.css
+   * @returns {Object} Breakpoint widths in pixels keyed by name
+   */
+  function readBreakpoints() {
+    const styles = window.getComputedStyle(document.documentElement);
+    const breakpoints = {};
+
+    config.breakpointNames.forEach(function(name) {
+      const value = parseFloat(styles.getPropertyValue('--breakpoint-' + name));
+      breakpoints[name] = value > 0 ? value : config.defaultBreakpoints[name];
+    });
+
+    return breakpoints;
+  }
+
+  /**
+   * Read the maximum section container width in pixels
+   * @returns {number} Container width
+   */
+  function readContainerWidth() {
+    const root = document.documentElement;
+    const value = window.getComputedStyle(root).getPropertyValue(config.containerToken).trim();
+    const amount = parseFloat(value);
+
+    if (!(amount > 0)) {
+      return config.defaultContainerWidth;
+    }
+
+    if (/rem$/.test(value)) {
+      const rootFontSize = parseFloat(window.getComputedStyle(root).fontSize) || 16;
+      return amount * rootFontSize;
+    }
+
+    return amount;
+  }
+
+  /**
+   * Apply responsive sources to every known image inside a root element
+   * @param {ParentNode} [root=document] - Element or document to search
+   * @returns {number} Number of images updated
+   */
+  function apply(root) {
+    const scope = root || document;
+    let count = 0;
+
+    Object.keys(IMAGE_CONTEXTS).forEach(function(name) {
+      const context = IMAGE_CONTEXTS[name];
+
+      scope.querySelectorAll(context.selector).forEach(function(img) {
+        if (enhanceImage(img, context)) {
+          count++;
+        }
+      });
+    });
+
+    if (count > 0) {
+      console.debug('[ResponsiveImages] Updated', count, 'images');
+    }
+
+    return count;
+  }
+
+  /**
+   * Add srcset, sizes and format sources to one image. Lazy images keep
+   * their URLs in data-srcset until the lazy loader promotes them.
+   * Eager images (the hero) are skipped: the browser has already started
+   * their download, and new sources would start a second one, so their
+   * <picture> is written in the markup instead.
+   * @param {HTMLImageElement} img - Image element
+   * @param {Object} context - Image context from IMAGE_CONTEXTS
+   * @returns {boolean} True if the image was updated
+   */
+  function enhanceImage(img, context) {
+    if (img.hasAttribute('data-responsive')) {
+      return false;
+    }
+
+    const isDeferred = img.hasAttribute('data-src');
+
+    if (!isDeferred && img.getAttribute('loading') !== 'lazy') {
+      return false;
+    }
+
+    const baseUrl = isDeferred ? img.getAttribute('data-src') : img.getAttribute('src');
+
+    if (!baseUrl || !isResizable(baseUrl)) {
+      return false;
+    }
+
+    const widths = getCandidateWidths();
+    const sizes = buildSizes(context);
+    const srcsetAttribute = isDeferred ? 'data-srcset' : 'srcset';
+
+    img.setAttribute(srcsetAttribute, buildSrcset(baseUrl, widths));
+    img.setAttribute('sizes', sizes);
+    img.setAttribute('data-responsive', '');
+
+    const picture = document.createElement('picture');
+    picture.className = config.pictureClass;
+
+    config.formats.forEach(function(format) {
+      const source = document.createElement('source');
+      source.type = format.type;
+      source.setAttribute(srcsetAttribute, buildSrcset(baseUrl, widths, format.param));
+      source.setAttribute('sizes', sizes);
+      picture.appendChild(source);
+    });
+
+    img.parentNode.insertBefore(picture, img);
+    picture.appendChild(img);
+
+    return true;
+  }
+
+  /**
+   * Check whether an image URL is served by a CDN that can resize it
+   * @param {string} src - Image URL
+   * @returns {boolean} True if widths and formats can be requested
+   */
+  function isResizable(src) {
+    try {
+      const url = new URL(src, window.location.href);
+      return config.resizableHosts.indexOf(url.hostname) !== -1;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Candidate widths for srcset, one per breakpoint
+   * @returns {number[]} Widths in ascending order
+   */
+  function getCandidateWidths() {
+    const breakpoints = state.breakpoints || config.defaultBreakpoints;
+
+    return config.breakpointNames.map(function(name) {
+      return breakpoints[name];
+    }).sort(function(a, b) {
+      return a - b;
+    });
+  }
+
+  /**
+   * Build a srcset from a base URL, keeping the base image's aspect ratio
+   * @param {string} baseUrl - Base image URL (e.g. ...?w=600&h=600&fit=crop)
+   * @param {number[]} widths - Candidate widths
+   * @param {string} [format] - Output format param ('avif', 'webp')
+   * @returns {string} srcset value
+   */
+  function buildSrcset(baseUrl, widths, format) {
+    return widths.map(function(width) {
+      return buildImageUrl(baseUrl, width, format) + ' ' + width + 'w';
+    }).join(', ');
+  }
+
+  /**
+   * Request a width and format from the image CDN (Unsplash/imgix params)
+   * @param {string} baseUrl - Base image URL
+   * @param {number} width - Target width in pixels
+   * @param {string} [format] - Output format param
+   * @returns {string} Resized image URL
+   */
+  function buildImageUrl(baseUrl, width, format) {
+    const url = new URL(baseUrl, window.location.href);
+    const baseWidth = parseFloat(url.searchParams.get('w'));
+    const baseHeight = parseFloat(url.searchParams.get('h'));
+
+    url.searchParams.set('w', width);
+
+    if (baseWidth > 0 && baseHeight > 0) {
+      url.searchParams.set('h', Math.round(width * baseHeight / baseWidth));
+    }
+
+    if (format) {
+      url.searchParams.set('fm', format);
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Request a fixed size from the image CDN, e.g. for thumbnails.
+   * URLs from other hosts are returned unchanged.
+   * @param {string} src - Image URL
+   * @param {number} width - Target width in pixels
+   * @param {number} [height] - Target height in pixels
+   * @returns {string} Resized image URL
+   */
+  function resizeImageUrl(src, width, height) {
+    if (!src || !isResizable(src)) {
+      return src;
+    }
+
+    const url = new URL(src, window.location.href);
+    url.searchParams.set('w', width);
+
+    if (height) {
+      url.searchParams.set('h', height);
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Build a sizes attribute from the context's column layout
+   * @param {Object} context - Image context from IMAGE_CONTEXTS
+   * @returns {string} sizes value
+   */
+  function buildSizes(context) {
+    const breakpoints = state.breakpoints || config.defaultBreakpoints;
+    const containerWidth = state.containerWidth || config.defaultContainerWidth;
+    const entries = [];
+
+    // Once the section container stops growing, the slot has a fixed width
+    if (!context.fullBleed) {
+      const widestColumns = context.columns[getLastColumnBreakpoint(context)];
+      entries.push('(min-width: ' + containerWidth + 'px) ' +
+        Math.round(containerWidth / widestColumns) + 'px');
+    }
+
+    config.breakpointNames.slice().reverse().forEach(function(name) {
+      const columns = context.columns[name];
+
+      if (!columns || name === 'xs') {
+        return;
+      }
+
+      entries.push('(min-width: ' + breakpoints[name] + 'px) ' + Math.round(100 / columns) + 'vw');
+    });
+
+    entries.push(Math.round(100 / (context.columns.xs || 1)) + 'vw');
+
+    return entries.join(', ');
+  }
+
+  /**
+   * Find the widest breakpoint that sets a column count for a context
+   * @param {Object} context - Image context from IMAGE_CONTEXTS
+   * @returns {string} Breakpoint name
+   */
+  function getLastColumnBreakpoint(context) {
+    return config.breakpointNames.filter(function(name) {
+      return context.columns[name] !== undefined;
+    }).pop();
+  }
+
+  /**
+   * Public API
+   */
+  window.FashionForwardResponsiveImages = {
+    init: init,
+    apply: apply,
+    buildSrcset: function(baseUrl, format) {
+      return buildSrcset(baseUrl, getCandidateWidths(), format);
+    },
+    resizeImageUrl: resizeImageUrl,
+    getBreakpoints: function() {
+      return Object.assign({}, state.breakpoints || config.defaultBreakpoints);
+    },
+    isInitialized: function() {
+      return state.isInitialized;
+    }
+  };
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -0,0 +1,321 @@
+/**
+ * Fashion Forward Landing Page - Service Worker
+ *
+ * Precaches the app shell so the page opens offline, keeps the shell and
+ * product images fresh with stale-while-revalidate and serves offline.html
+ * for pages that were never cached. Only the shell, data files and images
+ * are handled; every other request (including the newsletter endpoints)
+ * goes straight to the network. Lives at the site root so its scope covers
+ * the page. Registered from js/main.js.
+ *
+ * Shell files are revalidated in the background on every request, so a
+ * deploy reaches visitors on their next visit without touching this file.
+ * CACHE_VERSION only needs to change when the cache layout itself changes;
+ * the activate step removes caches from older versions.
+ *
+ * @generated-from: task-id:user-017
+ * @modifies: js/main.js, js/newsletter.js
+ * @dependencies: []
+ */
+
+'use strict';
+
+// v2: image caches no longer hold opaque responses
+const CACHE_VERSION = 'v2';
+const CACHE_PREFIX = 'ff-';
+
+const CACHE_NAMES = {
+  shell: CACHE_PREFIX + 'shell-' + CACHE_VERSION,
+  images: CACHE_PREFIX + 'images-' + CACHE_VERSION
+};
+
+const OFFLINE_URL = 'offline.html';
+
+// Keep in sync with the stylesheets and scripts linked from index.html
+const SHELL_URLS = [
+  './',
+  'index.html',
+  OFFLINE_URL,
+  'css/reset.css',
+  'css/variables.css',
+  'css/base.css',
+  'css/layout.css',
+  'css/form-validation.css',
+  'css/business-info.css',
+  'css/contact.css',
+  'css/products.css',
+  'css/quick-view.css',
+  'css/bag.css',
+  'css/favorites.css',
+  'css/consent.css',
+  'css/image-recovery.css',
+  'css/performance.css',
+  'js/consent.js',
+  'js/analytics.js',
+  'js/main.js',
+  'js/form-validation.js',
+  'js/form-submission.js',
+  'js/newsletter.js',
+  'js/business-info.js',
+  'js/contact.js',
+  'js/responsive-images.js',
+  'js/image-placeholders.js',
+  'js/image-loader.js',
+  'js/image-recovery.js',
+  'js/performance.js',
+  'js/categories.js',
+  'js/products.js',
+  'js/quick-view.js',
+  'js/bag.js',
+  'data/products.json',
+  'images/product-placeholder.svg'
+];
+
+// Data changes independently of the shell, so it is fetched network-first
+const NETWORK_FIRST_PATHS = ['data/'];
+
+// Never touched by the worker: these responses are per-subscriber
+const BYPASS_PATHS = ['newsletter/'];
+
+const IMAGE_HOSTS = ['images.unsplash.com'];
+
+// Responsive srcsets request several widths per image; cap the cache size
+const MAX_IMAGE_ENTRIES = 120;
+
+self.addEventListener('install', function(event) {
+  event.waitUntil(
+    caches.open(CACHE_NAMES.shell)
+      .then(function(cache) {
+        // Skip the HTTP cache so a fresh install never stores stale files
+        return cache.addAll(SHELL_URLS.map(function(url) {
+          return new Request(url, { cache: 'reload' });
+        }));
+      })
+      .then(function() {
+        return self.skipWaiting();
+      })
+      .catch(function(error) {
+        console.error('[ServiceWorker] Precache failed:', error);
+        throw error;
+      })
+  );
+});
+
+self.addEventListener('activate', function(event) {
+  event.waitUntil(
+    removeOldCaches().then(function() {
+      return self.clients.claim();
+    })
+  );
+});
+
+self.addEventListener('fetch', function(event) {
+  const request = event.request;
+
+  // Form posts and other writes always go to the network
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+
+  if (isSameOrigin && matchesPath(url, BYPASS_PATHS)) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (isImageRequest(request, url)) {
+    event.respondWith(staleWhileRevalidate(event, request, CACHE_NAMES.images, MAX_IMAGE_ENTRIES));
+  } else if (isSameOrigin && matchesPath(url, NETWORK_FIRST_PATHS)) {
+    event.respondWith(networkFirst(event, request, CACHE_NAMES.shell));
+  } else if (isShellRequest(url)) {
+    event.respondWith(staleWhileRevalidate(event, request, CACHE_NAMES.shell));
+  }
+});
+
+/**
+ * Delete caches left behind by previous versions
+ * @returns {Promise} Resolves when old caches are gone
+ */
+function removeOldCaches() {
+  const current = Object.keys(CACHE_NAMES).map(function(key) {
+    return CACHE_NAMES[key];
+  });
+
+  return caches.keys().then(function(names) {
+    return Promise.all(names.filter(function(name) {
+      return name.indexOf(CACHE_PREFIX) === 0 && current.indexOf(name) === -1;
+    }).map(function(name) {
+      console.info('[ServiceWorker] Removing old cache:', name);
+      return caches.delete(name);
+    }));
+  });
+}
+
+/**
+ * Pages: network first so content stays current, then the cached copy,
+ * then the offline page
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page response
+ */
+function handleNavigation(request) {
+  return fetch(request).catch(function() {
+    return caches.match(request, { ignoreSearch: true }).then(function(cached) {
+      return cached || caches.match(OFFLINE_URL);
+    });
+  });
+}
+
+/**
+ * Check whether a request is for an image
+ * @param {Request} request - Request
+ * @param {URL} url - Parsed request URL
+ * @returns {boolean} True for images
+ */
+function isImageRequest(request, url) {
+  return request.destination === 'image' || IMAGE_HOSTS.indexOf(url.hostname) !== -1;
+}
+
+/**
+ * Path of a same-origin URL relative to the worker scope
+ * @param {URL} url - Parsed request URL
+ * @returns {string} Scope-relative path
+ */
+function getScopePath(url) {
+  const scopePath = new URL(self.registration.scope).pathname;
+
+  return url.pathname.indexOf(scopePath) === 0 ? url.pathname.slice(scopePath.length) : url.pathname;
+}
+
+/**
+ * Check whether a same-origin URL starts with one of the given prefixes
+ * @param {URL} url - Parsed request URL
+ * @param {string[]} prefixes - Scope-relative path prefixes
+ * @returns {boolean} True when a prefix matches
+ */
+function matchesPath(url, prefixes) {
+  const path = getScopePath(url);
+
+  return prefixes.some(function(prefix) {
+    return path.indexOf(prefix) === 0;
+  });
+}
+
+/**
+ * Check whether a request is for one of the precached shell files
+ * @param {URL} url - Parsed request URL
+ * @returns {boolean} True for shell files
+ */
+function isShellRequest(url) {
+  if (url.origin !== self.location.origin || url.search) {
+    return false;
+  }
+
+  return SHELL_URLS.some(function(shellUrl) {
+    return new URL(shellUrl, self.registration.scope).pathname === url.pathname;
+  });
+}
+
+/**
+ * Serve the cached copy right away and refresh it in the background
+ * @param {FetchEvent} event - Fetch event (kept alive for the refresh)
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @param {number} [maxEntries] - Trim the cache to this size after updates
+ * @returns {Promise<Response>} Cached or network response
+ */
+function staleWhileRevalidate(event, request, cacheName, maxEntries) {
+  return caches.open(cacheName).then(function(cache) {
+    return cache.match(request).then(function(cached) {
+      const refresh = fetchForCache(request).then(function(response) {
+        // Opaque responses (ok is false) are padded to megabytes of quota
+        if (response.ok) {
+          return cache.put(request, response.clone()).then(function() {
+            return maxEntries ? trimCache(cacheName, maxEntries) : null;
+          }).then(function() {
+            return response;
+          });
+        }
+
+        return response;
+      });
+
+      if (cached) {
+        event.waitUntil(refresh.catch(function() {
+          // Offline: the cached copy was already served
+        }));
+        return cached;
+      }
+
+      return refresh;
+    });
+  });
+}
+
+/**
+ * Fetch a response that can be cached. <img> requests to the image CDN
+ * are no-cors and would come back opaque, so they are sent with CORS
+ * (the CDN allows it), falling back to the original request.
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Network response
+ */
+function fetchForCache(request) {
+  const url = new URL(request.url);
+
+  if (request.mode !== 'no-cors' || IMAGE_HOSTS.indexOf(url.hostname) === -1) {
+    return fetch(request);
+  }
+
+  return fetch(new Request(request.url, { mode: 'cors', credentials: 'omit' })).catch(function() {
+    return fetch(request);
+  });
+}
+
+/**
+ * Fetch from the network and update the cache, serving the cached copy
+ * when offline
+ * @param {FetchEvent} event - Fetch event (kept alive for the cache update)
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Network or cached response
+ */
+function networkFirst(event, request, cacheName) {
+  return caches.open(cacheName).then(function(cache) {
+    return fetch(request).then(function(response) {
+      if (response.ok) {
+        event.waitUntil(cache.put(request, response.clone()));
+      }
+
+      return response;
+    }).catch(function(error) {
+      return cache.match(request, { ignoreSearch: true }).then(function(cached) {
+        if (cached) {
+          return cached;
+        }
+
+        throw error;
+      });
+    });
+  });
+}
+
+/**
+ * Drop the oldest entries once a cache holds more than maxEntries
+ * @param {string} cacheName - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ * @returns {Promise} Resolves when trimmed
+ */
+function trimCache(cacheName, maxEntries) {
+  return caches.open(cacheName).then(function(cache) {
+    return cache.keys().then(function(keys) {
+      // keys() lists entries in insertion order
+      const excess = keys.slice(0, Math.max(keys.length - maxEntries, 0));
+
+      return Promise.all(excess.map(function(key) {
+        return cache.delete(key);
+      }));
+    });
+  });
+}